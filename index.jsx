@@ -4,8 +4,2232 @@ import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, PieC
 
 // Firebase imports
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc, collection, query, onSnapshot, deleteDoc, getDocs } from 'firebase/firestore'; // Added getDocs
+import {
+    getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator, signOut,
+    EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithEmailAndPassword, signInWithPopup,
+    sendEmailVerification
+} from 'firebase/auth';
+import {
+    initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, doc, setDoc, getDoc, collection, collectionGroup, query, where, onSnapshot, deleteDoc, getDocs,
+    arrayUnion, arrayRemove, deleteField, increment, writeBatch
+} from 'firebase/firestore';
+// QR decoding for the slip verification mini-QR
+import jsQR from 'jsqr';
+// Spreadsheet export
+import * as XLSX from 'xlsx';
+// PDF rendering for e-slips and statements sent as PDF
+import * as pdfjsLib from 'pdfjs-dist';
+
+// The worker is loaded from the CDN at the same version as the library, since the app ships without a bundler
+// that could resolve the worker file (pdf.js wraps a cross-origin worker URL itself)
+pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${pdfjsLib.version}/build/pdf.worker.min.mjs`;
+
+// Thai bank registry: every Thai bank plus PromptPay and e-wallets
+// code is the Bank of Thailand institution code (also used in the slip mini-QR); color is the brand color used in charts
+// Banks are shown as a badge in the brand color with shortName (no logo files ship with the app)
+const THAI_BANKS = [
+    { id: 'BBL', code: '002', type: 'bank', shortName: 'BBL', nameTh: 'ธนาคารกรุงเทพ', nameEn: 'Bangkok Bank', color: '#1E4598', aliases: ['กรุงเทพ', 'bbl', 'bangkok bank', 'bualuang', 'บัวหลวง'] },
+    { id: 'KBANK', code: '004', type: 'bank', shortName: 'KBANK', nameTh: 'ธนาคารกสิกรไทย', nameEn: 'Kasikornbank', color: '#138F2D', aliases: ['กสิกรไทย', 'กสิกร', 'ธ.กสิกรไทย', 'kbank', 'k plus', 'kplus', 'kasikorn', 'kasikornbank', 'make by kbank'] },
+    { id: 'KTB', code: '006', type: 'bank', shortName: 'KTB', nameTh: 'ธนาคารกรุงไทย', nameEn: 'Krungthai Bank', color: '#1BA5E1', aliases: ['กรุงไทย', 'ktb', 'krungthai', 'krung thai', 'krungthai next', 'ktb netbank'] },
+    { id: 'TTB', code: '011', type: 'bank', shortName: 'ttb', nameTh: 'ธนาคารทหารไทยธนชาต', nameEn: 'TMBThanachart Bank', color: '#0050F0', aliases: ['ทหารไทยธนชาต', 'ทหารไทย', 'ธนชาต', 'ทีเอ็มบีธนชาต', 'ttb', 'tmb', 'tmbthanachart', 'thanachart', 'ttb touch'] },
+    { id: 'SCB', code: '014', type: 'bank', shortName: 'SCB', nameTh: 'ธนาคารไทยพาณิชย์', nameEn: 'Siam Commercial Bank', color: '#4E2E7F', aliases: ['ไทยพาณิชย์', 'scb', 'siam commercial', 'scb easy'] },
+    { id: 'CITI', code: '017', type: 'bank', shortName: 'CITI', nameTh: 'ธนาคารซิตี้แบงก์', nameEn: 'Citibank', color: '#056DAE', aliases: ['ซิตี้แบงก์', 'ซิตี้', 'citibank', 'citi'] },
+    { id: 'SCBT', code: '020', type: 'bank', shortName: 'SC', nameTh: 'ธนาคารสแตนดาร์ดชาร์เตอร์ด (ไทย)', nameEn: 'Standard Chartered Bank (Thai)', color: '#0473EA', aliases: ['สแตนดาร์ดชาร์เตอร์ด', 'standard chartered', 'scbt'] },
+    { id: 'CIMBT', code: '022', type: 'bank', shortName: 'CIMB', nameTh: 'ธนาคารซีไอเอ็มบี ไทย', nameEn: 'CIMB Thai Bank', color: '#7E2F36', aliases: ['ซีไอเอ็มบี', 'cimb thai', 'cimbt', 'cimb'] },
+    { id: 'UOBT', code: '024', type: 'bank', shortName: 'UOB', nameTh: 'ธนาคารยูโอบี', nameEn: 'United Overseas Bank (Thai)', color: '#0B3979', aliases: ['ยูโอบี', 'uob', 'uobt', 'united overseas'] },
+    { id: 'BAY', code: '025', type: 'bank', shortName: 'BAY', nameTh: 'ธนาคารกรุงศรีอยุธยา', nameEn: 'Bank of Ayudhya (Krungsri)', color: '#FEC43B', aliases: ['กรุงศรีอยุธยา', 'กรุงศรี', 'bay', 'krungsri', 'ayudhya', 'kma', 'krungsri bank'] },
+    { id: 'GSB', code: '030', type: 'bank', shortName: 'GSB', nameTh: 'ธนาคารออมสิน', nameEn: 'Government Savings Bank', color: '#EB198D', aliases: ['ออมสิน', 'gsb', 'government savings', 'mymo'] },
+    { id: 'HSBC', code: '031', type: 'bank', shortName: 'HSBC', nameTh: 'ธนาคารฮ่องกงและเซี่ยงไฮ้', nameEn: 'HSBC', color: '#DB0011', aliases: ['ฮ่องกงและเซี่ยงไฮ้', 'hsbc'] },
+    { id: 'GHB', code: '033', type: 'bank', shortName: 'GHB', nameTh: 'ธนาคารอาคารสงเคราะห์', nameEn: 'Government Housing Bank', color: '#F57D23', aliases: ['อาคารสงเคราะห์', 'ธอส', 'ghb', 'government housing'] },
+    { id: 'BAAC', code: '034', type: 'bank', shortName: 'BAAC', nameTh: 'ธนาคารเพื่อการเกษตรและสหกรณ์การเกษตร', nameEn: 'Bank for Agriculture and Agricultural Cooperatives', color: '#4B9B1D', aliases: ['เพื่อการเกษตรและสหกรณ์การเกษตร', 'เพื่อการเกษตร', 'ธ.ก.ส.', 'ธกส', 'baac', 'a-mobile'] },
+    { id: 'MHCB', code: '039', type: 'bank', shortName: 'MIZUHO', nameTh: 'ธนาคารมิซูโฮ', nameEn: 'Mizuho Bank', color: '#00287A', aliases: ['มิซูโฮ', 'mizuho', 'mhcb'] },
+    { id: 'ISBT', code: '066', type: 'bank', shortName: 'ibank', nameTh: 'ธนาคารอิสลามแห่งประเทศไทย', nameEn: 'Islamic Bank of Thailand', color: '#184615', aliases: ['อิสลามแห่งประเทศไทย', 'อิสลาม', 'ibank', 'isbt', 'islamic bank'] },
+    { id: 'TISCO', code: '067', type: 'bank', shortName: 'TISCO', nameTh: 'ธนาคารทิสโก้', nameEn: 'TISCO Bank', color: '#12549F', aliases: ['ทิสโก้', 'tisco'] },
+    { id: 'KKP', code: '069', type: 'bank', shortName: 'KKP', nameTh: 'ธนาคารเกียรตินาคินภัทร', nameEn: 'Kiatnakin Phatra Bank', color: '#635F98', aliases: ['เกียรตินาคินภัทร', 'เกียรตินาคิน', 'kkp', 'kiatnakin', 'kiatnakin phatra'] },
+    { id: 'ICBCT', code: '070', type: 'bank', shortName: 'ICBC', nameTh: 'ธนาคารไอซีบีซี (ไทย)', nameEn: 'ICBC (Thai)', color: '#C50F1C', aliases: ['ไอซีบีซี', 'icbc', 'icbct'] },
+    { id: 'TCRB', code: '071', type: 'bank', shortName: 'TCRB', nameTh: 'ธนาคารไทยเครดิต', nameEn: 'Thai Credit Bank', color: '#0A4AB2', aliases: ['ไทยเครดิต', 'thai credit', 'tcrb', 'tcd'] },
+    { id: 'LHB', code: '073', type: 'bank', shortName: 'LH', nameTh: 'ธนาคารแลนด์ แอนด์ เฮ้าส์', nameEn: 'Land and Houses Bank', color: '#6D6E71', aliases: ['แลนด์แอนด์เฮ้าส์', 'แลนด์ แอนด์ เฮ้าส์', 'land and houses', 'lh bank', 'lhb', 'lhbank'] },
+    { id: 'SME', code: '098', type: 'bank', shortName: 'SME D', nameTh: 'ธนาคารพัฒนาวิสาหกิจขนาดกลางและขนาดย่อม', nameEn: 'SME Development Bank', color: '#1C4F9C', aliases: ['พัฒนาวิสาหกิจ', 'ธพว', 'sme bank', 'sme d bank', 'smebank'] },
+    { id: 'PROMPTPAY', code: null, type: 'promptpay', shortName: 'PromptPay', nameTh: 'พร้อมเพย์', nameEn: 'PromptPay', color: '#1B3F6D', aliases: ['พร้อมเพย์', 'promptpay', 'prompt pay'] },
+    { id: 'TRUEMONEY', code: null, type: 'ewallet', shortName: 'TrueMoney', nameTh: 'ทรูมันนี่ วอลเล็ท', nameEn: 'TrueMoney Wallet', color: '#FF8200', aliases: ['ทรูมันนี่', 'truemoney', 'true money', 'true wallet'] },
+    { id: 'RABBITLINEPAY', code: null, type: 'ewallet', shortName: 'LINE Pay', nameTh: 'แรบบิท ไลน์ เพย์', nameEn: 'Rabbit LINE Pay', color: '#00B900', aliases: ['แรบบิทไลน์เพย์', 'ไลน์เพย์', 'rabbit line pay', 'line pay', 'linepay'] },
+    { id: 'SHOPEEPAY', code: null, type: 'ewallet', shortName: 'ShopeePay', nameTh: 'ช้อปปี้เพย์', nameEn: 'ShopeePay', color: '#EE4D2D', aliases: ['ช้อปปี้เพย์', 'shopeepay', 'shopee pay', 'airpay'] },
+    { id: 'PAOTANG', code: null, type: 'ewallet', shortName: 'เป๋าตัง', nameTh: 'เป๋าตัง', nameEn: 'Paotang', color: '#2C8ED6', aliases: ['เป๋าตัง', 'paotang', 'g-wallet', 'gwallet'] }
+];
+
+// Function to normalize a bank string for alias matching (lowercase, no spaces/punctuation, no "ธนาคาร"/"bank" words)
+const normalizeBankText = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/จำกัด|\(มหาชน\)|มหาชน|public company limited|pcl|co\.,? ?ltd\.?/g, '')
+    .replace(/ธนาคาร|\bbank\b/g, '')
+    .replace(/[\s.,()\-_/]+/g, '');
+
+// Lookup table of normalized aliases, longest first so "กสิกรไทย" wins over "ธกส" inside "ธ.กสิกรไทย"
+const BANK_ALIAS_INDEX = THAI_BANKS
+    .flatMap(bank => [bank.nameTh, bank.nameEn, bank.id, ...bank.aliases].map(alias => ({ alias: normalizeBankText(alias), bank })))
+    .filter(entry => entry.alias.length >= 2)
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+// Function to resolve a bank string from a slip (any language, abbreviation or app name) to a registry entry, or null
+const resolveBank = (text) => {
+    const normalized = normalizeBankText(text);
+    if (!normalized) return null;
+    return BANK_ALIAS_INDEX.find(entry => normalized.includes(entry.alias))?.bank || null;
+};
+
+// Function to look up a registry entry by its id (as stored in senderBankId / recipientBankId)
+const getBankById = (id) => THAI_BANKS.find(bank => bank.id === id) || null;
+
+// Function to look up a registry entry by its Bank of Thailand code (as found in the slip mini-QR)
+const getBankByCode = (code) => THAI_BANKS.find(bank => bank.code === code) || null;
+
+// Function to add canonical bank ids for both sides of a slip; the raw printed names are kept
+const withCanonicalBanks = (data) => ({
+    ...data,
+    senderBankId: resolveBank(data.senderBankName)?.id || null,
+    recipientBankId: resolveBank(data.recipientBankName)?.id || null
+});
+
+// Function to get the canonical Thai display name for one side of a slip, falling back to the raw text
+const getCanonicalBankName = (data, side) => {
+    const bank = getBankById(data[`${side}BankId`]);
+    return bank ? bank.nameTh.replace(/^ธนาคาร/, '') : (data[`${side}BankName`] || '');
+};
+
+// Function to parse a (usually masked) account number as printed on a slip
+// "xxx-x-x1234-x", "XXX-X-X1234-X" and "xxx-x-x1234-x " all give canonical "xxx-x-x1234-x" with visibleDigits "1234"
+// Returns { canonical, positions, visibleDigits } where positions keeps one character per digit slot ('x' = masked), or null
+const parseAccountNumber = (raw) => {
+    const positions = String(raw || '')
+        .replace(/[*•●Xx]/g, 'x') // Banks mask with x, X, * or bullets
+        .replace(/[^0-9x]/g, '');
+    if (!positions || !/\d/.test(positions)) return null;
+
+    // Standard Thai 10-digit accounts are printed as 3-1-5-1; other lengths keep the original grouping
+    const canonical = positions.length === 10
+        ? `${positions.slice(0, 3)}-${positions.slice(3, 4)}-${positions.slice(4, 9)}-${positions.slice(9)}`
+        : String(raw).trim().replace(/[*•●X]/g, 'x').replace(/\s+/g, '');
+    return { canonical, positions, visibleDigits: positions.replace(/x/g, '') };
+};
+
+// Function to normalize a person or company name for grouping (no titles, spaces or punctuation, lowercase)
+const normalizePayeeName = (name) => String(name || '')
+    .toLowerCase()
+    // Thai titles are written joined to the name; English ones need a "." or space after them (so "Mrs" is not read as "Mr")
+    .replace(/^(?:(?:นางสาว|น\.ส\.|นาย|นาง|ด\.ช\.|ด\.ญ\.)\s*|(?:miss|mrs|mr|ms)(?:\.\s*|\s+))/, '')
+    .replace(/บริษัท|บจก\.?|จำกัด|\(มหาชน\)|co\.,? ?ltd\.?|company limited/g, '')
+    .replace(/[\s.,()\-_]+/g, '');
+
+// Bank badge: the short name on the bank's brand color, followed by the Thai name
+const BankBadge = ({ bankId, rawName }) => {
+    const bank = getBankById(bankId);
+    if (!bank) {
+        return <span title="ไม่รู้จักธนาคารนี้">{rawName || '-'}</span>;
+    }
+    return (
+        <span className="inline-flex items-center" title={rawName ? `${bank.nameEn} (บนสลิป: ${rawName})` : bank.nameEn}>
+            <span className="inline-block text-[10px] font-bold text-white px-1 rounded mr-2" style={{ backgroundColor: bank.color }}>
+                {bank.shortName}
+            </span>
+            {bank.nameTh.replace(/^ธนาคาร/, '')}
+        </span>
+    );
+};
+
+// Function to parse an EMVCo-style TLV string (2-digit tag, 2-digit length, value) into a map
+const parseTlv = (payload) => {
+    const fields = {};
+    let pos = 0;
+    while (pos + 4 <= payload.length) {
+        const tag = payload.substr(pos, 2);
+        const length = parseInt(payload.substr(pos + 2, 2), 10);
+        if (isNaN(length) || pos + 4 + length > payload.length) {
+            return null; // Malformed payload
+        }
+        fields[tag] = payload.substr(pos + 4, length);
+        pos += 4 + length;
+    }
+    return pos === payload.length ? fields : null;
+};
+
+// Function to parse the Thai slip verification QR payload
+// Layout: 00 (API ID 000001 + 01 sending bank code + 02 transaction ref), 51 country code, 91 CRC
+const parseSlipQrPayload = (raw) => {
+    const outer = parseTlv(raw.trim());
+    if (!outer || !outer['00']) return null;
+    const inner = parseTlv(outer['00']);
+    if (!inner || !inner['02']) return null;
+    return {
+        raw,
+        apiId: inner['00'] || null,
+        sendingBankCode: inner['01'] || null,
+        transactionRef: inner['02'],
+        countryCode: outer['51'] || null
+    };
+};
+
+// Function to decode the slip mini-QR from an image Data URL, resolves to null when no slip QR is found
+const decodeSlipQr = (dataUrl) => new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'attemptBoth' });
+            resolve(code ? parseSlipQrPayload(code.data) : null);
+        } catch (e) {
+            console.error("QR decoding error:", e);
+            resolve(null);
+        }
+    };
+    img.onerror = () => resolve(null);
+    img.src = dataUrl;
+});
+
+// Function to normalize a transaction reference for comparison (ignore spaces, dashes and case)
+const normalizeRef = (ref) => String(ref || '').replace(/[^0-9a-zA-Z]/g, '').toUpperCase();
+
+// Function to compare the decoded QR against the AI extraction, returns a list of mismatched field names
+const getQrMismatches = (qrData, data) => {
+    const mismatches = [];
+    if (!qrData || !data) return mismatches;
+
+    if (qrData.transactionRef && data.transactionId &&
+        normalizeRef(qrData.transactionRef) !== normalizeRef(data.transactionId)) {
+        mismatches.push('transactionId');
+    }
+
+    const qrBank = getBankByCode(qrData.sendingBankCode);
+    if (qrBank && data.senderBankName && resolveBank(data.senderBankName)?.id !== qrBank.id) {
+        mismatches.push('senderBankName');
+    }
+    return mismatches;
+};
+
+// Maximum Hamming distance between two perceptual hashes for the images to count as the same slip
+// Slips from the same bank share a layout, so only re-encoded or resized copies should be this close; a near match
+// is still confirmed against the extracted amount and reference before it counts (see isSameTransfer)
+const PERCEPTUAL_HASH_THRESHOLD = 2;
+
+// Function to compute a SHA-256 hex digest of an image Data URL (exact content match)
+const computeContentHash = async (dataUrl) => {
+    const bytes = new TextEncoder().encode(dataUrl.split(',')[1] || dataUrl);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Function to compute a 64-bit difference hash (dHash) of an image, so re-encoded or resized copies still match
+const computePerceptualHash = (dataUrl) => new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 9;
+            canvas.height = 8;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, 9, 8);
+            const pixels = ctx.getImageData(0, 0, 9, 8).data;
+            const gray = [];
+            for (let i = 0; i < pixels.length; i += 4) {
+                gray.push(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+            }
+            let bits = '';
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    bits += gray[y * 9 + x] > gray[y * 9 + x + 1] ? '1' : '0';
+                }
+            }
+            // Convert the 64 bits to 16 hex characters, 4 bits at a time
+            resolve(bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join(''));
+        } catch (e) {
+            console.error("Perceptual hash error:", e);
+            resolve(null);
+        }
+    };
+    img.onerror = () => resolve(null);
+    img.src = dataUrl;
+});
+
+// Function to count differing bits between two hex hashes of equal length
+const hammingDistance = (a, b) => {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (xor) {
+            distance += xor & 1;
+            xor >>= 1;
+        }
+    }
+    return distance;
+};
+
+// Function to find an earlier image with the same content or a near-identical perceptual hash
+const findImageDuplicate = (hashes, candidates) => {
+    const exact = candidates.find(c => c.contentHash && c.contentHash === hashes.contentHash);
+    if (exact) return exact;
+    if (!hashes.perceptualHash) return null;
+    return candidates.find(c => c.perceptualHash && c.perceptualHash.length === hashes.perceptualHash.length &&
+        hammingDistance(c.perceptualHash, hashes.perceptualHash) <= PERCEPTUAL_HASH_THRESHOLD) || null;
+};
+
+// Function to load the slips anywhere in the workspace (every batch) with exactly the same content or perceptual hash
+// Only the loaded batch is searched for near matches, since a Hamming distance cannot be queried
+const getSlipsByImageHash = async (slipsCollectionRef, hashes) => {
+    const lookups = [['contentHash', hashes.contentHash], ['perceptualHash', hashes.perceptualHash]].filter(([, value]) => value);
+    const snapshots = await Promise.all(lookups.map(([field, value]) => getDocs(query(slipsCollectionRef, where(field, '==', value)))));
+    const found = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(slipDoc => {
+        const data = slipDoc.data();
+        if (data.deletedAt) return;
+        found.set(slipDoc.id, { id: slipDoc.id, contentHash: data.contentHash || null, perceptualHash: data.perceptualHash || null, duplicateOf: data.duplicateOf || null });
+    }));
+    return [...found.values()];
+};
+
+// Function to check if two extracted slips describe the same transfer: same amount, and same reference when both have one
+const isSameTransfer = (a, b) => (a?.parsedAmount || 0) === (b?.parsedAmount || 0) &&
+    (!a?.transactionId || !b?.transactionId || normalizeRef(a.transactionId) === normalizeRef(b.transactionId));
+
+// Function to find an earlier extracted slip with the same transaction ID and amount
+const findTransactionDuplicate = (imageId, data, candidates) => {
+    if (!data?.transactionId) return null;
+    const ref = normalizeRef(data.transactionId);
+    return candidates.find(c => c.imageId !== imageId && !c.duplicateOf && c.data?.transactionId &&
+        normalizeRef(c.data.transactionId) === ref &&
+        (c.data.parsedAmount || 0) === (data.parsedAmount || 0)) || null;
+};
+
+// Function to check if a slip should count towards totals and charts
+// (not a duplicate, or a duplicate the user accepted, and not waiting for review)
+const isCountedSlip = (item) => (!item.duplicateOf || item.duplicateAccepted) && item.reviewStatus !== 'needs_review';
+
+// Image optimization: longest side after resizing, JPEG quality, and thumbnail size for the grid and table
+const MAX_IMAGE_DIMENSION = 2000;
+const IMAGE_QUALITY = 0.85;
+const THUMBNAIL_DIMENSION = 240;
+
+// Firestore documents are capped at 1 MiB, so images above this are split into chunk sub-documents
+const INLINE_IMAGE_LIMIT = 900 * 1024;
+const IMAGE_CHUNK_SIZE = 900 * 1024;
+
+// Function to load a Data URL into an Image element
+const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('ไม่สามารถอ่านไฟล์รูปภาพได้'));
+    img.src = dataUrl;
+});
+
+// Function to resize an image so its longest side fits maxDimension and re-encode it as JPEG
+// Keeps the original when it is already small and re-encoding would not make it smaller
+const optimizeImage = async (dataUrl, originalMimeType, maxDimension = MAX_IMAGE_DIMENSION, quality = IMAGE_QUALITY) => {
+    const img = await loadImage(dataUrl);
+    const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.round(img.naturalWidth * scale);
+    const height = Math.round(img.naturalHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF'; // JPEG has no alpha channel, so flatten transparent PNGs onto white
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+
+    const encoded = canvas.toDataURL('image/jpeg', quality);
+    if (scale === 1 && dataUrl.length <= encoded.length) {
+        return { dataUrl, mimeType: originalMimeType, width, height };
+    }
+    // Read the MIME type back from the result, browsers fall back to PNG if they cannot encode JPEG
+    const mimeType = encoded.substring(5, encoded.indexOf(';'));
+    return { dataUrl: encoded, mimeType, width, height };
+};
+
+// Function to split a string into chunks of at most `size` characters
+const splitIntoChunks = (text, size = IMAGE_CHUNK_SIZE) => {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+        chunks.push(text.substring(i, i + size));
+    }
+    return chunks;
+};
+
+// Function to read the MIME type from a Data URL header ("data:image/jpeg;base64,...")
+const getDataUrlMimeType = (dataUrl) => dataUrl?.match(/^data:([^;,]+)/)?.[1] || 'image/png';
+
+// Scale used when rendering PDF pages to images (2x keeps small slip text readable for the AI)
+const PDF_RENDER_SCALE = 2;
+
+// Function to read a File as a Data URL
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// Function to check if a file is a PDF (some systems send PDFs without a MIME type)
+const isPdfFile = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+
+// Function to render every page of a PDF file into a PNG Data URL
+// Returns { pages, info } where info is the PDF document information (Producer, Creator, dates)
+const renderPdfPages = async (file) => {
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pages = [];
+    let info = null;
+    try {
+        info = (await pdf.getMetadata().catch(() => null))?.info || null;
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            pages.push({ pageNumber, dataUrl: canvas.toDataURL('image/png'), mimeType: 'image/png' });
+            page.cleanup();
+        }
+    } finally {
+        pdf.destroy();
+    }
+    return { pages, info };
+};
+
+// Function to delete a slip document together with its image chunk sub-documents and its share links in one write
+const deleteSlipWithChunks = async (slipDocRef, shareLinkDocs = []) => {
+    const chunkSnapshot = await getDocs(collection(slipDocRef, 'chunks'));
+    const batch = writeBatch(slipDocRef.firestore);
+    chunkSnapshot.docs.forEach(chunkDoc => batch.delete(chunkDoc.ref));
+    shareLinkDocs.forEach(linkDoc => {
+        for (let index = 0; index < (linkDoc.data().chunkCount || 0); index++) batch.delete(doc(linkDoc.ref, 'chunks', String(index)));
+        batch.delete(linkDoc.ref);
+    });
+    batch.delete(slipDocRef);
+    await batch.commit();
+};
+
+// Function to load the share links (made by any member) of some slips, grouped by slip ID
+// Firestore's `in` filter takes at most 30 values, so the IDs are queried in groups
+const getSlipShareLinks = async (db, appId, workspacePath, slipIds) => {
+    const linksBySlip = {};
+    for (let start = 0; start < slipIds.length; start += 30) {
+        const snapshot = await getDocs(query(collection(db, `artifacts/${appId}/shareLinks`),
+            where('workspacePath', '==', workspacePath), where('slipId', 'in', slipIds.slice(start, start + 30))));
+        snapshot.docs.forEach(linkDoc => {
+            const slipId = linkDoc.data().slipId;
+            linksBySlip[slipId] = [...(linksBySlip[slipId] || []), linkDoc];
+        });
+    }
+    return linksBySlip;
+};
+
+// Month names and abbreviations (Thai and English) mapped to month numbers, longest first so "ต.ค." wins over "ต.ค"
+const MONTH_NAMES = Object.entries({
+    1: ['มกราคม', 'ม.ค.', 'มค', 'january', 'jan'],
+    2: ['กุมภาพันธ์', 'ก.พ.', 'กพ', 'february', 'feb'],
+    3: ['มีนาคม', 'มี.ค.', 'มีค', 'march', 'mar'],
+    4: ['เมษายน', 'เม.ย.', 'เมย', 'april', 'apr'],
+    5: ['พฤษภาคม', 'พ.ค.', 'พค', 'may'],
+    6: ['มิถุนายน', 'มิ.ย.', 'มิย', 'june', 'jun'],
+    7: ['กรกฎาคม', 'ก.ค.', 'กค', 'july', 'jul'],
+    8: ['สิงหาคม', 'ส.ค.', 'สค', 'august', 'aug'],
+    9: ['กันยายน', 'ก.ย.', 'กย', 'september', 'sept', 'sep'],
+    10: ['ตุลาคม', 'ต.ค.', 'ตค', 'october', 'oct'],
+    11: ['พฤศจิกายน', 'พ.ย.', 'พย', 'november', 'nov'],
+    12: ['ธันวาคม', 'ธ.ค.', 'ธค', 'december', 'dec']
+}).flatMap(([month, names]) => names.map(name => ({ name, month: Number(month) })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+// Thai slips print times in Bangkok time
+const THAI_TIMEZONE_OFFSET = '+07:00';
+
+// Function to turn a year as printed on a slip into a Gregorian year
+// 4-digit years >= 2400 are Buddhist Era (BE = CE + 543); 2-digit years may be BE ("68") or CE ("25"),
+// so the reading closest to today is used
+const toGregorianYear = (yearText) => {
+    const year = parseInt(yearText, 10);
+    if (yearText.length >= 4) {
+        return year >= 2400 ? year - 543 : year;
+    }
+    const currentYear = new Date().getFullYear();
+    const asGregorian = 2000 + year;
+    const asBuddhist = 2500 + year - 543;
+    return Math.abs(asGregorian - currentYear) <= Math.abs(asBuddhist - currentYear) ? asGregorian : asBuddhist;
+};
+
+// Function to parse a printed time ("14:35", "14.35 น.", "2:35:10 PM") into { hours, minutes, seconds }
+const parseTimeText = (timeText) => {
+    const match = String(timeText || '').match(/(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*(am|pm)?/i);
+    if (!match) return null;
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const seconds = match[3] ? parseInt(match[3], 10) : 0;
+    const meridiem = match[4]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return { hours, minutes, seconds };
+};
+
+// Function to parse a printed date into { year, month, day, afterText } (Gregorian), or null if it cannot be read
+// afterText is what follows the date (e.g. a time printed in the same field). Handles "19 ต.ค. 68", "19 ตุลาคม 2568", "19/10/2568", "19-10-25", "Oct 19, 2025", "19 Oct 2025" and "2025-10-19"
+const parseDateText = (dateText) => {
+    const text = String(dateText || '').trim().toLowerCase();
+    if (!text) return null;
+
+    let day;
+    let month;
+    let yearText;
+    let afterText;
+
+    const isoMatch = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const numericMatch = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (isoMatch) {
+        [, yearText, month, day] = isoMatch;
+        afterText = text.slice(isoMatch.index + isoMatch[0].length);
+    } else if (numericMatch) {
+        [, day, month, yearText] = numericMatch; // Thai slips are always day-first
+        afterText = text.slice(numericMatch.index + numericMatch[0].length);
+    } else {
+        const monthEntry = MONTH_NAMES.find(entry => text.includes(entry.name));
+        if (!monthEntry) return null;
+        month = monthEntry.month;
+        const rest = text.replace(monthEntry.name, ' ');
+        const numbers = [...rest.matchAll(/\d+/g)];
+        if (numbers.length < 2) return null;
+        // "Oct 19, 2025" and "19 ต.ค. 68" both give [day, year] once the month is removed
+        [day, yearText] = numbers.map(number => number[0]);
+        afterText = rest.slice(numbers[1].index + numbers[1][0].length);
+    }
+
+    const year = toGregorianYear(String(yearText));
+    day = parseInt(day, 10);
+    month = parseInt(month, 10);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null; // Rejects 31/02 and other impossible dates
+    }
+    return { year, month, day, afterText };
+};
+
+// Function to normalize the printed date and time of a slip
+// Returns { isoDate: 'YYYY-MM-DD', isoDateTime: ISO 8601 with +07:00, dateParseError } alongside the raw text
+const normalizeTransactionDate = (dateText, timeText) => {
+    const date = parseDateText(dateText);
+    if (!date) {
+        return { isoDate: null, isoDateTime: null, dateParseError: !!dateText };
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    const isoDate = `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+    // Some slips print the time in the date field; only the text after the date is read, so "19.10.68" is not 19:10
+    const time = parseTimeText(timeText) || parseTimeText(date.afterText);
+    const isoDateTime = time
+        ? `${isoDate}T${pad(time.hours)}:${pad(time.minutes)}:${pad(time.seconds)}${THAI_TIMEZONE_OFFSET}`
+        : null;
+    return { isoDate, isoDateTime, dateParseError: false };
+};
+
+// Function to add normalized date fields to extracted data that was saved before they existed
+const withNormalizedDate = (data) => (
+    data.isoDate !== undefined ? data : { ...data, ...normalizeTransactionDate(data.transactionDate, data.transactionTime) }
+);
+
+// Function to format an ISO date (YYYY-MM-DD) for display in Thai
+const formatThaiDate = (isoDate) => new Date(`${isoDate}T00:00:00${THAI_TIMEZONE_OFFSET}`).toLocaleDateString('th-TH', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'Asia/Bangkok'
+});
+
+// Extracted slip fields in table order, with their Thai labels
+const EXTRACTED_FIELDS = [
+    { key: 'senderName', label: 'ชื่อผู้ส่ง' },
+    { key: 'recipientName', label: 'ชื่อผู้รับ' },
+    { key: 'amount', label: 'จำนวนเงิน' },
+    { key: 'transactionDate', label: 'วันที่ทำรายการ' },
+    { key: 'transactionTime', label: 'เวลาทำรายการ' },
+    { key: 'transactionId', label: 'รหัสอ้างอิง' },
+    { key: 'senderBankName', label: 'ชื่อธนาคารต้นทาง' },
+    { key: 'senderBankAccountNumber', label: 'เลขบัญชีต้นทาง' },
+    { key: 'recipientBankName', label: 'ชื่อธนาคารปลายทาง' },
+    { key: 'recipientBankAccountNumber', label: 'เลขบัญชีปลายทาง' },
+    { key: 'country', label: 'ประเทศ' }
+];
+
+// Function to turn an amount string such as "1,234.50 บาท" into a number
+const parseAmount = (amount) => parseFloat(String(amount ?? '').replace(/[^0-9.-]+/g, "") || '0') || 0;
+
+// Function to format a number as a Thai Baht amount with two decimals
+const formatBaht = (value) => `฿${(value || 0).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+
+// Fields every slip must have
+const REQUIRED_FIELDS = ['senderName', 'recipientName', 'amount', 'transactionDate', 'transactionTime'];
+
+// Lowest per-field confidence (0-1) reported by the model that does not need a human check
+const REVIEW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Oldest transaction date accepted without review (a misread Buddhist year lands hundreds of years off)
+const MAX_SLIP_AGE_DAYS = 2 * 365;
+
+// Account number lengths (digit slots, masked ones included) per bank; banks not listed use 10 digits
+// PromptPay slips show a phone number (10) or citizen/tax ID (13); e-wallet IDs vary, so they are not checked
+const BANK_ACCOUNT_LENGTHS = { GSB: [12], GHB: [12], BAAC: [12], PROMPTPAY: [10, 13] };
+
+// Validation rules run after each extraction and each manual correction
+// check(data, now) returns a list of { field, message } problems with the slip data
+const VALIDATION_RULES = [
+    {
+        id: 'required',
+        check: (data) => REQUIRED_FIELDS
+            .filter(field => !String(data[field] ?? '').trim())
+            .map(field => ({ field, message: 'ไม่มีข้อมูล' }))
+    },
+    {
+        id: 'amountFormat',
+        check: (data) => {
+            const text = String(data.amount ?? '').replace(/บาท|thb|baht|฿|\s/gi, '');
+            if (!text) return []; // Reported by the required rule
+            if (!/^(\d{1,3}(,\d{3})+|\d+)(\.\d{1,2})?$/.test(text)) return [{ field: 'amount', message: 'รูปแบบจำนวนเงินไม่ถูกต้อง' }];
+            if (parseAmount(text) <= 0) return [{ field: 'amount', message: 'จำนวนเงินต้องมากกว่า 0' }];
+            return [];
+        }
+    },
+    {
+        id: 'datePlausible',
+        check: (data, now) => {
+            if (!String(data.transactionDate ?? '').trim()) return []; // Reported by the required rule
+            if (!data.isoDate) return [{ field: 'transactionDate', message: 'อ่านวันที่ไม่ได้' }];
+            const today = new Date(now + 7 * 3600000).toISOString().slice(0, 10); // Bangkok calendar day
+            const isFuture = data.isoDateTime
+                ? new Date(data.isoDateTime).getTime() > now + 5 * 60 * 1000 // Allow for clock differences
+                : data.isoDate > today;
+            if (isFuture) return [{ field: 'transactionDate', message: 'วันที่อยู่ในอนาคต' }];
+            if (new Date(`${data.isoDate}T00:00:00${THAI_TIMEZONE_OFFSET}`).getTime() < now - MAX_SLIP_AGE_DAYS * 86400000) {
+                return [{ field: 'transactionDate', message: 'วันที่เก่าเกินไป' }];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'accountLength',
+        check: (data) => ['sender', 'recipient'].flatMap(side => {
+            const field = `${side}BankAccountNumber`;
+            const bank = getBankById(data[`${side}BankId`]);
+            const account = parseAccountNumber(data[field]);
+            if (!bank || !account || bank.type === 'ewallet') return [];
+            const lengths = BANK_ACCOUNT_LENGTHS[bank.id] || [10];
+            if (lengths.includes(account.positions.length)) return [];
+            return [{ field, message: `เลขบัญชี ${bank.shortName} ต้องมี ${lengths.join(' หรือ ')} หลัก (พบ ${account.positions.length} หลัก)` }];
+        })
+    }
+];
+
+// Function to validate extracted slip data; returns [{ rule, field, message }] including fields the model was unsure of
+const validateSlip = (data, confidence, now = Date.now()) => [
+    ...VALIDATION_RULES.flatMap(rule => rule.check(data, now).map(issue => ({ rule: rule.id, ...issue }))),
+    ...Object.entries(confidence || {})
+        .filter(([, score]) => typeof score === 'number' && score < REVIEW_CONFIDENCE_THRESHOLD)
+        .map(([field, score]) => ({ rule: 'lowConfidence', field, message: `AI มั่นใจเพียง ${Math.round(score * 100)}%` }))
+];
+
+// Function to get the review state of a slip: approved by a person, or needs review when it has validation issues
+const getReviewStatus = (issues, previousStatus) => (
+    previousStatus === 'approved' ? 'approved' : issues.length > 0 ? 'needs_review' : 'ok'
+);
+
+// Function to apply edited field values to slip data and recompute what depends on them (amount, banks, ISO dates)
+const applyFieldChanges = (data, changes) => {
+    const updated = { ...data, ...changes };
+    if ('amount' in changes) {
+        updated.parsedAmount = parseAmount(updated.amount); // Keep totals in sync with the corrected amount
+    }
+    if ('senderBankName' in changes || 'recipientBankName' in changes) {
+        Object.assign(updated, withCanonicalBanks(updated));
+    }
+    if ('transactionDate' in changes || 'transactionTime' in changes) {
+        Object.assign(updated, normalizeTransactionDate(updated.transactionDate, updated.transactionTime));
+    }
+    return updated;
+};
+
+// Function to mark corrected fields as fully confident (a person has checked them)
+const withCorrectedConfidence = (confidence, fields) => (
+    confidence ? { ...confidence, ...Object.fromEntries(fields.map(field => [field, 1])) } : null
+);
+
+// Bounding boxes come from the model as [ymin, xmin, ymax, xmax] on a 0-1000 grid over the image
+const FIELD_BOX_SCALE = 1000;
+
+// Image modal: the initial view, and the zoom range and step (per button press, key or wheel notch)
+const DEFAULT_IMAGE_VIEW = { zoom: 1, rotation: 0, x: 0, y: 0 };
+const IMAGE_ZOOM_MIN = 0.5;
+const IMAGE_ZOOM_MAX = 6;
+const IMAGE_ZOOM_STEP = 1.25;
+
+// Function to turn the model's bounding boxes into { top, left, width, height } fractions of the image,
+// dropping boxes that are missing or malformed so the image modal can trust what it gets
+const normalizeFieldBoxes = (boxes) => {
+    if (!boxes || typeof boxes !== 'object') return null;
+    const normalized = {};
+    EXTRACTED_FIELDS.forEach(({ key }) => {
+        const box = boxes[key];
+        if (!Array.isArray(box) || box.length !== 4 || !box.every(value => Number.isFinite(value))) return;
+        const [ymin, xmin, ymax, xmax] = box.map(value => Math.min(Math.max(value, 0), FIELD_BOX_SCALE) / FIELD_BOX_SCALE);
+        if (ymax <= ymin || xmax <= xmin) return;
+        normalized[key] = { top: ymin, left: xmin, width: xmax - xmin, height: ymax - ymin };
+    });
+    return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+// Editing software that leaves its name in image or PDF metadata (EXIF Software, XMP CreatorTool, PNG text, PDF Producer)
+const EDITING_SOFTWARE_MARKERS = [
+    'Adobe Photoshop', 'Photoshop Express', 'Lightroom', 'GIMP', 'Snapseed', 'PicsArt', 'Canva', 'Pixelmator',
+    'Affinity Photo', 'Paint.NET', 'Photopea', 'Meitu', 'PhotoDirector', 'Fotor', 'Acrobat', 'Foxit', 'PDFescape', 'Sejda', 'Smallpdf', 'iLovePDF'
+];
+
+// Luminance quantization table of the JPEG standard at quality 50, used to estimate the quality a JPEG was saved at
+const JPEG_STANDARD_LUMINANCE_TABLE = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+// Bank apps save slips as PNG or high-quality JPEG; lower quality or JPEG blocks inside a PNG suggest a re-saved copy
+const MIN_ORIGINAL_JPEG_QUALITY = 80;
+const PNG_BLOCKINESS_THRESHOLD = 1.3;
+
+// Allowed difference between the printed transaction time and file/upload times (phone and server clocks drift)
+const RISK_CLOCK_TOLERANCE_MS = 10 * 60 * 1000;
+
+// Slips uploaded this long after the transfer are unusual for a payment being checked at the counter
+const RISK_STALE_SLIP_DAYS = 30;
+
+// Risk levels by minimum score (0-100); the filter and badges use the same levels
+const RISK_LEVELS = {
+    low: { label: 'ความเสี่ยงต่ำ', min: 0, icon: 'fa-shield-alt', color: 'bg-green-700 text-green-100' },
+    medium: { label: 'น่าสงสัย', min: 30, icon: 'fa-exclamation-triangle', color: 'bg-orange-500 text-white' },
+    high: { label: 'เสี่ยงสูง', min: 60, icon: 'fa-skull-crossbones', color: 'bg-red-600 text-white' }
+};
+
+// Function to get the risk level key for a score
+const getRiskLevel = (score) => (score >= RISK_LEVELS.high.min ? 'high' : score >= RISK_LEVELS.medium.min ? 'medium' : 'low');
+
+// Function to read EXIF/XMP dates ("2025:10:19 14:35:10", Thai local time) as timestamps
+const parseMetadataDates = (binary) => [...new Set(binary.match(/\d{4}:\d{2}:\d{2} \d{2}:\d{2}:\d{2}/g) || [])]
+    .map(text => new Date(`${text.slice(0, 10).replace(/:/g, '-')}T${text.slice(11)}${THAI_TIMEZONE_OFFSET}`).getTime())
+    .filter(time => !isNaN(time));
+
+// Function to estimate the quality (1-100) a JPEG was saved at from its first quantization table, null when not a JPEG
+const estimateJpegQuality = (binary) => {
+    if (binary.charCodeAt(0) !== 0xFF || binary.charCodeAt(1) !== 0xD8) return null;
+    let pos = 2;
+    while (pos + 4 <= binary.length && binary.charCodeAt(pos) === 0xFF) {
+        const marker = binary.charCodeAt(pos + 1);
+        const length = (binary.charCodeAt(pos + 2) << 8) | binary.charCodeAt(pos + 3);
+        if (marker === 0xDB) {
+            const precision = binary.charCodeAt(pos + 4) >> 4; // 0 = 8-bit values, 1 = 16-bit values
+            let sum = 0;
+            for (let i = 0; i < 64; i++) {
+                sum += precision ? (binary.charCodeAt(pos + 5 + i * 2) << 8) | binary.charCodeAt(pos + 6 + i * 2) : binary.charCodeAt(pos + 5 + i);
+            }
+            // Inverse of the libjpeg quality scaling, using the table sums so the zigzag order does not matter
+            const scale = (sum * 100) / JPEG_STANDARD_LUMINANCE_TABLE.reduce((total, value) => total + value, 0);
+            return Math.max(1, Math.min(100, Math.round(scale <= 100 ? (200 - scale) / 2 : 5000 / scale)));
+        }
+        if (marker === 0xDA) break; // Image data starts, no table found
+        pos += 2 + length;
+    }
+    return null;
+};
+
+// Function to measure 8x8 JPEG block edges in an image: the average pixel step across block borders
+// divided by the step inside blocks (about 1 for images that were never JPEG-compressed)
+const measureBlockiness = async (dataUrl) => {
+    const img = await loadImage(dataUrl);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    let border = 0;
+    let borderCount = 0;
+    let inner = 0;
+    let innerCount = 0;
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width - 1; x++) {
+            const i = (y * canvas.width + x) * 4;
+            const step = Math.abs(pixels[i] - pixels[i + 4]) + Math.abs(pixels[i + 1] - pixels[i + 5]) + Math.abs(pixels[i + 2] - pixels[i + 6]);
+            if (x % 8 === 7) {
+                border += step;
+                borderCount++;
+            } else {
+                inner += step;
+                innerCount++;
+            }
+        }
+    }
+    if (!borderCount || !inner) return null; // Too small or a flat image
+    return (border / borderCount) / (inner / innerCount);
+};
+
+// Function to find the first editing software named in metadata text
+const findEditingSoftware = (text) => EDITING_SOFTWARE_MARKERS.find(marker => text.includes(marker)) || null;
+
+// Function to analyze an uploaded image file for signs of editing, before it is resized and re-encoded
+// Returns { format, software, metadataDates, jpegQuality, blockiness, fileLastModified }
+const analyzeImageForensics = async (dataUrl, file) => {
+    const binary = atob(dataUrl.split(',')[1] || '');
+    const mimeType = getDataUrlMimeType(dataUrl);
+    const format = mimeType === 'image/jpeg' ? 'jpeg' : mimeType === 'image/png' ? 'png' : mimeType.replace('image/', '');
+    let blockiness = null;
+    if (format === 'png') {
+        try {
+            blockiness = await measureBlockiness(dataUrl);
+        } catch (e) {
+            console.error("Blockiness analysis error:", e);
+        }
+    }
+    return {
+        format,
+        software: findEditingSoftware(binary),
+        metadataDates: parseMetadataDates(binary),
+        jpegQuality: estimateJpegQuality(binary),
+        blockiness,
+        fileLastModified: file.lastModified || null
+    };
+};
+
+// Function to analyze the document information of an uploaded PDF (shared by all of its pages)
+const analyzePdfForensics = (info, file) => {
+    const dates = [info?.CreationDate, info?.ModDate]
+        .map(text => String(text || '').match(/D:(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/))
+        .filter(Boolean)
+        .map(([, year, month, day, hours, minutes, seconds]) => new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${THAI_TIMEZONE_OFFSET}`).getTime());
+    return {
+        format: 'pdf',
+        software: findEditingSoftware(`${info?.Producer || ''} ${info?.Creator || ''}`),
+        metadataDates: dates.filter(time => !isNaN(time)),
+        jpegQuality: null,
+        blockiness: null,
+        fileLastModified: file.lastModified || null
+    };
+};
+
+// Function to get the normalized transaction references of a slip (printed and from the QR)
+// They are also stored on the slip as transactionRefs, so slips in other batches can be found by reference
+const getTransactionRefs = (data, qrData) => [...new Set([data?.transactionId, qrData?.transactionRef].filter(Boolean).map(normalizeRef))];
+
+// Function to index slips by normalized transaction reference (printed or from the QR) in upload order
+const buildTransactionRefIndex = (items) => {
+    const index = new Map();
+    items.forEach(item => {
+        getTransactionRefs(item.data, item.qrData).forEach(ref => {
+            if (!index.has(ref)) index.set(ref, []);
+            index.get(ref).push(item);
+        });
+    });
+    return index;
+};
+
+// Function to load the extracted slips anywhere in the workspace (every batch) that share one of the transaction references
+// Firestore's `array-contains-any` filter takes at most 30 values, so the references are queried in groups
+const getSlipsByTransactionRef = async (slipsCollectionRef, refs) => {
+    const found = new Map();
+    for (let start = 0; start < refs.length; start += 30) {
+        const snapshot = await getDocs(query(slipsCollectionRef, where('transactionRefs', 'array-contains-any', refs.slice(start, start + 30))));
+        snapshot.docs.forEach(slipDoc => {
+            const data = slipDoc.data();
+            if (data.deletedAt || !data.extractedData) return;
+            found.set(slipDoc.id, {
+                imageId: slipDoc.id,
+                batchId: data.batchId || null,
+                data: data.extractedData,
+                qrData: data.qrData || null,
+                uploadedAt: data.timestamp || null,
+                duplicateOf: data.duplicateOf || null
+            });
+        });
+    }
+    return [...found.values()];
+};
+
+// Fraud checks: each returns the reasons [{ message, weight }] it finds for a slip; weights add up to the risk score
+const RISK_CHECKS = [
+    {
+        id: 'metadata',
+        check: ({ forensics }) => {
+            if (!forensics) return [];
+            const reasons = [];
+            if (forensics.software) {
+                reasons.push({ message: `พบร่องรอยโปรแกรมแก้ไขภาพ/เอกสาร (${forensics.software})`, weight: 45 });
+            }
+            if (forensics.metadataDates.length > 1 && Math.max(...forensics.metadataDates) - Math.min(...forensics.metadataDates) > RISK_CLOCK_TOLERANCE_MS) {
+                reasons.push({ message: 'ไฟล์ถูกแก้ไขหลังจากสร้างครั้งแรก (วันที่ใน metadata ไม่ตรงกัน)', weight: 20 });
+            }
+            return reasons;
+        }
+    },
+    {
+        id: 'recompression',
+        check: ({ forensics }) => {
+            if (!forensics) return [];
+            if (forensics.jpegQuality !== null && forensics.jpegQuality < MIN_ORIGINAL_JPEG_QUALITY) {
+                return [{ message: `ไฟล์ JPEG ถูกบีบอัดซ้ำ (คุณภาพประมาณ ${forensics.jpegQuality}%)`, weight: 15 }];
+            }
+            if (forensics.blockiness !== null && forensics.blockiness > PNG_BLOCKINESS_THRESHOLD) {
+                return [{ message: 'ไฟล์ PNG มีร่องรอยการบีบอัดแบบ JPEG มาก่อน (อาจถูกแก้ไขแล้วบันทึกใหม่)', weight: 20 }];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'qr',
+        check: ({ item }) => {
+            if (!item.qrData) return [{ message: 'ไม่พบ QR สำหรับตรวจสอบสลิป', weight: 10 }];
+            const mismatches = getQrMismatches(item.qrData, item.data);
+            if (mismatches.length === 0) return [];
+            const labels = mismatches.map(key => EXTRACTED_FIELDS.find(field => field.key === key)?.label || key);
+            return [{ message: `ข้อมูลใน QR ไม่ตรงกับข้อความบนสลิป (${labels.join(', ')})`, weight: 40 }];
+        }
+    },
+    {
+        id: 'reusedRef',
+        check: ({ item, refIndex }) => {
+            const earlier = getTransactionRefs(item.data, item.qrData).flatMap(ref => refIndex.get(ref) || []).filter(other => other !== item &&
+                (other.uploadedAt || 0) <= (item.uploadedAt || 0));
+            if (earlier.length === 0) return [];
+            if (earlier.some(other => (other.data.parsedAmount || 0) !== (item.data.parsedAmount || 0))) {
+                return [{ message: 'เลขอ้างอิงซ้ำกับสลิปที่อัปโหลดก่อนหน้าแต่ยอดเงินต่างกัน', weight: 50 }];
+            }
+            return [{ message: `เลขอ้างอิงซ้ำกับสลิปที่อัปโหลดก่อนหน้า ${earlier.length} รายการ`, weight: 30 }];
+        }
+    },
+    {
+        id: 'timestamps',
+        check: ({ item, forensics }) => {
+            const transferredAt = item.data.isoDateTime ? new Date(item.data.isoDateTime).getTime() : null;
+            if (!transferredAt) return [];
+            const reasons = [];
+            if (item.uploadedAt && transferredAt > item.uploadedAt + RISK_CLOCK_TOLERANCE_MS) {
+                reasons.push({ message: 'เวลาโอนบนสลิปอยู่หลังเวลาที่อัปโหลด', weight: 40 });
+            } else if (item.uploadedAt && item.uploadedAt - transferredAt > RISK_STALE_SLIP_DAYS * 86400000) {
+                reasons.push({ message: `อัปโหลดหลังเวลาโอนเกิน ${RISK_STALE_SLIP_DAYS} วัน`, weight: 10 });
+            }
+            const fileTimes = [forensics?.fileLastModified, ...(forensics?.metadataDates || [])].filter(Boolean);
+            if (fileTimes.some(time => time < transferredAt - RISK_CLOCK_TOLERANCE_MS)) {
+                reasons.push({ message: 'ไฟล์ถูกสร้างก่อนเวลาโอนที่พิมพ์บนสลิป', weight: 35 });
+            }
+            return reasons;
+        }
+    }
+];
+
+// Function to score how likely a slip is to be fake or edited; returns { score, level, reasons }
+const assessSlipRisk = (item, refIndex) => {
+    const reasons = RISK_CHECKS.flatMap(check => check.check({ item, forensics: item.forensics, refIndex })
+        .map(reason => ({ check: check.id, ...reason })));
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+    return { score, level: getRiskLevel(score), reasons };
+};
+
+// Risk badge with the reasons as a tooltip
+const RiskBadge = ({ risk }) => {
+    if (!risk) return null;
+    const level = RISK_LEVELS[risk.level];
+    return (
+        <span
+            className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${level.color}`}
+            title={risk.reasons.length > 0 ? risk.reasons.map(reason => `• ${reason.message}`).join('\n') : 'ไม่พบสัญญาณผิดปกติ'}
+        >
+            <i className={`fas ${level.icon} mr-1`}></i>{level.label} {risk.score}
+        </span>
+    );
+};
+
+// Inline editable table cell: click to edit, Enter or blur to save, Escape to cancel
+// Without onSave the cell is read-only (viewers of a shared workspace)
+const EditableCell = ({ value, display, onSave, edited, title }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(value || '');
+
+    const startEditing = () => {
+        setDraft(value || '');
+        setIsEditing(true);
+    };
+
+    const commit = () => {
+        setIsEditing(false);
+        if (draft.trim() !== (value || '')) {
+            onSave(draft.trim());
+        }
+    };
+
+    if (isEditing) {
+        return (
+            <input
+                type="text"
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter') commit();
+                    if (e.key === 'Escape') setIsEditing(false);
+                }}
+                className="w-full min-w-[8rem] p-1 rounded bg-blue-900 text-blue-100 border border-yellow-400 focus:outline-none"
+            />
+        );
+    }
+
+    return (
+        <span
+            onClick={onSave ? startEditing : undefined}
+            title={title || (onSave ? 'คลิกเพื่อแก้ไข' : undefined)}
+            className={`${onSave ? 'cursor-text' : ''} ${edited ? 'text-yellow-200 border-b border-dotted border-yellow-400' : ''}`}
+        >
+            {display}
+            {edited && <i className="fas fa-pen ml-1 text-xs text-yellow-400"></i>}
+        </span>
+    );
+};
+
+// Prompt shared by all extraction providers
+const EXTRACTION_PROMPT = `
+    โปรดดึงข้อมูลต่อไปนี้จากสลิปโอนเงินที่ให้มา:
+    - ชื่อผู้ส่ง (Sender Name)
+    - ชื่อผู้รับ (Recipient Name)
+    - จำนวนเงิน (Amount)
+    - วันที่ทำรายการ (Transaction Date)
+    - เวลาทำรายการ (Transaction Time)
+    - รหัสอ้างอิงการทำรายการ (Transaction ID) - ถ้ามี
+    - ชื่อธนาคารต้นทาง (Sender Bank Name) - ถ้ามี
+    - เลขบัญชีต้นทาง (Sender Bank Account Number) - ถ้ามี
+    - ชื่อธนาคารปลายทาง (Recipient Bank Name) - ถ้ามี
+    - เลขบัญชีปลายทาง (Recipient Bank Account Number) - ถ้ามี
+    - ประเทศ (Country) - ถ้ามี
+
+    ใส่คะแนนความมั่นใจของแต่ละฟิลด์ (0 ถึง 1) ไว้ใน confidence โดยใช้ชื่อฟิลด์เดียวกัน
+    ให้คะแนนต่ำเมื่อข้อความเบลอ ถูกบัง หรือต้องเดา
+
+    ใส่ตำแหน่งบนรูปที่อ่านแต่ละฟิลด์มาไว้ใน boxes โดยใช้ชื่อฟิลด์เดียวกัน
+    เป็น [ymin, xmin, ymax, xmax] ในสเกล 0 ถึง 1000 ของความสูงและความกว้างของรูป ใช้ null ถ้าไม่พบฟิลด์นั้นบนรูป
+
+    โปรดตอบกลับเป็น JSON ตาม schema ที่กำหนดเท่านั้น
+`;
+
+// JSON response schema (Gemini schema format) shared by all extraction providers
+const EXTRACTION_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "senderName": { "type": "STRING" },
+        "recipientName": { "type": "STRING" },
+        "amount": { "type": "STRING" },
+        "transactionDate": { "type": "STRING" },
+        "transactionTime": { "type": "STRING" },
+        "transactionId": { "type": "STRING", "nullable": true },
+        "senderBankName": { "type": "STRING", "nullable": true },
+        "senderBankAccountNumber": { "type": "STRING", "nullable": true },
+        "recipientBankName": { "type": "STRING", "nullable": true },
+        "recipientBankAccountNumber": { "type": "STRING", "nullable": true },
+        "country": { "type": "STRING", "nullable": true },
+        // Per-field confidence (0-1), used to send unsure extractions to the review queue
+        "confidence": {
+            "type": "OBJECT",
+            "properties": Object.fromEntries(EXTRACTED_FIELDS.map(field => [field.key, { "type": "NUMBER" }]))
+        },
+        // Where each field was read on the image, highlighted in the image modal
+        "boxes": {
+            "type": "OBJECT",
+            "properties": Object.fromEntries(EXTRACTED_FIELDS.map(field => [field.key, { "type": "ARRAY", "items": { "type": "NUMBER" }, "nullable": true }]))
+        }
+    },
+    "propertyOrdering": [
+        "senderName", "recipientName", "amount", "transactionDate",
+        "transactionTime", "transactionId", "senderBankName",
+        "senderBankAccountNumber", "recipientBankName", "recipientBankAccountNumber", "country", "confidence", "boxes"
+    ]
+};
+
+// Function to build a deterministic number from a string (used by the mock provider)
+const hashString = (text) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+};
+
+// Error thrown by extraction providers when the endpoint answers with a non-2xx HTTP status
+class ExtractionHttpError extends Error {
+    constructor(status, message, retryAfterMs = null) {
+        super(message);
+        this.name = 'ExtractionHttpError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs; // From the Retry-After header, if the server sent one
+    }
+
+    // Function to build the error from a failed fetch Response
+    static async fromResponse(response) {
+        let detail = '';
+        try {
+            detail = (await response.text()).slice(0, 200);
+        } catch (e) {
+            // Ignore unreadable bodies, the status code is enough
+        }
+        const retryAfter = parseFloat(response.headers.get('Retry-After'));
+        return new ExtractionHttpError(
+            response.status,
+            `HTTP ${response.status}${detail ? `: ${detail}` : ''}`,
+            isNaN(retryAfter) ? null : retryAfter * 1000
+        );
+    }
+
+    // Rate limits and server errors are worth retrying, other client errors are not
+    get isRetryable() {
+        return this.status === 429 || this.status >= 500;
+    }
+}
+
+// Extraction providers. Each one has the same shape:
+// { id, label, defaultModel, needsApiKey, needsBaseUrl, extract({ base64ImageData, mimeType, model, settings, signal }) }
+// extract resolves to { jsonText, raw }, where jsonText is the model's JSON answer (null if the response was unusable)
+// settings.apiKey is the key saved for that provider only
+const EXTRACTION_PROVIDERS = {
+    gemini: {
+        id: 'gemini',
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.0-flash',
+        needsApiKey: true,
+        needsBaseUrl: false,
+        extract: async ({ base64ImageData, mimeType, model, settings, signal }) => {
+            const payload = {
+                contents: [{
+                    role: "user",
+                    parts: [
+                        { text: EXTRACTION_PROMPT },
+                        { inlineData: { mimeType, data: base64ImageData } }
+                    ]
+                }],
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: EXTRACTION_SCHEMA
+                }
+            };
+
+            const apiKey = settings.apiKey || "";
+            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal
+            });
+            if (!response.ok) {
+                throw await ExtractionHttpError.fromResponse(response);
+            }
+            const result = await response.json();
+
+            const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text || null;
+            return { jsonText, raw: result };
+        }
+    },
+    openai: {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        needsApiKey: true,
+        needsBaseUrl: true,
+        extract: async ({ base64ImageData, mimeType, model, settings, signal }) => {
+            const baseUrl = (settings.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+            const payload = {
+                model,
+                response_format: { type: 'json_object' },
+                messages: [
+                    {
+                        role: 'system',
+                        content: `Reply with a single JSON object with these keys: ${EXTRACTION_SCHEMA.propertyOrdering.join(', ')}. Use null for missing values. confidence is an object with a 0-1 score for each of the other keys. boxes is an object with the [ymin, xmin, ymax, xmax] box (0-1000 of the image height and width) each of the other keys was read from, or null.`
+                    },
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: EXTRACTION_PROMPT },
+                            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64ImageData}` } }
+                        ]
+                    }
+                ]
+            };
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {})
+                },
+                body: JSON.stringify(payload),
+                signal
+            });
+            if (!response.ok) {
+                throw await ExtractionHttpError.fromResponse(response);
+            }
+            const result = await response.json();
+
+            const jsonText = result.choices?.[0]?.message?.content || null;
+            return { jsonText, raw: result };
+        }
+    },
+    mock: {
+        id: 'mock',
+        label: 'Local mock (offline)',
+        defaultModel: 'mock-v1',
+        needsApiKey: false,
+        needsBaseUrl: false,
+        // Derives stable fake values from the image bytes, so the same image always gives the same result
+        extract: async ({ base64ImageData }) => {
+            const seed = hashString(base64ImageData);
+            const senders = ['สมชาย ใจดี', 'สมหญิง รักไทย', 'John Smith', 'วิภา สุขใจ'];
+            const recipients = ['ร้านค้าตัวอย่าง', 'บริษัท ทดสอบ จำกัด', 'มานะ มีทรัพย์'];
+            const banks = ['กสิกรไทย', 'ไทยพาณิชย์', 'กรุงเทพ', 'กรุงไทย', 'กรุงศรี'];
+            const mockData = {
+                senderName: senders[seed % senders.length],
+                recipientName: recipients[seed % recipients.length],
+                amount: ((seed % 500000) / 100).toFixed(2),
+                transactionDate: `${(seed % 28) + 1} ต.ค. 68`,
+                transactionTime: `${String(seed % 24).padStart(2, '0')}:${String(seed % 60).padStart(2, '0')}`,
+                transactionId: `MOCK${String(seed).padStart(12, '0')}`,
+                senderBankName: banks[seed % banks.length],
+                senderBankAccountNumber: `xxx-x-x${String(seed % 10000).padStart(4, '0')}-x`,
+                recipientBankName: banks[(seed >> 3) % banks.length],
+                recipientBankAccountNumber: `xxx-x-x${String((seed >> 5) % 10000).padStart(4, '0')}-x`,
+                country: 'ไทย',
+                // Roughly one field in ten comes back unsure, so the review queue can be tried offline
+                confidence: Object.fromEntries(EXTRACTED_FIELDS.map((field, index) => [field.key, (seed >> index) % 10 === 0 ? 0.55 : 0.95])),
+                // One band per field, top to bottom, so the image modal highlighting can be tried offline
+                boxes: Object.fromEntries(EXTRACTED_FIELDS.map((field, index) => [field.key, [80 + index * 75, 100, 140 + index * 75, 900]]))
+            };
+            return { jsonText: JSON.stringify(mockData), raw: mockData };
+        }
+    }
+};
+
+// Extraction queue tuning: parallel requests, retry attempts and the first backoff delay (doubled per attempt)
+const EXTRACTION_CONCURRENCY = 3;
+const EXTRACTION_MAX_RETRIES = 4;
+const EXTRACTION_BASE_BACKOFF_MS = 1000;
+
+// Function to wait for a number of milliseconds, rejecting early if the signal is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+});
+
+// Function to run an async task, retrying 429/5xx and network failures with exponential backoff and jitter
+const withRetry = async (task, { retries = EXTRACTION_MAX_RETRIES, baseDelayMs = EXTRACTION_BASE_BACKOFF_MS, signal, onRetry } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            // fetch rejects with a TypeError when the network itself fails
+            const retryable = err instanceof ExtractionHttpError ? err.isRetryable : err instanceof TypeError;
+            if (!retryable || attempt >= retries) throw err;
+
+            const backoff = err.retryAfterMs ?? baseDelayMs * Math.pow(2, attempt);
+            const waitMs = backoff + Math.random() * baseDelayMs;
+            onRetry?.(attempt + 1, err, waitMs);
+            await sleep(waitMs, signal);
+        }
+    }
+};
+
+// Function to run a worker over items with at most `concurrency` workers in flight; stops picking up items once aborted
+const runJobQueue = async (items, worker, { concurrency = EXTRACTION_CONCURRENCY, signal } = {}) => {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length && !signal?.aborted) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+};
+
+// Slip processing lifecycle stored on each slip document, with the badge shown for each state
+const SLIP_STATUSES = {
+    uploaded: { label: 'อัปโหลดแล้ว', icon: 'fa-cloud-upload-alt', color: 'bg-gray-600' },
+    queued: { label: 'รอคิว', icon: 'fa-clock', color: 'bg-blue-600' },
+    processing: { label: 'กำลังประมวลผล', icon: 'fa-spinner fa-spin', color: 'bg-blue-500' },
+    extracted: { label: 'ดึงข้อมูลแล้ว', icon: 'fa-check-circle', color: 'bg-green-600' },
+    failed: { label: 'ล้มเหลว', icon: 'fa-exclamation-circle', color: 'bg-red-600' }
+};
+
+// A queued/processing status older than this is treated as abandoned (e.g. the other tab was closed)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Identifies this browser tab, so a slip being processed in another tab is not picked up twice
+const TAB_SESSION_ID = crypto.randomUUID();
+
+// Function to read the status of a slip document, falling back for slips saved before statuses existed
+const getSlipStatus = (data) => data.status || (data.extractedData ? 'extracted' : 'uploaded');
+
+// Function to check if a slip is currently queued or processing in another tab
+const isBusyElsewhere = (image) => ['queued', 'processing'].includes(image.status) &&
+    image.processingSession && image.processingSession !== TAB_SESSION_ID &&
+    Date.now() - (image.statusUpdatedAt || 0) < STALE_PROCESSING_MS;
+
+// Default extraction settings, overridden by what the user saved in the settings panel
+// API keys are kept per provider ({ [providerId]: key }), so switching provider never sends one vendor's key to another
+const DEFAULT_EXTRACTION_SETTINGS = { provider: 'gemini', model: '', apiKeys: {}, baseUrl: '' };
+
+// localStorage key for extraction settings (kept in the browser so API keys never reach Firestore)
+const EXTRACTION_SETTINGS_STORAGE_KEY = 'aislip.extractionSettings';
+
+// Function to load saved extraction settings from localStorage
+const loadExtractionSettings = () => {
+    try {
+        const { apiKey, ...saved } = JSON.parse(localStorage.getItem(EXTRACTION_SETTINGS_STORAGE_KEY) || '{}');
+        // Settings saved before keys were per provider had one apiKey, which belonged to the provider chosen then
+        const apiKeys = saved.apiKeys || (apiKey ? { [saved.provider || DEFAULT_EXTRACTION_SETTINGS.provider]: apiKey } : {});
+        return { ...DEFAULT_EXTRACTION_SETTINGS, ...saved, apiKeys };
+    } catch (e) {
+        console.error("Failed to read extraction settings:", e);
+        return { ...DEFAULT_EXTRACTION_SETTINGS };
+    }
+};
+
+// IndexedDB database for work done while offline: "uploads" keeps the original files until they are
+// saved to Firestore, "extractions" keeps the slips the user asked to extract until the network returns
+const OFFLINE_DB_NAME = 'aislip-offline';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_UPLOADS_STORE = 'uploads';
+const OFFLINE_EXTRACTIONS_STORE = 'extractions';
+
+// Background Sync tag; the service worker posts it back to the app when the connection returns
+const OFFLINE_SYNC_TAG = 'aislip-offline-sync';
+
+// Function to open the offline IndexedDB database, creating its stores on first use
+const openOfflineDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(OFFLINE_UPLOADS_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(OFFLINE_EXTRACTIONS_STORE, { keyPath: 'imageId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Function to run a single request against an offline store and resolve with its result once committed
+const runOfflineRequest = async (storeName, mode, makeRequest) => {
+    const offlineDb = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = offlineDb.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => { offlineDb.close(); resolve(request.result); };
+        transaction.onerror = () => { offlineDb.close(); reject(transaction.error); };
+    });
+};
+
+// Functions to add, remove and list records of an offline store
+const putOfflineRecord = (storeName, record) => runOfflineRequest(storeName, 'readwrite', store => store.put(record));
+const deleteOfflineRecord = (storeName, key) => runOfflineRequest(storeName, 'readwrite', store => store.delete(key));
+const getOfflineRecords = (storeName) => runOfflineRequest(storeName, 'readonly', store => store.getAll());
+
+// Function to ask the service worker to wake the app for a sync once the browser is back online
+// Browsers without Background Sync rely on the "online" event while the app is open
+const requestOfflineSync = async () => {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration?.sync) await registration.sync.register(OFFLINE_SYNC_TAG);
+    } catch (e) {
+        console.error("Failed to register background sync:", e);
+    }
+};
+
+// Share links: the "View Image URL" export column and the share button point at ?share=<token>, which opens a
+// read-only copy of one slip stored under artifacts/{appId}/shareLinks/{token} (access is checked in firestore.rules)
+const SHARE_LINK_PARAM = 'share';
+const SHARE_LINK_EXPIRY_OPTIONS = [
+    { days: 1, label: '1 วัน' },
+    { days: 7, label: '7 วัน' },
+    { days: 30, label: '30 วัน' },
+    { days: 90, label: '90 วัน' },
+    { days: 0, label: 'ไม่หมดอายุ' }
+];
+const DEFAULT_SHARE_LINK_EXPIRY_DAYS = 30;
+
+// Function to create an unguessable, URL-safe share token (192 random bits)
+const createShareToken = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+};
+
+// Function to check if a share link can still be opened
+const isShareLinkActive = (link, now = Date.now()) => !link.revokedAt && (!link.expiresAt || link.expiresAt > now);
+
+// Function to build the viewer URL of a share token
+const buildShareUrl = (token) => `${window.location.origin}${window.location.pathname}?${SHARE_LINK_PARAM}=${token}`;
+
+// Export columns: key, Thai and English headers, cell type (for XLSX) and how to read the value from a table item
+// ctx carries what some columns need besides the item itself (e.g. the viewer URL builder)
+const EXPORT_COLUMNS = [
+    { key: 'imageId', th: 'Image ID', en: 'Image ID', type: 'string', get: (item) => item.imageId },
+    { key: 'viewUrl', th: 'View Image URL', en: 'View Image URL', type: 'string', get: (item, ctx) => ctx.getViewUrl(item) },
+    { key: 'senderName', th: 'ชื่อผู้ส่ง', en: 'Sender Name', type: 'string', get: (item) => item.data.senderName },
+    { key: 'recipientName', th: 'ชื่อผู้รับ', en: 'Recipient Name', type: 'string', get: (item) => item.data.recipientName },
+    { key: 'amount', th: 'จำนวนเงิน', en: 'Amount', type: 'number', get: (item) => item.data.parsedAmount },
+    { key: 'amountText', th: 'จำนวนเงิน (ตามสลิป)', en: 'Amount (as printed)', type: 'string', get: (item) => item.data.amount },
+    { key: 'transactionDate', th: 'วันที่ทำรายการ', en: 'Transaction Date (as printed)', type: 'string', get: (item) => item.data.transactionDate },
+    { key: 'transactionTime', th: 'เวลาทำรายการ', en: 'Transaction Time', type: 'string', get: (item) => item.data.transactionTime },
+    { key: 'isoDate', th: 'วันที่ (ISO)', en: 'Date', type: 'date', get: (item) => item.data.isoDate },
+    { key: 'isoDateTime', th: 'วันเวลาทำรายการ (ISO)', en: 'Date/Time', type: 'datetime', get: (item) => item.data.isoDateTime || item.data.isoDate },
+    { key: 'transactionId', th: 'รหัสอ้างอิงการทำรายการ', en: 'Transaction ID', type: 'string', get: (item) => item.data.transactionId },
+    { key: 'senderBankName', th: 'ชื่อธนาคารต้นทาง', en: 'Sender Bank', type: 'string', get: (item) => getCanonicalBankName(item.data, 'sender') },
+    { key: 'senderBankAccountNumber', th: 'เลขบัญชีต้นทาง', en: 'Sender Account', type: 'string', get: (item) => item.data.senderBankAccountNumber },
+    { key: 'recipientBankName', th: 'ชื่อธนาคารปลายทาง', en: 'Recipient Bank', type: 'string', get: (item) => getCanonicalBankName(item.data, 'recipient') },
+    { key: 'recipientBankAccountNumber', th: 'เลขบัญชีปลายทาง', en: 'Recipient Account', type: 'string', get: (item) => item.data.recipientBankAccountNumber },
+    { key: 'country', th: 'ประเทศ', en: 'Country', type: 'string', get: (item) => item.data.country },
+    { key: 'status', th: 'สถานะ', en: 'Status', type: 'string', get: (item) => item.status },
+    { key: 'duplicateOf', th: 'ซ้ำกับสลิป', en: 'Duplicate Of', type: 'string', get: (item) => item.duplicateOf }
+];
+
+// Default export layout, the columns the original CSV export had except "View Image URL", which is opt-in
+// because it publishes a share link for every exported slip
+const DEFAULT_EXPORT_COLUMN_KEYS = [
+    'imageId', 'senderName', 'recipientName', 'amountText', 'transactionDate', 'transactionTime',
+    'isoDateTime', 'transactionId', 'senderBankName', 'senderBankAccountNumber', 'recipientBankName',
+    'recipientBankAccountNumber', 'country'
+];
+
+// Export formats; columnar formats use the chosen columns, OFX/QIF always write the fields accounting software needs
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;', columnar: true },
+    xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', columnar: true },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', columnar: true },
+    ofx: { label: 'OFX', extension: 'ofx', mimeType: 'application/x-ofx', columnar: false },
+    qif: { label: 'QIF', extension: 'qif', mimeType: 'application/qif', columnar: false }
+};
+
+// Function to get the earliest and latest normalized dates of the exported rows (null when no row has a date)
+const getExportDateRange = (items) => {
+    const dates = items.map(item => item.data.isoDate).filter(Boolean).sort();
+    return dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : null;
+};
+
+// Function to build the default export file name, including the batch name and the date range of the rows
+const buildExportFileName = (items, format, batchName) => {
+    const range = getExportDateRange(items);
+    const suffix = range ? (range.from === range.to ? `_${range.from}` : `_${range.from}_to_${range.to}`) : '';
+    const batchPart = batchName ? `_${batchName.trim().replace(/[\\/:*?"<>|\s]+/g, '_')}` : '';
+    return `slip_data${batchPart}${suffix}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// Function to turn an ISO date or datetime (Bangkok wall time) into a local Date with the same wall-clock values
+const isoToLocalDate = (iso) => {
+    const match = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/);
+    if (!match) return null;
+    const [, y, m, d, hh = '0', mm = '0', ss = '0'] = match;
+    return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
+};
+
+// Function to build a CSV string with the chosen columns and header language
+const buildCsvExport = (items, columns, language, ctx) => {
+    const rows = [columns.map(column => column[language])];
+    items.forEach(item => rows.push(columns.map(column => column.get(item, ctx) ?? '')));
+    return rows.map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')).join('\n');
+};
+
+// Function to build a JSON array of objects keyed by the chosen column headers
+const buildJsonExport = (items, columns, language, ctx) => JSON.stringify(
+    items.map(item => Object.fromEntries(columns.map(column => [column[language], column.get(item, ctx) ?? null]))),
+    null,
+    2
+);
+
+// Function to build an XLSX workbook where amounts are numeric cells and dates are real date cells
+const buildXlsxExport = (items, columns, language, ctx) => {
+    const aoa = [columns.map(column => column[language])];
+    items.forEach(item => aoa.push(columns.map(column => {
+        const value = column.get(item, ctx);
+        if (value === null || value === undefined || value === '') return null;
+        if (column.type === 'date' || column.type === 'datetime') return isoToLocalDate(value);
+        return value;
+    })));
+
+    const sheet = XLSX.utils.aoa_to_sheet(aoa, { cellDates: true });
+    // Apply number formats so Excel shows 2 decimals and readable dates
+    columns.forEach((column, columnIndex) => {
+        const format = column.type === 'number' ? '#,##0.00' : column.type === 'date' ? 'yyyy-mm-dd' : column.type === 'datetime' ? 'yyyy-mm-dd hh:mm:ss' : null;
+        if (!format) return;
+        for (let rowIndex = 1; rowIndex < aoa.length; rowIndex++) {
+            const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+            if (cell) cell.z = format;
+        }
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Slips');
+    return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+};
+
+// Function to format an ISO date/time as an OFX timestamp (YYYYMMDDHHMMSS[+7:ICT])
+const toOfxDate = (item) => {
+    const iso = item.data.isoDateTime || item.data.isoDate;
+    if (!iso) return null;
+    const digits = iso.replace(/[^0-9]/g, '').slice(0, 14).padEnd(14, '0');
+    return `${digits}[+7:ICT]`;
+};
+
+// Function to escape text for OFX (SGML) values
+const escapeOfx = (text) => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Function to build an OFX 1.02 bank statement; direction 'in' writes credits (payments received), 'out' writes debits
+const buildOfxExport = (items, direction) => {
+    const sign = direction === 'out' ? -1 : 1;
+    const dated = items.filter(item => toOfxDate(item));
+    const range = getExportDateRange(dated);
+    const transactions = dated.map(item => [
+        '<STMTTRN>',
+        `<TRNTYPE>${direction === 'out' ? 'DEBIT' : 'CREDIT'}`,
+        `<DTPOSTED>${toOfxDate(item)}`,
+        `<TRNAMT>${(sign * (item.data.parsedAmount || 0)).toFixed(2)}`,
+        `<FITID>${escapeOfx(item.data.transactionId || item.imageId)}`,
+        `<NAME>${escapeOfx((direction === 'out' ? item.data.recipientName : item.data.senderName) || '').slice(0, 32)}`,
+        `<MEMO>${escapeOfx(`${getCanonicalBankName(item.data, 'sender')} -> ${getCanonicalBankName(item.data, 'recipient')}`)}`,
+        '</STMTTRN>'
+    ].join('\n')).join('\n');
+
+    return [
+        'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:UTF-8', 'CHARSET:NONE',
+        'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        `<DTSERVER>${new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14)}<LANGUAGE>THA</SONRS></SIGNONMSGSRSV1>`,
+        '<BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        '<STMTRS><CURDEF>THB',
+        '<BANKACCTFROM><BANKID>AISLIP<ACCTID>SLIPS<ACCTTYPE>CHECKING</BANKACCTFROM>',
+        `<BANKTRANLIST><DTSTART>${range ? range.from.replace(/-/g, '') : ''}<DTEND>${range ? range.to.replace(/-/g, '') : ''}`,
+        transactions,
+        '</BANKTRANLIST>',
+        '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+        '</OFX>'
+    ].join('\n');
+};
+
+// Function to build a QIF bank file (dates as DD/MM/YYYY, as Thai accounting software expects)
+const buildQifExport = (items, direction) => {
+    const sign = direction === 'out' ? -1 : 1;
+    const lines = ['!Type:Bank'];
+    items.filter(item => item.data.isoDate).forEach(item => {
+        const [year, month, day] = item.data.isoDate.split('-');
+        lines.push(`D${day}/${month}/${year}`);
+        lines.push(`T${(sign * (item.data.parsedAmount || 0)).toFixed(2)}`);
+        lines.push(`P${(direction === 'out' ? item.data.recipientName : item.data.senderName) || ''}`);
+        if (item.data.transactionId) lines.push(`N${item.data.transactionId}`);
+        lines.push(`M${getCanonicalBankName(item.data, 'sender')} -> ${getCanonicalBankName(item.data, 'recipient')}`);
+        lines.push('^');
+    });
+    return lines.join('\n');
+};
+
+// Function to build export content for a format; returns a string, or an ArrayBuffer for XLSX
+const buildExport = (format, items, options, ctx) => {
+    const columns = options.columnKeys.map(key => EXPORT_COLUMNS.find(column => column.key === key)).filter(Boolean);
+    switch (format) {
+        case 'xlsx': return buildXlsxExport(items, columns, options.headerLanguage, ctx);
+        case 'json': return buildJsonExport(items, columns, options.headerLanguage, ctx);
+        case 'ofx': return buildOfxExport(items, options.direction);
+        case 'qif': return buildQifExport(items, options.direction);
+        default: return buildCsvExport(items, columns, options.headerLanguage, ctx);
+    }
+};
+
+// Reconciliation windows: a statement line with a time must be this close to the slip time,
+// a line with only a date may be this many days away (bank posting dates can lag the transfer)
+const RECONCILE_TIME_WINDOW_MS = 30 * 60 * 1000;
+const RECONCILE_DATE_WINDOW_DAYS = 1;
+
+// Statement lines are stored in chunk sub-documents of this many lines, so a long statement stays under
+// Firestore's 1 MiB document limit
+const STATEMENT_LINES_PER_CHUNK = 500;
+
+// Statement CSV header aliases (normalized: lowercase, no spaces or punctuation), checked in this order
+const STATEMENT_COLUMN_ALIASES = {
+    date: ['date', 'วันที่', 'transactiondate', 'postingdate', 'valuedate', 'วันที่ทำรายการ'],
+    time: ['time', 'เวลา'],
+    credit: ['credit', 'deposit', 'ฝาก', 'เงินเข้า', 'ฝากเงิน'],
+    debit: ['debit', 'withdrawal', 'ถอน', 'เงินออก', 'ถอนเงิน'],
+    amount: ['amount', 'จำนวนเงิน', 'ยอดเงิน'],
+    reference: ['reference', 'ref', 'refno', 'เลขที่อ้างอิง', 'อ้างอิง', 'transactionid'],
+    description: ['description', 'details', 'memo', 'รายละเอียด', 'รายการ', 'ช่องทาง', 'channel']
+};
+
+// Function to normalize a CSV header cell for alias matching
+const normalizeHeaderText = (text) => String(text || '').toLowerCase().replace(/[\s.,:/()_-]+/g, '');
+
+// Function to map header cells to fields using an alias table ({ field: [aliases] }, fields tried in table order)
+const detectColumns = (row, aliases) => {
+    const columns = {};
+    const cells = row.map(normalizeHeaderText);
+    const assign = (matches) => cells.forEach((cell, index) => {
+        if (!cell || Object.values(columns).includes(index)) return;
+        const field = Object.keys(aliases).find(key =>
+            columns[key] === undefined && aliases[key].some(alias => matches(cell, alias))
+        );
+        if (field) columns[field] = index;
+    });
+    assign((cell, alias) => cell === alias); // Exact header names first, then prefixes such as "วันที่ทำรายการ"
+    assign((cell, alias) => cell.startsWith(alias));
+    return columns;
+};
+
+// Function to map a row to statement fields, or null if the row is not a statement header (needs a date and an amount column)
+const detectStatementColumns = (row) => {
+    const columns = detectColumns(row, STATEMENT_COLUMN_ALIASES);
+    const hasAmount = columns.amount !== undefined || columns.credit !== undefined || columns.debit !== undefined;
+    return columns.date !== undefined && hasAmount ? columns : null;
+};
+
+// Function to read CSV text into rows of cell strings
+const readCsvRows = (text) => {
+    const workbook = XLSX.read(text, { type: 'string', raw: true }); // raw keeps "19/10/2568" as text
+    return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+};
+
+// Function to parse a CSV bank statement into lines { id, isoDate, isoDateTime, amount, reference, description }
+// Bank exports often have title rows before the header; amounts are positive for money in and negative for money out
+const parseStatementCsv = (text) => {
+    const rows = readCsvRows(text);
+    const headerIndex = rows.findIndex(row => detectStatementColumns(row));
+    if (headerIndex === -1) {
+        throw new Error('ไม่พบหัวคอลัมน์วันที่และจำนวนเงินในไฟล์ CSV');
+    }
+    const columns = detectStatementColumns(rows[headerIndex]);
+    const cell = (row, field) => (columns[field] !== undefined ? String(row[columns[field]] ?? '').trim() : '');
+    const hasCreditDebit = columns.credit !== undefined || columns.debit !== undefined;
+
+    return rows.slice(headerIndex + 1).map((row, index) => {
+        const amount = hasCreditDebit
+            ? Math.abs(parseAmount(cell(row, 'credit'))) - Math.abs(parseAmount(cell(row, 'debit')))
+            : parseAmount(cell(row, 'amount'));
+        const { isoDate, isoDateTime } = normalizeTransactionDate(cell(row, 'date'), cell(row, 'time'));
+        if (!isoDate || !amount) return null; // Blank rows, balances brought forward and totals
+        return {
+            id: `row-${headerIndex + index + 2}`, // 1-based row number in the file
+            isoDate,
+            isoDateTime,
+            amount,
+            reference: cell(row, 'reference'),
+            description: cell(row, 'description')
+        };
+    }).filter(Boolean);
+};
+
+// Function to parse an OFX timestamp (YYYYMMDD[HHMMSS][.XXX][[+7:ICT]]) into Bangkok isoDate / isoDateTime
+// Thai banks write times without a zone in local time, so a missing zone is read as Bangkok time
+const parseOfxDate = (text) => {
+    const match = String(text || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/);
+    if (!match) return { isoDate: null, isoDateTime: null };
+    const [, year, month, day, hours, minutes, seconds = '00', offset] = match;
+    if (!hours) return { isoDate: `${year}-${month}-${day}`, isoDateTime: null };
+    const offsetHours = offset !== undefined ? parseFloat(offset) : 7;
+    const utc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)) - offsetHours * 3600000;
+    const bangkok = new Date(utc + 7 * 3600000).toISOString();
+    return { isoDate: bangkok.slice(0, 10), isoDateTime: `${bangkok.slice(0, 19)}${THAI_TIMEZONE_OFFSET}` };
+};
+
+// Function to read one value from an OFX transaction block (SGML closing tags are optional)
+const getOfxValue = (block, tag) => (block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))?.[1] || '')
+    .trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+// Function to parse an OFX/QFX bank statement (SGML or XML) into lines
+const parseStatementOfx = (text) => {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    return blocks.map((block, index) => {
+        const { isoDate, isoDateTime } = parseOfxDate(getOfxValue(block, 'DTPOSTED'));
+        const amount = parseFloat(getOfxValue(block, 'TRNAMT').replace(/,/g, '')) || 0;
+        if (!isoDate || !amount) return null;
+        return {
+            id: getOfxValue(block, 'FITID') || `trn-${index + 1}`,
+            isoDate,
+            isoDateTime,
+            amount,
+            reference: getOfxValue(block, 'REFNUM') || getOfxValue(block, 'CHECKNUM') || getOfxValue(block, 'FITID'),
+            description: [getOfxValue(block, 'NAME'), getOfxValue(block, 'MEMO')].filter(Boolean).join(' ')
+        };
+    }).filter(Boolean);
+};
+
+// Function to read an imported CSV/OFX file as text; Thai exports are either UTF-8 or Windows-874 (TIS-620)
+const readTextFile = async (file) => {
+    const buffer = await file.arrayBuffer();
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('windows-874').decode(buffer);
+    }
+};
+
+// Function to parse an imported bank statement file (CSV or OFX/QFX) into lines
+const parseBankStatement = async (file) => {
+    const text = await readTextFile(file);
+    const isOfx = /\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text);
+    const lines = isOfx ? parseStatementOfx(text) : parseStatementCsv(text);
+    if (lines.length === 0) {
+        throw new Error(`ไม่พบรายการในไฟล์ ${file.name}`);
+    }
+    return lines;
+};
+
+// Function to load the lines of a stored statement from its chunk sub-documents
+// (statements imported before lines were chunked keep them inline and are returned as they are)
+const loadStatementLines = async (statementDocRef, statement) => {
+    if (statement.lines) return statement.lines;
+    const chunkSnapshot = await getDocs(collection(statementDocRef, 'lines'));
+    return chunkSnapshot.docs.map(chunkDoc => chunkDoc.data()).sort((a, b) => a.index - b.index).flatMap(chunk => chunk.lines);
+};
+
+// Function to delete a statement document together with its line chunk sub-documents in one write
+const deleteStatementWithLines = async (statementDocRef) => {
+    const chunkSnapshot = await getDocs(collection(statementDocRef, 'lines'));
+    const batch = writeBatch(statementDocRef.firestore);
+    chunkSnapshot.docs.forEach(chunkDoc => batch.delete(chunkDoc.ref));
+    batch.delete(statementDocRef);
+    await batch.commit();
+};
+
+// Function to get where the trash retention setting is kept: on the workspace document for a shared workspace,
+// so only its owner decides when everyone's deleted items are purged, or in the user's preferences for their own space
+const getTrashSettings = (db, appId, userId, workspaceId) => workspaceId
+    ? { ref: doc(db, `artifacts/${appId}/workspaces`, workspaceId), field: 'trashRetentionDays' }
+    : { ref: doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'trash'), field: 'retentionDays' };
+
+// Function to give each line of a stored statement a key that is unique across statements
+const getStatementLines = (statement) => (statement.lines || []).map(line => ({
+    ...line,
+    key: `${statement.id}/${line.id}`,
+    statementId: statement.id,
+    statementName: statement.fileName
+}));
+
+// Function to score how well a statement line matches a slip, or null when they cannot be the same transfer
+// The amount must be equal, with the sign of the slips' direction ('in' = money received is a credit line,
+// 'out' = money paid is a debit line); a matching reference is the strongest signal, then how close the times are
+const scoreStatementMatch = (item, line, direction = 'in') => {
+    const slipAmount = direction === 'out' ? -line.amount : line.amount;
+    if (Math.abs(slipAmount - (item.data.parsedAmount || 0)) > 0.005) return null;
+
+    const slipRef = normalizeRef(item.data.transactionId);
+    const lineRef = normalizeRef(line.reference);
+    const lineText = normalizeRef(`${line.reference} ${line.description}`);
+    const refMatch = slipRef.length >= 6 && (lineText.includes(slipRef) || (lineRef.length >= 6 && slipRef.includes(lineRef)));
+    let score = refMatch ? 100 : 0;
+
+    if (item.data.isoDateTime && line.isoDateTime) {
+        const diffMs = Math.abs(new Date(item.data.isoDateTime) - new Date(line.isoDateTime));
+        if (diffMs > RECONCILE_TIME_WINDOW_MS && !refMatch) return null;
+        score += Math.max(0, 50 - diffMs / 60000); // Up to 50 points, one less per minute apart
+    } else if (item.data.isoDate && line.isoDate) {
+        const diffDays = Math.abs(new Date(item.data.isoDate) - new Date(line.isoDate)) / 86400000;
+        if (diffDays > RECONCILE_DATE_WINDOW_DAYS && !refMatch) return null;
+        score += diffDays === 0 ? 20 : diffDays <= RECONCILE_DATE_WINDOW_DAYS ? 10 : 0;
+    } else if (!refMatch) {
+        return null;
+    }
+    return Math.round(score);
+};
+
+// Function to pair slips with statement lines, best score first, using each slip and each line at most once
+// Returns [{ imageId, line, score }]
+const autoMatchStatement = (items, lines, direction = 'in') => {
+    const candidates = [];
+    items.forEach(item => lines.forEach(line => {
+        const score = scoreStatementMatch(item, line, direction);
+        if (score !== null) candidates.push({ imageId: item.imageId, line, score });
+    }));
+    candidates.sort((a, b) => b.score - a.score);
+
+    const usedSlips = new Set();
+    const usedLines = new Set();
+    return candidates.filter(candidate => {
+        if (usedSlips.has(candidate.imageId) || usedLines.has(candidate.line.key)) return false;
+        usedSlips.add(candidate.imageId);
+        usedLines.add(candidate.line.key);
+        return true;
+    });
+};
+
+// Function to build the reconciliation result stored on a slip; it keeps a copy of the line so it stands on its own
+// Auto matches wait for the user to confirm them, manual matches are confirmed when made
+const buildReconciliationRecord = (line, method, score, userId) => ({
+    lineKey: line.key,
+    statementId: line.statementId,
+    line: {
+        isoDate: line.isoDate,
+        isoDateTime: line.isoDateTime || null,
+        amount: line.amount,
+        reference: line.reference || '',
+        description: line.description || ''
+    },
+    method,
+    score: score ?? null,
+    confirmed: method === 'manual',
+    matchedAt: Date.now(),
+    by: userId
+});
+
+// Expected payment CSV header aliases (normalized), checked in this order
+const INVOICE_COLUMN_ALIASES = {
+    reference: ['invoice', 'invoiceno', 'invoicenumber', 'order', 'orderno', 'reference', 'ref', 'เลขที่ใบแจ้งหนี้', 'ใบแจ้งหนี้', 'เลขที่คำสั่งซื้อ', 'เลขที่'],
+    payerName: ['payer', 'payername', 'customer', 'customername', 'name', 'ชื่อลูกค้า', 'ลูกค้า', 'ชื่อผู้ชำระ', 'ผู้ชำระ', 'ชื่อ'],
+    amount: ['amount', 'total', 'จำนวนเงิน', 'ยอดเงิน', 'ยอดชำระ', 'ยอดรวม'],
+    dueDate: ['duedate', 'due', 'วันครบกำหนด', 'ครบกำหนด', 'กำหนดชำระ', 'date', 'วันที่']
+};
+
+// Function to parse a CSV of expected payments into { reference, payerName, amount, dueDate }
+const parseInvoiceCsv = (text) => {
+    const rows = readCsvRows(text);
+    const headerIndex = rows.findIndex(row => {
+        const columns = detectColumns(row, INVOICE_COLUMN_ALIASES);
+        return columns.payerName !== undefined && columns.amount !== undefined;
+    });
+    if (headerIndex === -1) {
+        throw new Error('ไม่พบหัวคอลัมน์ชื่อผู้ชำระและจำนวนเงินในไฟล์ CSV');
+    }
+    const columns = detectColumns(rows[headerIndex], INVOICE_COLUMN_ALIASES);
+    const cell = (row, field) => (columns[field] !== undefined ? String(row[columns[field]] ?? '').trim() : '');
+
+    return rows.slice(headerIndex + 1).map(row => {
+        const payerName = cell(row, 'payerName');
+        const amount = parseAmount(cell(row, 'amount'));
+        if (!payerName || amount <= 0) return null;
+        return {
+            reference: cell(row, 'reference'),
+            payerName,
+            amount,
+            dueDate: normalizeTransactionDate(cell(row, 'dueDate')).isoDate
+        };
+    }).filter(Boolean);
+};
+
+// Auto-matching slips to expected payments: minimum payer name similarity (0-1) when the amount is exactly what is due,
+// and the stricter minimum for partial payments and overpayments
+const INVOICE_NAME_MATCH_THRESHOLD = 0.5;
+const INVOICE_NAME_STRICT_THRESHOLD = 0.8;
+
+// Function to score how similar two names are (0-1) by the character pairs their normalized forms share
+// Works for Thai and English and tolerates the shortened or masked names printed on slips ("สมชาย ใ***")
+const nameSimilarity = (a, b) => {
+    const left = normalizePayeeName(a).replace(/\*/g, '');
+    const right = normalizePayeeName(b).replace(/\*/g, '');
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    if (left.length < 2 || right.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < left.length - 1; i++) {
+        const pair = left.slice(i, i + 2);
+        bigrams.set(pair, (bigrams.get(pair) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < right.length - 1; i++) {
+        const pair = right.slice(i, i + 2);
+        if (bigrams.get(pair) > 0) {
+            bigrams.set(pair, bigrams.get(pair) - 1);
+            shared++;
+        }
+    }
+    return (2 * shared) / (left.length + right.length - 2);
+};
+
+// Payment state of an expected payment, with the badge shown for each state
+const INVOICE_STATUSES = {
+    outstanding: { label: 'ค้างชำระ', icon: 'fa-hourglass-half', color: 'bg-gray-600' },
+    underpaid: { label: 'ชำระไม่ครบ', icon: 'fa-adjust', color: 'bg-orange-600' },
+    paid: { label: 'ชำระครบ', icon: 'fa-check-circle', color: 'bg-green-600' },
+    overpaid: { label: 'ชำระเกิน', icon: 'fa-plus-circle', color: 'bg-purple-600' }
+};
+
+// Function to get the payment state of an expected payment from the total of the slips matched to it
+const getInvoiceStatus = (amount, paid) => {
+    if (paid <= 0.005) return 'outstanding';
+    if (Math.abs(paid - amount) <= 0.005) return 'paid';
+    return paid > amount ? 'overpaid' : 'underpaid';
+};
+
+// Function to pick the best open expected payment for each slip by payer name similarity and amount
+// Slips are taken in date order and each match reduces the balance left on the payment, so split payments add up
+// balances maps invoice ID to the amount still due; returns [{ imageId, invoiceId, score }]
+const autoMatchInvoices = (items, invoices, balances) => {
+    const remaining = { ...balances };
+    const sorted = [...items].sort((a, b) => String(a.data.isoDateTime || a.data.isoDate || '').localeCompare(String(b.data.isoDateTime || b.data.isoDate || '')));
+    const matches = [];
+    sorted.forEach(item => {
+        const amount = item.data.parsedAmount || 0;
+        let best = null;
+        invoices.forEach(invoice => {
+            const due = remaining[invoice.id];
+            if (due <= 0.005) return; // Already paid in full
+            const similarity = nameSimilarity(item.data.senderName, invoice.payerName);
+            const exactAmount = Math.abs(amount - due) <= 0.005;
+            if (similarity < (exactAmount ? INVOICE_NAME_MATCH_THRESHOLD : INVOICE_NAME_STRICT_THRESHOLD)) return;
+            const score = similarity + (exactAmount ? 1 : amount < due ? 0.3 : 0.1);
+            if (!best || score > best.score) best = { imageId: item.imageId, invoiceId: invoice.id, score };
+        });
+        if (best) {
+            remaining[best.invoiceId] -= amount;
+            matches.push({ ...best, score: Math.round(best.score * 100) / 100 });
+        }
+    });
+    return matches;
+};
+
+// Function to compare two amounts with a search operator (equality allows for rounding to the satang)
+const compareAmounts = (value, op, target) => {
+    switch (op) {
+        case '>': return value > target + 0.005;
+        case '>=': return value >= target - 0.005;
+        case '<': return value < target - 0.005;
+        case '<=': return value <= target + 0.005;
+        default: return Math.abs(value - target) <= 0.005;
+    }
+};
+
+// Function to check if a name contains a searched name, ignoring titles, spacing and case
+const nameIncludes = (name, searched) => {
+    const normalizedSearch = normalizePayeeName(searched);
+    return !!name && (String(name).toLowerCase().includes(searched) || (!!normalizedSearch && normalizePayeeName(name).includes(normalizedSearch)));
+};
+
+// Structured search filters: key -> { label, ops, parse(value), match(item, op, parsedValue) }
+// parse returns null when the value cannot be read; such a filter is shown as an invalid chip and ignored
+const SEARCH_FILTERS = {
+    amount: {
+        label: 'จำนวนเงิน',
+        ops: [':', '=', '>', '>=', '<', '<='],
+        parse: (value) => (/\d/.test(value) ? parseAmount(value) : null),
+        match: (item, op, amount) => compareAmounts(item.data.parsedAmount || 0, op, amount)
+    },
+    bank: {
+        label: 'ธนาคาร',
+        ops: [':', '='],
+        // Registry banks match either side by canonical id ("kbank", "กสิกร", "K PLUS"), anything else by printed name
+        parse: (value) => ({ bank: resolveBank(value), text: value.toLowerCase() }),
+        match: (item, op, { bank, text }) => (bank
+            ? item.data.senderBankId === bank.id || item.data.recipientBankId === bank.id
+            : [item.data.senderBankName, item.data.recipientBankName].some(name => name?.toLowerCase().includes(text)))
+    },
+    sender: {
+        label: 'ผู้โอน',
+        ops: [':', '='],
+        parse: (value) => value.toLowerCase(),
+        match: (item, op, name) => nameIncludes(item.data.senderName, name)
+    },
+    recipient: {
+        label: 'ผู้รับ',
+        ops: [':', '='],
+        parse: (value) => value.toLowerCase(),
+        match: (item, op, name) => nameIncludes(item.data.recipientName, name)
+    },
+    from: {
+        label: 'ตั้งแต่',
+        ops: [':', '='],
+        parse: (value) => normalizeTransactionDate(value).isoDate,
+        match: (item, op, isoDate) => !!item.data.isoDate && item.data.isoDate >= isoDate
+    },
+    to: {
+        label: 'ถึง',
+        ops: [':', '='],
+        parse: (value) => normalizeTransactionDate(value).isoDate,
+        match: (item, op, isoDate) => !!item.data.isoDate && item.data.isoDate <= isoDate
+    },
+    status: {
+        label: 'สถานะ',
+        ops: [':', '='],
+        parse: (value) => (SLIP_STATUSES[value.toLowerCase()] ? value.toLowerCase() : Object.keys(SLIP_STATUSES).find(key => SLIP_STATUSES[key].label === value) || null),
+        match: (item, op, status) => item.status === status
+    },
+    risk: {
+        label: 'ความเสี่ยง',
+        ops: [':', '=', '>='],
+        // "risk:medium" lists medium and high risk slips, "risk=medium" only medium ones
+        parse: (value) => (RISK_LEVELS[value.toLowerCase()] ? value.toLowerCase() : Object.keys(RISK_LEVELS).find(key => RISK_LEVELS[key].label === value) || null),
+        match: (item, op, level) => !!item.risk && (op === '='
+            ? item.risk.level === level
+            : item.risk.score >= RISK_LEVELS[level].min)
+    },
+    ref: {
+        label: 'เลขอ้างอิง',
+        ops: [':', '='],
+        parse: (value) => normalizeRef(value) || null,
+        match: (item, op, ref) => normalizeRef(item.data.transactionId).includes(ref)
+    },
+    account: {
+        label: 'เลขบัญชี',
+        ops: [':', '='],
+        parse: (value) => value.replace(/\D/g, '') || null, // Slips mask most digits, so only the visible ones are compared
+        match: (item, op, digits) => [item.data.senderBankAccountNumber, item.data.recipientBankAccountNumber]
+            .some(account => String(account || '').replace(/\D/g, '').includes(digits))
+    }
+};
+
+// Function to split a search query into tokens
+// Filters are { raw, key, op, value, parsed } ("amount>=1000", 'sender:"สมชาย ใจดี"'); free text is { raw, text }
+const parseSearchQuery = (queryText) => {
+    const tokens = [];
+    const pattern = /([a-zA-Z]+)(>=|<=|>|<|:|=)("[^"]*"?|\S*)|"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(queryText)) !== null) {
+        const [raw, key, op, rawValue, quoted, word] = match;
+        const filter = key && SEARCH_FILTERS[key.toLowerCase()];
+        if (filter && filter.ops.includes(op)) {
+            const value = rawValue.replace(/^"|"$/g, '').trim();
+            tokens.push({ raw, key: key.toLowerCase(), op, value, parsed: value ? filter.parse(value) : null });
+        } else {
+            const text = (quoted ?? word ?? raw).trim().toLowerCase();
+            if (text) tokens.push({ raw, text });
+        }
+    }
+    return tokens;
+};
+
+// Function to turn tokens back into query text
+const buildSearchQuery = (tokens) => tokens.map(token => token.raw).join(' ');
+
+// Function to build the query token for a filter, quoting values with spaces
+const toSearchToken = (key, value) => ({ raw: `${key}:${/\s/.test(value) ? `"${value}"` : value}` });
+
+// Function to check if free search text appears in any field of a slip
+const matchesFreeText = (item, text) => (
+    item.imageId?.toLowerCase().includes(text) ||
+    EXTRACTED_FIELDS.some(field => String(item.data[field.key] ?? '').toLowerCase().includes(text)) ||
+    item.data.isoDate?.includes(text) || // Lets "2025-10-19" find every spelling of that day
+    getCanonicalBankName(item.data, 'sender').toLowerCase().includes(text) ||
+    getCanonicalBankName(item.data, 'recipient').toLowerCase().includes(text)
+);
+
+// Function to check if a slip matches every readable token of a search query
+const matchesSearchTokens = (item, tokens) => tokens.every(token => (token.key
+    ? token.parsed === null || SEARCH_FILTERS[token.key].match(item, token.op, token.parsed)
+    : matchesFreeText(item, token.text)));
+
+// Collator for sorting Thai and English text columns (numbers inside text sort numerically)
+const TABLE_COLLATOR = new Intl.Collator('th', { numeric: true, sensitivity: 'base' });
+
+// Function to get the value a slip table column sorts by
+const getFieldSortValue = (key) => {
+    switch (key) {
+        case 'amount': return (item) => item.data.parsedAmount || 0;
+        case 'transactionDate': return (item) => item.data.isoDateTime || item.data.isoDate || '';
+        case 'transactionTime': return (item) => item.data.isoDateTime?.slice(11, 19) || item.data.transactionTime || '';
+        case 'senderBankName': return (item) => getCanonicalBankName(item.data, 'sender');
+        case 'recipientBankName': return (item) => getCanonicalBankName(item.data, 'recipient');
+        default: return (item) => item.data[key] || '';
+    }
+};
+
+// Slip table columns in display order: header, sort value (null = not sortable) and whether the user may hide it
+// Image ID cannot be hidden because it carries the correction history and duplicate actions
+const TABLE_COLUMNS = [
+    { key: 'image', label: 'รูปภาพ', sortValue: null, hideable: true },
+    { key: 'imageId', label: 'Image ID', sortValue: (item) => item.imageId, hideable: false },
+    { key: 'status', label: 'สถานะ', sortValue: (item) => SLIP_STATUSES[item.status]?.label || '', hideable: true },
+    { key: 'risk', label: 'ความเสี่ยง', sortValue: (item) => item.risk?.score ?? '', hideable: true },
+    { key: 'qr', label: 'QR', sortValue: (item) => (!item.qrData ? '' : getQrMismatches(item.qrData, item.data).length > 0 ? 1 : 2), hideable: true },
+    ...EXTRACTED_FIELDS.map(field => ({ key: field.key, label: field.label, sortValue: getFieldSortValue(field.key), hideable: true }))
+];
+
+// Page sizes offered under the slip table
+const TABLE_PAGE_SIZES = [25, 50, 100, 250];
+
+// Default slip table preferences (saved per user in Firestore)
+const DEFAULT_TABLE_PREFERENCES = { hiddenColumns: [], pageSize: 50, sort: null };
+
+// Function to sort slips by a table column; sort is { key, direction: 'asc' | 'desc' } or null for upload order
+// Values are computed once per slip, and empty values always go last
+const sortSlips = (items, sort) => {
+    const column = sort && TABLE_COLUMNS.find(c => c.key === sort.key);
+    if (!column?.sortValue) return items;
+    const factor = sort.direction === 'desc' ? -1 : 1;
+    return items
+        .map(item => ({ item, value: column.sortValue(item) }))
+        .sort((a, b) => {
+            const aEmpty = a.value === '' || a.value === null;
+            const bEmpty = b.value === '' || b.value === null;
+            if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+            if (typeof a.value === 'number' && typeof b.value === 'number') return (a.value - b.value) * factor;
+            return TABLE_COLLATOR.compare(String(a.value), String(b.value)) * factor;
+        })
+        .map(entry => entry.item);
+};
+
+// Batch that slips saved before batches existed are moved into (also the first batch of a new user)
+const DEFAULT_BATCH_ID = 'default';
+const DEFAULT_BATCH_NAME = 'ชุดแรก';
+
+// Per-user collections whose documents belong to one batch (through their batchId field)
+const BATCH_SCOPED_COLLECTIONS = ['slips', 'statements', 'invoices'];
+
+// Deleted slips and statements stay in the trash for this many days before they are purged (changeable by the workspace owner)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How long the undo toast stays on screen after a delete
+const UNDO_TOAST_MS = 8000;
+
+// Firebase emulator host (e.g. "127.0.0.1"), injected like __firebase_config
+// When set, Auth and Firestore talk to `firebase emulators:start --only auth,firestore` on their default ports
+const FIREBASE_EMULATOR_HOST = typeof __firebase_emulator_host !== 'undefined' ? __firebase_emulator_host : null;
+const AUTH_EMULATOR_PORT = 9099;
+const FIRESTORE_EMULATOR_PORT = 8080;
+
+// Thai messages for the Firebase Auth errors a user can cause
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'รูปแบบอีเมลไม่ถูกต้อง',
+    'auth/invalid-credential': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/wrong-password': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/user-not-found': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth/weak-password': 'รหัสผ่านต้องมีอย่างน้อย 6 ตัวอักษร',
+    'auth/email-already-in-use': 'อีเมลนี้มีบัญชีอยู่แล้ว กรุณาเข้าสู่ระบบแทน',
+    'auth/credential-already-in-use': 'บัญชี Google นี้ถูกใช้กับบัญชีอื่นแล้ว กรุณาเข้าสู่ระบบแทน',
+    'auth/provider-already-linked': 'บัญชีนี้เชื่อมกับวิธีเข้าสู่ระบบนี้อยู่แล้ว',
+    'auth/popup-closed-by-user': 'หน้าต่างเข้าสู่ระบบถูกปิดก่อนเสร็จสิ้น',
+    'auth/popup-blocked': 'เบราว์เซอร์บล็อกหน้าต่างเข้าสู่ระบบ กรุณาอนุญาตป๊อปอัป',
+    'auth/too-many-requests': 'ลองหลายครั้งเกินไป กรุณารอสักครู่แล้วลองใหม่'
+};
+
+// Function to get a message for a Firebase Auth error
+const getAuthErrorMessage = (e) => AUTH_ERROR_MESSAGES[e?.code] || `เข้าสู่ระบบไม่สำเร็จ (${e?.code || e?.message})`;
+
+// Function to keep the parts of a Firebase user the profile menu shows
+const toAuthProfile = (user) => (user ? {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email || null,
+    emailVerified: !!user.emailVerified, // Invitations are only delivered to verified addresses (see firestore.rules)
+    displayName: user.displayName || null,
+    photoURL: user.photoURL || null,
+    providers: user.providerData.map(provider => provider.providerId)
+} : null);
+
+// Roles in a shared workspace; firestore.rules enforces the same permissions on the server
+const WORKSPACE_ROLES = {
+    owner: { label: 'เจ้าของ', description: 'จัดการสมาชิกและข้อมูลทั้งหมด', canEdit: true },
+    editor: { label: 'ผู้แก้ไข', description: 'อัปโหลด ประมวลผล แก้ไข และลบสลิป', canEdit: true },
+    viewer: { label: 'ผู้ดู', description: 'ดูและส่งออกข้อมูลได้อย่างเดียว', canEdit: false }
+};
+
+// Shown when a viewer tries something only owners and editors may do
+const READ_ONLY_MESSAGE = 'คุณมีสิทธิ์ดูอย่างเดียวในพื้นที่ทำงานนี้';
+
+// Function to initialize Firebase from the injected config, connecting to the local emulators when configured
+const initFirebase = () => {
+    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+    const app = initializeApp(firebaseConfig);
+    // Cache data in IndexedDB so slips already loaded stay visible while offline (shared by all tabs)
+    const firestoreDb = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    const firebaseAuth = getAuth(app);
+    if (FIREBASE_EMULATOR_HOST) {
+        connectAuthEmulator(firebaseAuth, `http://${FIREBASE_EMULATOR_HOST}:${AUTH_EMULATOR_PORT}`, { disableWarnings: true });
+        connectFirestoreEmulator(firestoreDb, FIREBASE_EMULATOR_HOST, FIRESTORE_EMULATOR_PORT);
+    }
+    return { firestoreDb, firebaseAuth };
+};
+
+// Read-only page for a shared slip (?share=<token>): the slip image and its extracted fields, no sign-in needed
+// Links that are revoked or expired are refused by the security rules and shown as unavailable
+const SharedSlipViewer = ({ token }) => {
+    const [link, setLink] = useState(null);
+    const [imageUrl, setImageUrl] = useState(null);
+    const [status, setStatus] = useState('loading'); // 'loading', 'ready' or 'unavailable'
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const { firestoreDb } = initFirebase();
+                const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+                const linkDocRef = doc(firestoreDb, `artifacts/${appId}/shareLinks`, token);
+                const linkSnapshot = await getDoc(linkDocRef);
+                if (!linkSnapshot.exists() || !isShareLinkActive(linkSnapshot.data())) {
+                    if (!cancelled) setStatus('unavailable');
+                    return;
+                }
+                const sharedLink = linkSnapshot.data();
+                // The image is copied into chunk sub-documents so the owner's list of links stays light
+                const chunks = await Promise.all(Array.from({ length: sharedLink.chunkCount }, (_, index) =>
+                    getDoc(doc(linkDocRef, 'chunks', String(index)))));
+                if (cancelled) return;
+                setLink(sharedLink);
+                setImageUrl(chunks.every(chunk => chunk.exists()) ? chunks.map(chunk => chunk.data().data).join('') : sharedLink.thumbnailDataUrl);
+                setStatus('ready');
+            } catch (e) {
+                console.error("Error loading shared slip:", e);
+                if (!cancelled) setStatus('unavailable'); // permission-denied: revoked, expired or never existed
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [token]);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-900 via-blue-800 to-blue-900 text-white font-inter p-4 md:p-8">
+            <div className="container mx-auto max-w-5xl">
+                <header className="text-center py-6">
+                    <h1 className="text-3xl md:text-4xl font-extrabold text-yellow-400">AI Slip Extractor</h1>
+                    <p className="text-blue-200">สลิปที่แชร์กับคุณ</p>
+                </header>
+                {status === 'loading' && (
+                    <p className="text-center text-blue-200 text-lg py-12"><i className="fas fa-spinner fa-spin mr-2"></i>กำลังโหลดสลิป...</p>
+                )}
+                {status === 'unavailable' && (
+                    <div className="bg-blue-800 rounded-xl p-8 text-center border border-blue-700">
+                        <i className="fas fa-unlink text-4xl text-orange-300 mb-4"></i>
+                        <p className="text-lg text-blue-100">ลิงก์นี้หมดอายุ ถูกยกเลิก หรือไม่มีอยู่</p>
+                        <p className="text-sm text-blue-300 mt-2">กรุณาขอลิงก์ใหม่จากผู้ที่แชร์สลิปนี้</p>
+                    </div>
+                )}
+                {status === 'ready' && link && (
+                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 border border-blue-700 grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div className="flex justify-center items-start">
+                            <img src={imageUrl} alt={link.fileName || 'Shared slip'} className="max-w-full max-h-[75vh] rounded-md shadow-lg border border-blue-500" />
+                        </div>
+                        <div>
+                            <dl className="divide-y divide-blue-600 text-sm">
+                                {EXTRACTED_FIELDS.map(({ key, label }) => (
+                                    <div key={key} className="py-2 grid grid-cols-2 gap-2">
+                                        <dt className="text-blue-300">{label}</dt>
+                                        <dd className="text-blue-100">
+                                            {key === 'amount' ? formatBaht(link.data?.parsedAmount) :
+                                                key === 'senderBankName' || key === 'recipientBankName' ? (
+                                                    <BankBadge bankId={link.data?.[key.replace('BankName', 'BankId')]} rawName={link.data?.[key]} />
+                                                ) : (link.data?.[key] || '-')}
+                                        </dd>
+                                    </div>
+                                ))}
+                            </dl>
+                            <p className="mt-4 text-xs text-yellow-200">
+                                <i className="fas fa-history mr-1"></i>
+                                ข้อมูล ณ เวลาที่แชร์ ({new Date(link.createdAt).toLocaleString('th-TH')}) การแก้ไขหลังจากนั้นจะไม่แสดงในลิงก์นี้
+                            </p>
+                            <p className="mt-1 text-xs text-blue-300">
+                                แชร์เมื่อ {new Date(link.createdAt).toLocaleString('th-TH')}
+                                {link.expiresAt ? ` · ใช้ได้ถึง ${new Date(link.expiresAt).toLocaleString('th-TH')}` : ''}
+                            </p>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
 
 // Main App Component
 const App = () => {
@@ -15,15 +2239,66 @@ const App = () => {
     const [loading, setLoading] = useState(false); // Indicates if AI is processing
     const [error, setError] = useState(null); // Stores any error messages
     const [isDragOver, setIsDragOver] = useState(false); // For drag-and-drop UI
-    const [showCsvPreview, setShowCsvPreview] = useState(false); // State to control CSV preview modal visibility
-    const [csvContentForPreview, setCsvContentForPreview] = useState(''); // Stores the CSV string for preview
+    const [showExportDialog, setShowExportDialog] = useState(false); // State to control export dialog visibility
+    const [exportOptions, setExportOptions] = useState({
+        format: 'csv',
+        columnKeys: DEFAULT_EXPORT_COLUMN_KEYS, // Chosen columns, in export order
+        headerLanguage: 'th',
+        filteredOnly: true, // Only the rows currently shown in the table
+        includeDuplicates: false,
+        direction: 'in', // OFX/QIF sign: 'in' = payments received, 'out' = payments made
+        fileName: '',
+        shareExpiryDays: DEFAULT_SHARE_LINK_EXPIRY_DAYS // Lifetime of the share links behind the "View Image URL" column
+    });
     const [fileInputKey, setFileInputKey] = useState(0); // Key to force re-render of file input for reset
     const canvasRef = useRef(null); // Reference to the canvas element for background animation
     const [searchQuery, setSearchQuery] = useState(''); // New state for search query
+    const [statusFilter, setStatusFilter] = useState('all'); // Processing status filter for the upload grid and table
+    const [tablePreferences, setTablePreferences] = useState(DEFAULT_TABLE_PREFERENCES); // Sort, page size and hidden columns of the slip table
+    const [tablePage, setTablePage] = useState({ page: 0, viewKey: '' }); // Page of the slip table and the view it belongs to
+    const [showColumnChooser, setShowColumnChooser] = useState(false);
+    const [pendingScrollId, setPendingScrollId] = useState(null); // Slip row to bring into view, possibly on another page
+    const [bankChartSide, setBankChartSide] = useState('recipient'); // Which side of the transfer the bank pie chart shows
+    const [statements, setStatements] = useState([]); // Imported bank statements used for reconciliation
+    const [reconciliationTab, setReconciliationTab] = useState('matched'); // Reconciliation bucket shown in the view
+    const [reconcileDirection, setReconcileDirection] = useState('in'); // Slips are money received ('in', credit lines) or paid ('out', debit lines)
+    const [importingStatement, setImportingStatement] = useState(false);
+    const [invoices, setInvoices] = useState([]); // Expected payments (invoices/orders) slips are matched against
+    const [invoiceDraft, setInvoiceDraft] = useState({ reference: '', payerName: '', amount: '', dueDate: '' }); // New expected payment form
+    const [batches, setBatches] = useState([]); // Named sets of slips ({ id, name, archived, createdAt })
+    const [selectedBatchId, setSelectedBatchId] = useState(null); // Batch the user switched to (saved in preferences)
+    const [batchNameDraft, setBatchNameDraft] = useState(''); // Name typed for a new or renamed batch
+    const [showArchivedBatches, setShowArchivedBatches] = useState(false);
+    const [moveTargetBatchId, setMoveTargetBatchId] = useState(''); // Destination of the "move filtered slips" action
+    const [trashedSlips, setTrashedSlips] = useState([]); // Soft-deleted slips of the active batch
+    const [trashedStatements, setTrashedStatements] = useState([]); // Soft-deleted bank statements of the active batch
+    const [trashRetentionDays, setTrashRetentionDays] = useState(null); // null until the saved setting is loaded
+    const [showTrash, setShowTrash] = useState(false);
+    const [undoToast, setUndoToast] = useState(null); // { message, slipIds, statementIds } of the last delete
+    const [pendingConfirm, setPendingConfirm] = useState(null); // { title, message, confirmLabel, onConfirm } of an action awaiting confirmation
 
     // New state for image pop-up modal
     const [showImageModal, setShowImageModal] = useState(false);
     const [currentImageModalUrl, setCurrentImageModalUrl] = useState(null);
+    const [currentImageModalId, setCurrentImageModalId] = useState(null); // Slip shown in the image modal, for its risk details
+    const [imageView, setImageView] = useState(DEFAULT_IMAGE_VIEW); // Zoom, rotation (degrees) and pan (pixels) of the image modal
+    const [hoveredField, setHoveredField] = useState(null); // Field whose bounding box is highlighted in the image modal
+
+    // State for the correction history modal (imageId of the slip being inspected)
+    const [historyModalImageId, setHistoryModalImageId] = useState(null);
+
+    // State for the review panel: slip under review, its edited values and the image shown beside the form
+    const [reviewImageId, setReviewImageId] = useState(null);
+    const [reviewDraft, setReviewDraft] = useState({});
+    const [reviewImageUrl, setReviewImageUrl] = useState(null);
+
+    // Extraction queue state: per-image job status { [imageId]: { state, attempts, error } } and the cancel handle
+    const [jobStatuses, setJobStatuses] = useState({});
+    const abortControllerRef = useRef(null);
+
+    // Extraction provider settings (provider, model, API key, base URL) and the settings panel
+    const [extractionSettings, setExtractionSettings] = useState(loadExtractionSettings);
+    const [showSettings, setShowSettings] = useState(false);
 
     // Set showExtractedDataTable to true by default to always show the table
     const [showExtractedDataTable, setShowExtractedDataTable] = useState(true); // Changed default to true
@@ -33,17 +2308,56 @@ const App = () => {
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [authProfile, setAuthProfile] = useState(null); // Signed-in user shown in the profile menu (see toAuthProfile)
+    const [verificationEmailSent, setVerificationEmailSent] = useState(false);
+    const [showProfileMenu, setShowProfileMenu] = useState(false);
+    const [authDialog, setAuthDialog] = useState(null); // 'link' (save this anonymous session as an account) or 'signin'
+    const [authForm, setAuthForm] = useState({ email: '', password: '' });
+    const [authBusy, setAuthBusy] = useState(false);
+    const [authError, setAuthError] = useState(null);
+
+    // Shared workspaces the user belongs to and the one in use (null = the user's personal space)
+    const [workspaces, setWorkspaces] = useState([]);
+    const [activeWorkspaceId, setActiveWorkspaceId] = useState(null);
+    const [workspaceInvitations, setWorkspaceInvitations] = useState([]); // Pending invitations sent to the user's email
+    const [teamInvitations, setTeamInvitations] = useState([]); // Invitations the owner of the active workspace has sent
+    const [showTeamPanel, setShowTeamPanel] = useState(false);
+    const [inviteDraft, setInviteDraft] = useState({ email: '', role: 'editor' });
+    const [workspaceNameDraft, setWorkspaceNameDraft] = useState('');
+
+    // Offline support: connection state, files waiting in IndexedDB to be uploaded and slips waiting to be extracted
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [offlineUploads, setOfflineUploads] = useState([]); // { id, fileName, thumbnailDataUrl, batchId, queuedAt } of the active workspace
+    const [pendingExtractionIds, setPendingExtractionIds] = useState([]); // Slips the user asked to extract while offline
+    const [offlineSyncing, setOfflineSyncing] = useState(false);
+    const [offlineSyncRequest, setOfflineSyncRequest] = useState(0); // Bumped by the service worker's Background Sync
+
+    // Share links the user created (newest first), the list dialog, and the link made from the image viewer
+    const [shareLinks, setShareLinks] = useState([]);
+    const [showShareLinks, setShowShareLinks] = useState(false);
+    const [creatingShareLinks, setCreatingShareLinks] = useState(false);
+    const [modalShareUrl, setModalShareUrl] = useState(null);
 
     // Utility function to introduce a delay
     const delay = (ms) => new Promise(res => setTimeout(res, ms));
 
+    // Active workspace, the Firestore path (under artifacts/{appId}) holding its slips, statements, invoices and batches,
+    // and what the user may do there (the personal space is always fully editable)
+    const activeWorkspace = workspaces.find(workspace => workspace.id === activeWorkspaceId) || null;
+    const workspaceKey = activeWorkspace?.id || 'personal'; // Key of per-workspace preferences
+    const workspacePath = activeWorkspace ? `workspaces/${activeWorkspace.id}` : `users/${userId}`;
+    const workspaceRole = activeWorkspace ? activeWorkspace.roles?.[userId] || null : 'owner';
+    const canEdit = !!WORKSPACE_ROLES[workspaceRole]?.canEdit;
+
+    // Active batch: the one the user switched to, or the first batch that is not archived
+    // Uploads, extraction, the dashboard, reconciliation and exports only see this batch
+    const activeBatch = batches.find(batch => batch.id === selectedBatchId) || batches.find(batch => !batch.archived) || null;
+    const activeBatchId = activeBatch?.id || null;
+
     // Initialize Firebase and set up auth listener
     useEffect(() => {
         try {
-            const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-            const app = initializeApp(firebaseConfig);
-            const firestoreDb = getFirestore(app);
-            const firebaseAuth = getAuth(app);
+            const { firestoreDb, firebaseAuth } = initFirebase();
 
             setDb(firestoreDb);
             setAuth(firebaseAuth);
@@ -51,6 +2365,7 @@ const App = () => {
             const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setAuthProfile(toAuthProfile(user));
                 } else {
                     // Sign in anonymously if no user is authenticated
                     if (typeof __initial_auth_token !== 'undefined') {
@@ -68,46 +2383,464 @@ const App = () => {
             console.error("Firebase initialization error:", e);
             setError("Failed to initialize Firebase. Data persistence may not work.");
         }
-    }, []);
+    }, []);
+
+    // Function to open the sign-in dialog ('link' keeps this session's slips under a new account, 'signin' switches account)
+    const openAuthDialog = (mode) => {
+        setAuthDialog(mode);
+        setAuthError(null);
+        setAuthForm({ email: '', password: '' });
+        setShowProfileMenu(false);
+    };
+
+    // Function to run a sign-in step, showing its error in the dialog and closing the dialog when it succeeds
+    const runAuthAction = async (action) => {
+        setAuthBusy(true);
+        setAuthError(null);
+        try {
+            const result = await action();
+            // Linking keeps the same user, so onAuthStateChanged does not fire; refresh the profile here
+            if (result?.user) setAuthProfile(toAuthProfile(result.user));
+            setAuthDialog(null);
+        } catch (e) {
+            console.error("Authentication error:", e);
+            setAuthError(getAuthErrorMessage(e));
+        } finally {
+            setAuthBusy(false);
+        }
+    };
+
+    // Function to sign in (or, for an anonymous session in 'link' mode, create the account) with email and password
+    const submitEmailAuth = () => runAuthAction(() => {
+        const { email, password } = authForm;
+        if (authDialog === 'link' && auth.currentUser?.isAnonymous) {
+            return linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+        }
+        return signInWithEmailAndPassword(auth, email.trim(), password);
+    });
+
+    // Function to sign in with Google; in 'link' mode an anonymous session is upgraded in place so its slips stay
+    const submitGoogleAuth = () => runAuthAction(() => {
+        const provider = new GoogleAuthProvider();
+        if (authDialog === 'link' && auth.currentUser?.isAnonymous) {
+            return linkWithPopup(auth.currentUser, provider);
+        }
+        return signInWithPopup(auth, provider);
+    });
+
+    // Function to send the verification email that invitations to shared workspaces require
+    const sendVerificationEmail = async () => {
+        if (!auth?.currentUser) return;
+        try {
+            await sendEmailVerification(auth.currentUser);
+            setVerificationEmailSent(true);
+        } catch (e) {
+            console.error("Error sending the verification email:", e);
+            setError("Failed to send the verification email.");
+        }
+    };
+
+    // Function to pick up a verification done in another tab; the ID token is refreshed so the rules see it
+    const refreshEmailVerification = async () => {
+        if (!auth?.currentUser) return;
+        try {
+            await auth.currentUser.reload();
+            await auth.currentUser.getIdToken(true);
+            setAuthProfile(toAuthProfile(auth.currentUser));
+        } catch (e) {
+            console.error("Error refreshing the email verification:", e);
+            setError("Failed to check the email verification.");
+        }
+    };
+
+    // Function to sign out; a new anonymous session starts right away so the app keeps working
+    const handleSignOut = async () => {
+        setShowProfileMenu(false);
+        try {
+            await signOut(auth);
+        } catch (e) {
+            console.error("Sign-out error:", e);
+            setError("Failed to sign out.");
+        }
+    };
+
+    // Load the shared workspaces the user is a member of, and the workspace they used last
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady) return;
+
+        setActiveWorkspaceId(null);
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const workspacesQuery = query(collection(db, `artifacts/${appId}/workspaces`), where('memberIds', 'array-contains', userId));
+
+        const unsubscribe = onSnapshot(workspacesQuery, (snapshot) => {
+            const loadedWorkspaces = snapshot.docs.map(workspaceDoc => workspaceDoc.data());
+            loadedWorkspaces.sort((a, b) => String(a.name).localeCompare(String(b.name), 'th'));
+            setWorkspaces(loadedWorkspaces);
+        }, (err) => {
+            console.error("Error fetching workspaces from Firestore:", err);
+            setError("Failed to load shared workspaces.");
+        });
+
+        getDoc(doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'workspace')).then(snapshot => {
+            if (snapshot.exists()) setActiveWorkspaceId(snapshot.data().activeWorkspaceId || null);
+        }).catch(e => {
+            console.error("Error loading the active workspace:", e);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady]);
+
+    // Load invitations sent to the signed-in email address (anonymous users and unverified addresses have none)
+    useEffect(() => {
+        const email = authProfile?.emailVerified ? authProfile.email?.toLowerCase() : null;
+        if (!db || !email || !isAuthReady) {
+            setWorkspaceInvitations([]);
+            return;
+        }
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const unsubscribe = onSnapshot(query(collectionGroup(db, 'invitations'), where('email', '==', email)), (snapshot) => {
+            setWorkspaceInvitations(snapshot.docs.map(invitationDoc => invitationDoc.data()).filter(invitation => invitation.appId === appId));
+        }, (err) => {
+            console.error("Error fetching workspace invitations:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, authProfile?.email, authProfile?.emailVerified, isAuthReady]);
+
+    // Load the invitations the owner of the active workspace has sent and that are not accepted yet
+    useEffect(() => {
+        if (!db || !activeWorkspace || workspaceRole !== 'owner') {
+            setTeamInvitations([]);
+            return;
+        }
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const unsubscribe = onSnapshot(query(collection(db, `artifacts/${appId}/workspaces/${activeWorkspace.id}/invitations`)), (snapshot) => {
+            setTeamInvitations(snapshot.docs.map(invitationDoc => invitationDoc.data()));
+        }, (err) => {
+            console.error("Error fetching sent invitations:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, activeWorkspace?.id, workspaceRole]);
 
-    // Load data from Firestore when auth is ready and userId is set
+    // Load the batches of the active workspace; the first time, create the default batch and move existing data into it
+    const batchMigrationRef = useRef(null); // Workspace path the default batch was set up for
     useEffect(() => {
         if (!db || !userId || !isAuthReady) return;
 
+        // Start from an empty view whenever the signed-in user or the workspace changes
+        setBatches([]);
+        setSelectedBatchId(null);
+        setSelectedImages([]);
+        setExtractedData([]);
+        setTrashedSlips([]);
+        setStatements([]);
+        setTrashedStatements([]);
+        setInvoices([]);
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const batchesCollectionRef = collection(db, `artifacts/${appId}/${workspacePath}/batches`);
+
+        const unsubscribe = onSnapshot(query(batchesCollectionRef), (snapshot) => {
+            const loadedBatches = snapshot.docs.map(batchDoc => batchDoc.data());
+            loadedBatches.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+            setBatches(loadedBatches);
+            if (loadedBatches.length === 0 && canEdit && batchMigrationRef.current !== workspacePath) {
+                batchMigrationRef.current = workspacePath;
+                (async () => {
+                    // Stamp documents saved before batches existed, then create the batch they now belong to
+                    for (const name of BATCH_SCOPED_COLLECTIONS) {
+                        const existing = await getDocs(collection(db, `artifacts/${appId}/${workspacePath}/${name}`));
+                        await Promise.all(existing.docs.filter(existingDoc => !existingDoc.data().batchId)
+                            .map(existingDoc => setDoc(existingDoc.ref, { batchId: DEFAULT_BATCH_ID }, { merge: true })));
+                    }
+                    await setDoc(doc(batchesCollectionRef, DEFAULT_BATCH_ID), {
+                        id: DEFAULT_BATCH_ID, name: DEFAULT_BATCH_NAME, archived: false, createdAt: Date.now()
+                    });
+                })().catch(e => {
+                    batchMigrationRef.current = null;
+                    console.error("Error creating the default batch:", e);
+                    setError("Failed to set up slip batches.");
+                });
+            }
+        }, (err) => {
+            console.error("Error fetching batches from Firestore:", err);
+            setError("Failed to load slip batches.");
+        });
+
+        // The active batch is remembered per workspace (activeBatchId is the personal one saved before workspaces existed)
+        getDoc(doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'workspace')).then(snapshot => {
+            if (!snapshot.exists()) return;
+            const saved = snapshot.data();
+            setSelectedBatchId(saved.activeBatchIds?.[workspaceKey] || (workspaceKey === 'personal' ? saved.activeBatchId : null) || null);
+        }).catch(e => {
+            console.error("Error loading the active batch:", e);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, workspacePath, workspaceKey, canEdit, isAuthReady]);
+
+    // Load the slips of the active batch from Firestore when auth is ready and userId is set
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady || !activeBatchId) return;
+
         const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        const slipsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/slips`);
-        const q = query(slipsCollectionRef); // Removed orderBy, as it can cause issues without indexes
+        const slipsCollectionRef = collection(db, `artifacts/${appId}/${workspacePath}/slips`);
+        // Removed orderBy, as it can cause issues without indexes (a single equality filter needs none)
+        const q = query(slipsCollectionRef, where('batchId', '==', activeBatchId));
+
+        // Do not show the previous batch while the new one loads
+        setSelectedImages([]);
+        setExtractedData([]);
+
+        // Lookup of the batch's references in other batches: reused while the references stay the same (status updates
+        // during extraction fire many snapshots), and loadCount keeps a slow lookup from scoring a newer snapshot
+        let refLookup = { key: null, promise: null };
+        let loadCount = 0;
 
         const unsubscribe = onSnapshot(q, (snapshot) => {
             const loadedData = [];
             const loadedImages = [];
+            const loadedTrash = [];
             snapshot.forEach(doc => {
                 const data = doc.data();
-                if (data.id && data.dataUrl) {
-                    loadedImages.push({ id: data.id, dataUrl: data.dataUrl, timestamp: data.timestamp }); // Include timestamp
+                if (data.deletedAt) {
+                    // Soft-deleted: only listed in the trash until it is restored or purged
+                    loadedTrash.push({
+                        id: data.id,
+                        thumbnailDataUrl: data.thumbnailDataUrl || data.dataUrl,
+                        sourceFileName: data.sourceFileName || null,
+                        pageNumber: data.pageNumber || null,
+                        senderName: data.extractedData?.senderName || null,
+                        amount: data.extractedData?.parsedAmount ?? null,
+                        deletedAt: data.deletedAt
+                    });
+                    return;
+                }
+                if (data.id && (data.dataUrl || data.thumbnailDataUrl)) {
+                    // Duplicate markers are shared by the upload grid and the table
+                    const duplicateInfo = {
+                        duplicateOf: data.duplicateOf || null,
+                        duplicateReason: data.duplicateReason || null,
+                        duplicateAccepted: !!data.duplicateAccepted
+                    };
+                    loadedImages.push({
+                        id: data.id,
+                        dataUrl: data.dataUrl || null, // null when the full image is stored in chunks
+                        thumbnailDataUrl: data.thumbnailDataUrl || data.dataUrl,
+                        mimeType: data.mimeType || getDataUrlMimeType(data.dataUrl),
+                        imageStorage: data.imageStorage || 'inline',
+                        chunkCount: data.chunkCount || 0,
+                        sourceType: data.sourceType || 'image',
+                        sourceFileId: data.sourceFileId || null, // Shared by all pages of the same PDF
+                        sourceFileName: data.sourceFileName || null,
+                        pageNumber: data.pageNumber || null,
+                        pageCount: data.pageCount || null,
+                        timestamp: data.timestamp, // Include timestamp
+                        contentHash: data.contentHash || null,
+                        perceptualHash: data.perceptualHash || null,
+                        status: getSlipStatus(data),
+                        statusError: data.statusError || null,
+                        attempts: data.attempts || 0,
+                        statusUpdatedAt: data.statusUpdatedAt || null,
+                        processingSession: data.processingSession || null,
+                        offlineQueuedAt: data.offlineQueuedAt || null, // Set when the file was saved offline and synced later
+                        extractOnSync: !!data.extractOnSync,
+                        uploadedBy: data.uploadedBy || null, // Only the uploader's tabs auto-extract synced files
+                        ...duplicateInfo
+                    });
                     if (data.extractedData) {
-                        loadedData.push({ imageId: data.id, data: data.extractedData });
+                        const extracted = withCanonicalBanks(withNormalizedDate(data.extractedData));
+                        // Slips extracted before validation existed are validated on load, but keep their stored (empty) review
+                        // status so they stay in the totals they were already part of
+                        const validationIssues = data.validationIssues || validateSlip(extracted, data.confidence);
+                        loadedData.push({
+                            imageId: data.id,
+                            data: extracted,
+                            confidence: data.confidence || null, // Per-field confidence reported by the model
+                            fieldBoxes: data.fieldBoxes || null, // Where each field was read on the image (see normalizeFieldBoxes)
+                            validationIssues,
+                            reviewStatus: data.reviewStatus || null,
+                            qrData: data.qrData || null,
+                            status: getSlipStatus(data),
+                            originalData: data.originalExtractedData || null, // AI values before any manual correction
+                            corrections: data.corrections || [],
+                            reconciliation: data.reconciliation || null, // Matched bank statement line, if any
+                            invoiceMatch: data.invoiceMatch || null, // Matched expected payment; invoiceId null means "no invoice"
+                            forensics: data.imageForensics || null, // Fraud signals from the original file (null for older slips)
+                            uploadedAt: data.timestamp || null,
+                            uploadedBy: data.uploadedBy || null,
+                            processedBy: data.processedBy || null,
+                            ...duplicateInfo
+                        });
                     }
                 }
             });
             // Sort loadedImages and loadedData by timestamp for consistent display order
             loadedImages.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
-            loadedData.sort((a, b) => {
-                const imgA = loadedImages.find(img => img.id === a.imageId);
-                const imgB = loadedImages.find(img => img.id === b.imageId);
-                return ((imgA?.timestamp || 0) - (imgB?.timestamp || 0));
-            });
+            const timestampsById = new Map(loadedImages.map(img => [img.id, img.timestamp || 0]));
+            loadedData.sort((a, b) => (timestampsById.get(a.imageId) || 0) - (timestampsById.get(b.imageId) || 0));
+            // Risk depends on the other slips (reused references), so it is scored once all slips are loaded
+            const refIndex = buildTransactionRefIndex(loadedData);
+            loadedData.forEach(item => { item.risk = assessSlipRisk(item, refIndex); });
+
+            loadedTrash.sort((a, b) => b.deletedAt - a.deletedAt);
 
             setSelectedImages(loadedImages);
             setExtractedData(loadedData);
+            setTrashedSlips(loadedTrash);
+
+            // References reused by slips in other batches raise the risk too; they are looked up once the batch is shown
+            const loadId = ++loadCount;
+            const refs = [...refIndex.keys()].sort();
+            if (refLookup.key !== refs.join('|')) {
+                refLookup = { key: refs.join('|'), promise: getSlipsByTransactionRef(slipsCollectionRef, refs) };
+            }
+            const lookup = refLookup;
+            lookup.promise.then(found => {
+                const otherBatchSlips = found.filter(other => other.batchId !== activeBatchId);
+                if (loadId !== loadCount || otherBatchSlips.length === 0) return;
+                setExtractedData(prev => {
+                    const workspaceRefIndex = buildTransactionRefIndex([...otherBatchSlips, ...prev]);
+                    return prev.map(item => ({ ...item, risk: assessSlipRisk(item, workspaceRefIndex) }));
+                });
+            }).catch(e => {
+                if (refLookup === lookup) refLookup = { key: null, promise: null }; // Try again on the next snapshot
+                console.error("Error checking transaction references in other batches:", e);
+            });
         }, (err) => {
             console.error("Error fetching data from Firestore:", err);
             setError("Failed to load saved data. Please check console for details.");
         });
 
+        return () => {
+            unsubscribe();
+            loadCount++; // A lookup still running belongs to the batch being left
+        };
+    }, [db, userId, workspacePath, isAuthReady, activeBatchId]);
+
+    // Load the bank statements imported into the active batch for reconciliation
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady || !activeBatchId) return;
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const statementsCollectionRef = collection(db, `artifacts/${appId}/${workspacePath}/statements`);
+
+        // Lines never change after import, so each statement's chunks are read once; loadCount drops stale loads
+        const linesCache = new Map();
+        let loadCount = 0;
+
+        const unsubscribe = onSnapshot(query(statementsCollectionRef, where('batchId', '==', activeBatchId)), (snapshot) => {
+            const loadedStatements = snapshot.docs.map(statementDoc => statementDoc.data());
+            loadedStatements.sort((a, b) => (a.importedAt || 0) - (b.importedAt || 0));
+            setTrashedStatements(loadedStatements.filter(statement => statement.deletedAt));
+
+            const loadId = ++loadCount;
+            Promise.all(loadedStatements.filter(statement => !statement.deletedAt).map(async statement => {
+                if (!linesCache.has(statement.id)) {
+                    linesCache.set(statement.id, loadStatementLines(doc(statementsCollectionRef, statement.id), statement));
+                }
+                return { ...statement, lines: await linesCache.get(statement.id) };
+            })).then(withLines => {
+                if (loadId === loadCount) setStatements(withLines);
+            }).catch(e => {
+                linesCache.clear(); // Read the chunks again on the next snapshot
+                console.error("Error loading statement lines from Firestore:", e);
+                setError("Failed to load imported bank statements.");
+            });
+        }, (err) => {
+            console.error("Error fetching statements from Firestore:", err);
+            setError("Failed to load imported bank statements.");
+        });
+
+        return () => {
+            unsubscribe();
+            loadCount++;
+        };
+    }, [db, userId, workspacePath, isAuthReady, activeBatchId]);
+
+    // Load the expected payments of the active batch
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady || !activeBatchId) return;
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const invoicesCollectionRef = collection(db, `artifacts/${appId}/${workspacePath}/invoices`);
+
+        const unsubscribe = onSnapshot(query(invoicesCollectionRef, where('batchId', '==', activeBatchId)), (snapshot) => {
+            const loadedInvoices = snapshot.docs.map(invoiceDoc => invoiceDoc.data());
+            loadedInvoices.sort((a, b) => String(a.dueDate || '').localeCompare(String(b.dueDate || '')) || (a.createdAt || 0) - (b.createdAt || 0));
+            setInvoices(loadedInvoices);
+        }, (err) => {
+            console.error("Error fetching expected payments from Firestore:", err);
+            setError("Failed to load expected payments.");
+        });
+
         return () => unsubscribe();
+    }, [db, userId, workspacePath, isAuthReady, activeBatchId]);
+
+    // Load the slip table preferences (sort, page size, hidden columns) saved for this user
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady) return;
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        getDoc(doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'slipTable')).then(snapshot => {
+            if (snapshot.exists()) {
+                setTablePreferences({ ...DEFAULT_TABLE_PREFERENCES, ...snapshot.data() });
+            }
+        }).catch(e => {
+            console.error("Error loading table preferences:", e);
+        });
     }, [db, userId, isAuthReady]);
 
+    // Load how long deleted items stay in the trash, then purge older trash (in every batch of the workspace) once per visit
+    // Purging only here, not on every edit of the setting, means typing a smaller number on the way to another one purges nothing
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady) return;
+        setTrashRetentionDays(null);
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const expired = (name, cutoff) => getDocs(query(collection(db, `artifacts/${appId}/${workspacePath}/${name}`), where('deletedAt', '<', cutoff)));
+        const trashSettings = getTrashSettings(db, appId, userId, activeWorkspace?.id);
+        getDoc(trashSettings.ref).then(snapshot => {
+            const retentionDays = snapshot.exists() && snapshot.data()[trashSettings.field] ? snapshot.data()[trashSettings.field] : DEFAULT_TRASH_RETENTION_DAYS;
+            setTrashRetentionDays(retentionDays);
+            if (!canEdit) return null; // Viewers may not delete; an editor's visit purges the shared trash
+            const cutoff = Date.now() - retentionDays * 86400000;
+            return Promise.all([
+                expired('slips', cutoff).then(async expiredSlips => {
+                    const linksBySlip = await getSlipShareLinks(db, appId, workspacePath, expiredSlips.docs.map(slipDoc => slipDoc.id));
+                    return Promise.all(expiredSlips.docs.map(slipDoc => deleteSlipWithChunks(slipDoc.ref, linksBySlip[slipDoc.id])));
+                }),
+                expired('statements', cutoff).then(expiredStatements => Promise.all(expiredStatements.docs.map(statementDoc => deleteStatementWithLines(statementDoc.ref))))
+            ]);
+        }).catch(e => {
+            console.error("Error loading trash settings or purging old trash:", e);
+            setTrashRetentionDays(prev => prev ?? DEFAULT_TRASH_RETENTION_DAYS);
+        });
+    }, [db, userId, workspacePath, activeWorkspace?.id, canEdit, isAuthReady]);
+
+    // Cache of full-size images reassembled from chunk sub-documents, keyed by image ID
+    const fullImageCacheRef = useRef({});
+
+    // Function to get the full-size Data URL of an image, loading and joining its chunks when it is not stored inline
+    const getFullImageDataUrl = useCallback(async (image) => {
+        if (image.dataUrl) return image.dataUrl;
+        if (fullImageCacheRef.current[image.id]) return fullImageCacheRef.current[image.id];
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, image.id);
+        const chunkSnapshot = await getDocs(collection(slipDocRef, 'chunks'));
+        const chunks = chunkSnapshot.docs.map(chunkDoc => chunkDoc.data()).sort((a, b) => a.index - b.index);
+        if (chunks.length !== image.chunkCount) {
+            throw new Error(`ไม่พบรูปภาพครบทุกส่วน (${chunks.length}/${image.chunkCount})`);
+        }
+
+        const fullDataUrl = chunks.map(chunk => chunk.data).join('');
+        fullImageCacheRef.current[image.id] = fullDataUrl;
+        return fullDataUrl;
+    }, [db, userId, workspacePath]);
 
     // Function to handle image file selection
     const handleImageChange = (event) => {
@@ -115,78 +2848,389 @@ const App = () => {
         processFiles(files);
     };
 
+    // Function to reload the files and extraction requests of the active workspace that are waiting in IndexedDB
+    const refreshOfflineQueue = useCallback(async () => {
+        if (!userId) return;
+        try {
+            const [uploads, extractions] = await Promise.all([
+                getOfflineRecords(OFFLINE_UPLOADS_STORE),
+                getOfflineRecords(OFFLINE_EXTRACTIONS_STORE)
+            ]);
+            const isHere = record => record.userId === userId && record.workspacePath === workspacePath;
+            setOfflineUploads(uploads.filter(isHere).sort((a, b) => a.queuedAt - b.queuedAt)
+                .map(({ id, fileName, thumbnailDataUrl, batchId, queuedAt }) => ({ id, fileName, thumbnailDataUrl, batchId, queuedAt })));
+            setPendingExtractionIds(extractions.filter(isHere).map(record => record.imageId));
+        } catch (e) {
+            console.error("Error reading the offline queue:", e);
+        }
+    }, [userId, workspacePath]);
+
+    // Function to keep files picked while offline in IndexedDB, with a thumbnail for the upload grid
+    const queueOfflineUploads = useCallback(async (files) => {
+        let queuedCount = 0;
+        for (const file of files) {
+            if (!isPdfFile(file) && !file.type.startsWith('image/')) {
+                setError('กรุณาอัปโหลดไฟล์รูปภาพหรือ PDF เท่านั้น');
+                continue;
+            }
+            try {
+                const thumbnail = isPdfFile(file) ? null : await optimizeImage(await readFileAsDataUrl(file), file.type, THUMBNAIL_DIMENSION, 0.7);
+                await putOfflineRecord(OFFLINE_UPLOADS_STORE, {
+                    id: crypto.randomUUID(),
+                    userId,
+                    workspacePath,
+                    batchId: activeBatchId,
+                    file, // File objects are stored as-is by IndexedDB
+                    fileName: file.name,
+                    thumbnailDataUrl: thumbnail?.dataUrl || null,
+                    queuedAt: Date.now()
+                });
+                queuedCount++;
+            } catch (e) {
+                console.error("Error saving a file for offline upload:", e);
+                setError(`ไม่สามารถเก็บไฟล์ "${file.name}" ไว้ในเครื่องได้`);
+            }
+        }
+        if (queuedCount > 0) {
+            setError(`ออฟไลน์อยู่: เก็บ ${queuedCount} ไฟล์ไว้ในเครื่องแล้ว จะอัปโหลดและดึงข้อมูลอัตโนมัติเมื่อกลับมาออนไลน์`);
+            setFileInputKey(prevKey => prevKey + 1);
+            await requestOfflineSync();
+            await refreshOfflineQueue();
+        }
+    }, [userId, workspacePath, activeBatchId, refreshOfflineQueue]);
+
     // Function to process files from input or drag-and-drop
-    const processFiles = useCallback(async (files) => {
-        if (!db || !userId) {
+    // Images are saved as one slip each; PDFs are rendered page by page and each page becomes a slip
+    // While offline the files are kept in IndexedDB instead and uploaded by syncOfflineQueue later;
+    // offlineRecord is that queued record when syncing. Resolves to false if any file failed
+    const processFiles = useCallback(async (files, offlineRecord = null) => {
+        if (!db || !userId || !activeBatchId) {
             setError('Firebase not initialized or user not authenticated. Please wait.');
-            return;
+            return false;
+        }
+        if (!canEdit) {
+            setError(READ_ONLY_MESSAGE);
+            return false;
+        }
+        if (!navigator.onLine && !offlineRecord) {
+            await queueOfflineUploads(files);
+            return true;
         }
 
         let hasError = false;
+        let duplicateCount = 0;
+        // Hashes of images already saved, including the ones saved earlier in this same upload
+        const knownImages = selectedImages.map(img => ({ id: img.id, contentHash: img.contentHash, perceptualHash: img.perceptualHash, duplicateOf: img.duplicateOf }));
 
-        for (const file of files) {
-            if (!file.type.startsWith('image/')) {
-                setError('กรุณาอัปโหลดไฟล์รูปภาพเท่านั้น');
-                hasError = true;
-                continue;
+        // Function to save one image (an uploaded image or a rendered PDF page) as a slip document
+        // forensics are the fraud signals read from the original file (see analyzeImageForensics)
+        const saveSlipImage = async (imageDataUrl, mimeType, sourceInfo, forensics) => {
+            const uniqueId = crypto.randomUUID();
+
+            // Hash the image before saving so re-uploads of the same slip are caught
+            const hashes = {
+                contentHash: await computeContentHash(imageDataUrl),
+                perceptualHash: await computePerceptualHash(imageDataUrl)
+            };
+            // Save image Data URL to Firestore
+            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+            const slipsCollectionRef = collection(db, `artifacts/${appId}/${workspacePath}/slips`);
+            const slipDocRef = doc(slipsCollectionRef, uniqueId);
+
+            // Near matches are searched in the loaded batch, exact hash matches in every batch of the workspace
+            let original = findImageDuplicate(hashes, knownImages);
+            if (!original) {
+                try {
+                    original = findImageDuplicate(hashes, await getSlipsByImageHash(slipsCollectionRef, hashes));
+                } catch (e) {
+                    console.error("Error checking other batches for duplicate images:", e);
+                }
             }
+            const duplicateOf = original ? (original.duplicateOf || original.id) : null; // Always link to the first copy
 
-            const reader = new FileReader();
-            reader.readAsDataURL(file);
+            try {
+                // Resize and re-encode in the browser, and keep a small thumbnail for the grid and table
+                const optimized = await optimizeImage(imageDataUrl, mimeType);
+                const thumbnail = await optimizeImage(optimized.dataUrl, optimized.mimeType, THUMBNAIL_DIMENSION, 0.7);
 
-            await new Promise(resolve => {
-                reader.onloadend = async () => {
-                    const uniqueId = crypto.randomUUID();
-                    const imageDataUrl = reader.result;
+                // Small images stay inline; larger ones are split into chunk sub-documents
+                const isInline = optimized.dataUrl.length <= INLINE_IMAGE_LIMIT;
+                const chunks = isInline ? [] : splitIntoChunks(optimized.dataUrl);
 
-                    // Save image Data URL to Firestore
-                    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-                    const slipDocRef = doc(db, `artifacts/${appId}/users/${userId}/slips`, uniqueId);
+                // The slip and its chunks are written in one batch, so a failed save leaves no orphan chunks
+                const batch = writeBatch(db);
+                batch.set(slipDocRef, {
+                    id: uniqueId,
+                    batchId: offlineRecord?.batchId || activeBatchId,
+                    uploadedBy: userId,
+                    dataUrl: isInline ? optimized.dataUrl : null,
+                    thumbnailDataUrl: thumbnail.dataUrl,
+                    mimeType: optimized.mimeType,
+                    imageStorage: isInline ? 'inline' : 'chunks',
+                    chunkCount: chunks.length,
+                    width: optimized.width,
+                    height: optimized.height,
+                    ...sourceInfo,
+                    timestamp: Date.now(), // Add timestamp for ordering
+                    extractedData: null, // Initialize with null, will be updated later
+                    status: 'uploaded',
+                    statusError: null,
+                    attempts: 0,
+                    statusUpdatedAt: Date.now(),
+                    ...hashes,
+                    imageForensics: forensics,
+                    duplicateOf,
+                    // 'similarImage' is only a perceptual match and is dropped if the extracted data turns out different
+                    duplicateReason: duplicateOf ? (original.contentHash === hashes.contentHash ? 'image' : 'similarImage') : null,
+                    duplicateAccepted: false,
+                    offlineQueuedAt: offlineRecord?.queuedAt || null,
+                    extractOnSync: !!offlineRecord // Extracted automatically once saved (see the offline sync effects)
+                });
+                chunks.forEach((data, index) => batch.set(doc(slipDocRef, 'chunks', String(index)), { index, data }));
+                await batch.commit();
+                knownImages.push({ id: uniqueId, ...hashes, duplicateOf });
+                if (duplicateOf) duplicateCount++;
+                // Introduce a small delay after each write
+                await delay(100);
+                // Do NOT update selectedImages here directly. onSnapshot will handle it.
+            } catch (e) {
+                console.error("Error saving image to Firestore:", e);
+                setError("Failed to save some images to database. Please check console for details.");
+                hasError = true;
+            }
+        };
 
-                    try {
-                        await setDoc(slipDocRef, {
-                            id: uniqueId,
-                            dataUrl: imageDataUrl,
-                            timestamp: Date.now(), // Add timestamp for ordering
-                            extractedData: null // Initialize with null, will be updated later
-                        });
-                        // Introduce a small delay after each write
-                        await delay(100);
-                        // Do NOT update selectedImages here directly. onSnapshot will handle it.
-                    } catch (e) {
-                        console.error("Error saving image to Firestore:", e);
-                        setError("Failed to save some images to database. Check image size (max 1MB per image).");
-                        hasError = true;
+        for (const file of files) {
+            if (!navigator.onLine && !offlineRecord) {
+                await queueOfflineUploads([file]); // The connection dropped part-way through this upload
+                continue;
+            }
+            if (isPdfFile(file)) {
+                try {
+                    const sourceFileId = crypto.randomUUID(); // Groups the pages of this PDF in the upload grid
+                    const { pages, info } = await renderPdfPages(file);
+                    const forensics = analyzePdfForensics(info, file);
+                    for (const page of pages) {
+                        await saveSlipImage(page.dataUrl, page.mimeType, {
+                            sourceType: 'pdf',
+                            sourceFileId,
+                            sourceFileName: file.name,
+                            pageNumber: page.pageNumber,
+                            pageCount: pages.length,
+                            originalSize: file.size
+                        }, forensics);
                     }
-                    resolve();
-                };
-            });
+                } catch (e) {
+                    console.error("Error rendering PDF:", e);
+                    setError(`ไม่สามารถอ่านไฟล์ PDF "${file.name}" ได้`);
+                    hasError = true;
+                }
+                continue;
+            }
+
+            if (!file.type.startsWith('image/')) {
+                setError('กรุณาอัปโหลดไฟล์รูปภาพหรือ PDF เท่านั้น');
+                hasError = true;
+                continue;
+            }
+
+            const imageDataUrl = await readFileAsDataUrl(file); // Original file, used for hashing and fraud checks only
+            await saveSlipImage(imageDataUrl, file.type, {
+                sourceType: 'image',
+                sourceFileName: file.name,
+                originalSize: file.size
+            }, await analyzeImageForensics(imageDataUrl, file));
         }
 
         if (hasError) {
             // If any error occurred, clear file input (state will be updated by onSnapshot)
             setFileInputKey(prevKey => prevKey + 1);
         }
-        setError(null); // Clear general error after processing files
-    }, [db, userId]);
+        if (!hasError) {
+            setError(null); // Clear general error after processing files, but keep per-file errors visible
+        }
+        if (duplicateCount > 0) {
+            setError(`พบสลิปซ้ำ ${duplicateCount} รายการ ซึ่งจะไม่ถูกนับรวมในยอดรวมจนกว่าจะยืนยัน`);
+        }
+        return !hasError;
+    }, [db, userId, workspacePath, canEdit, activeBatchId, selectedImages, queueOfflineUploads]);
+
+    // Function to accept a slip flagged as duplicate so it is counted in totals and charts
+    const acceptDuplicate = useCallback(async (imageId) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageId);
+        try {
+            await setDoc(slipDocRef, { duplicateAccepted: true }, { merge: true });
+        } catch (e) {
+            console.error("Error accepting duplicate slip:", e);
+            setError("Failed to update duplicate status.");
+        }
+    }, [db, userId, workspacePath]);
 
 
-    // Function to remove a specific image by its ID
-    const removeImage = useCallback(async (idToRemove) => {
+    // Function to soft-delete slips and statements: they move to the trash and an undo toast is shown
+    // Share links to a trashed slip are revoked in the same write, so the slip stops being public right away
+    const moveToTrash = useCallback(async (slipIds, statementIds, message) => {
         if (!db || !userId) {
             setError('Firebase not initialized or user not authenticated.');
             return;
         }
+        if (!canEdit) {
+            setError(READ_ONLY_MESSAGE);
+            return;
+        }
         const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        const slipDocRef = doc(db, `artifacts/${appId}/users/${userId}/slips`, idToRemove);
+        const trashed = { deletedAt: Date.now(), deletedBy: userId };
         try {
-            await deleteDoc(slipDocRef);
-            // State updates will be handled by the onSnapshot listener
+            const linksBySlip = await getSlipShareLinks(db, appId, workspacePath, slipIds);
+            await Promise.all([
+                ...slipIds.map(id => {
+                    const batch = writeBatch(db);
+                    batch.set(doc(db, `artifacts/${appId}/${workspacePath}/slips`, id), trashed, { merge: true });
+                    (linksBySlip[id] || []).filter(linkDoc => !linkDoc.data().revokedAt)
+                        .forEach(linkDoc => batch.update(linkDoc.ref, { revokedAt: trashed.deletedAt }));
+                    return batch.commit();
+                }),
+                ...statementIds.map(id => setDoc(doc(db, `artifacts/${appId}/${workspacePath}/statements`, id), trashed, { merge: true }))
+            ]);
+            // State updates will be handled by the onSnapshot listeners
+            setUndoToast({ message, slipIds, statementIds });
         } catch (e) {
-            console.error("Error deleting image from Firestore:", e);
-            setError("Failed to delete image from database.");
+            console.error("Error moving items to the trash:", e);
+            setError("Failed to delete from database.");
         }
-    }, [db, userId]);
+    }, [db, userId, workspacePath, canEdit]);
+
+    // Function to restore slips and statements from the trash
+    const restoreFromTrash = useCallback(async (slipIds, statementIds) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const restored = { deletedAt: null, deletedBy: null };
+        try {
+            await Promise.all([
+                ...slipIds.map(id => setDoc(doc(db, `artifacts/${appId}/${workspacePath}/slips`, id), restored, { merge: true })),
+                ...statementIds.map(id => setDoc(doc(db, `artifacts/${appId}/${workspacePath}/statements`, id), restored, { merge: true }))
+            ]);
+            setUndoToast(null);
+        } catch (e) {
+            console.error("Error restoring items from the trash:", e);
+            setError("Failed to restore from the trash.");
+        }
+    }, [db, userId, workspacePath]);
+
+    // Function to permanently delete slips (with their image chunks and share links) and statements that are in the trash
+    const deleteForever = useCallback(async (slipIds, statementIds) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            const linksBySlip = await getSlipShareLinks(db, appId, workspacePath, slipIds);
+            await Promise.all([
+                ...slipIds.map(id => deleteSlipWithChunks(doc(db, `artifacts/${appId}/${workspacePath}/slips`, id), linksBySlip[id])),
+                ...statementIds.map(id => deleteStatementWithLines(doc(db, `artifacts/${appId}/${workspacePath}/statements`, id)))
+            ]);
+        } catch (e) {
+            console.error("Error deleting items from the trash:", e);
+            setError("Failed to delete from database.");
+        }
+    }, [db, userId, workspacePath]);
+
+    // Function to change how many days deleted items stay in the trash (only the owner may change it for a shared workspace)
+    const updateTrashRetention = useCallback((days) => {
+        if (!db || !userId || workspaceRole !== 'owner' || !(days >= 1)) return;
+        setTrashRetentionDays(days);
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const trashSettings = getTrashSettings(db, appId, userId, activeWorkspace?.id);
+        setDoc(trashSettings.ref, { [trashSettings.field]: days }, { merge: true }).catch(e => {
+            console.error("Error saving trash settings:", e);
+            setError("Failed to save the trash settings.");
+        });
+    }, [db, userId, workspaceRole, activeWorkspace?.id]);
+
+    // Hide the undo toast after a while (the items stay restorable from the trash)
+    useEffect(() => {
+        if (!undoToast) return;
+        const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+        return () => clearTimeout(timer);
+    }, [undoToast]);
+
+    // Function to remove a specific image by its ID (it goes to the trash and can be restored)
+    const removeImage = useCallback((idToRemove) => (
+        moveToTrash([idToRemove], [], 'ย้ายสลิปไปถังขยะแล้ว')
+    ), [moveToTrash]);
+
+    // Function to start over: move every slip and imported statement of the active batch to the trash and clear the view
+    // (expected payments are kept: they are the team's own records, not slip data)
+    const resetBatch = useCallback(async () => {
+        setError(null);
+        setShowExportDialog(false);
+        setFileInputKey(prevKey => prevKey + 1); // Increment key to reset file input
+        setSearchQuery(''); // Clear search query on reset
+        setJobStatuses({}); // Clear extraction queue progress
+        await moveToTrash(
+            selectedImages.map(image => image.id),
+            statements.map(statement => statement.id),
+            `ย้ายสลิป ${selectedImages.length} รายการไปถังขยะแล้ว`
+        );
+    }, [selectedImages, statements, moveToTrash]);
+
+    // Function to save manual corrections of extracted fields, keeping the original AI values and an audit entry per field
+    // Validation is re-run; corrected fields count as fully confident. extra is merged into the slip document as-is.
+    // Resolves to whether the slip was saved
+    const updateExtractedFields = useCallback(async (imageId, changes, extra = {}) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return false;
+        }
+        const item = extractedData.find(entry => entry.imageId === imageId);
+        if (!item) return false;
+
+        const changedFields = Object.keys(changes).filter(field => (item.data[field] ?? '') !== changes[field]);
+        if (changedFields.length === 0 && Object.keys(extra).length === 0) return true;
+
+        const updatedData = applyFieldChanges(item.data, Object.fromEntries(changedFields.map(field => [field, changes[field]])));
+        const confidence = withCorrectedConfidence(item.confidence, changedFields);
+        const validationIssues = validateSlip(updatedData, confidence);
+        const now = Date.now();
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageId);
+        try {
+            await setDoc(slipDocRef, {
+                ...(changedFields.length > 0 ? {
+                    extractedData: updatedData,
+                    originalExtractedData: item.originalData || item.data, // Only the first edit captures the AI values
+                    transactionRefs: getTransactionRefs(updatedData, item.qrData),
+                    corrections: arrayUnion(...changedFields.map(field => ({
+                        field, from: item.data[field] ?? '', to: changes[field], by: userId, at: now
+                    })))
+                } : {}),
+                confidence,
+                validationIssues,
+                reviewStatus: getReviewStatus(validationIssues, item.reviewStatus),
+                ...extra
+            }, { merge: true });
+            return true;
+        } catch (e) {
+            console.error("Error saving correction to Firestore:", e);
+            setError("Failed to save the corrected value.");
+            return false;
+        }
+    }, [db, userId, workspacePath, extractedData]);
+
+    // Function to save a manual correction of one extracted field
+    const updateExtractedField = useCallback((imageId, field, value) => (
+        updateExtractedFields(imageId, { [field]: value })
+    ), [updateExtractedFields]);
 
     // Function to handle drag over event for file drop zone
     const handleDragOver = (event) => {
@@ -207,61 +3251,182 @@ const App = () => {
         processFiles(files);
     };
 
-    // Function to generate CSV string from extracted data
-    const generateCsv = (data) => {
-        // Get the current Canvas URL to construct the image viewer link
-        const currentBaseUrl = window.location.origin + window.location.pathname;
-        // Assuming the image viewer HTML is in the same directory or a known path
-        const viewerUrlBase = currentBaseUrl.replace(/\/[^/]*$/, '/image_viewer.html'); // Adjust if image_viewer.html is in a subfolder
-
-        // Updated headers to include both sender and recipient bank names
-        const headers = [
-            "Image ID", "View Image URL", "ชื่อผู้ส่ง", "ชื่อผู้รับ", "จำนวนเงิน", "วันที่ทำรายการ",
-            "เวลาทำรายการ", "รหัสอ้างอิงการทำรายการ", "ชื่อธนาคารต้นทาง",
-            "เลขบัญชีต้นทาง", "ชื่อธนาคารปลายทาง", "เลขบัญชีปลายทาง", "ประเทศ"
-        ];
-
-        const csvRows = [];
-        csvRows.push(headers.join(','));
-
-        data.forEach(item => {
-            const row = [];
-            const viewImageUrl = `${viewerUrlBase}?imageId=${item.imageId}&appId=${typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'}&userId=${userId}`;
-
-            row.push(item.imageId || '');
-            row.push(viewImageUrl); // Add the URL to view the image
-            row.push(item.data.senderName || '');
-            row.push(item.data.recipientName || '');
-            row.push(item.data.amount || '');
-            row.push(item.data.transactionDate || '');
-            row.push(item.data.transactionTime || '');
-            row.push(item.data.transactionId || '');
-            row.push(item.data.senderBankName || ''); // Use senderBankName
-            row.push(item.data.senderBankAccountNumber || '');
-            row.push(item.data.recipientBankName || ''); // Use recipientBankName
-            row.push(item.data.recipientBankAccountNumber || '');
-            row.push(item.data.country || '');
-            csvRows.push(row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+    // Load the share links the user created, to reuse them in exports and to list and revoke them
+    useEffect(() => {
+        if (!db || !userId || !isAuthReady) return;
+
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const shareLinksQuery = query(collection(db, `artifacts/${appId}/shareLinks`), where('ownerId', '==', userId));
+        const unsubscribe = onSnapshot(shareLinksQuery, (snapshot) => {
+            const loadedLinks = snapshot.docs.map(linkDoc => linkDoc.data());
+            loadedLinks.sort((a, b) => b.createdAt - a.createdAt);
+            setShareLinks(loadedLinks);
+        }, (err) => {
+            console.error("Error fetching share links from Firestore:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady]);
+
+    // Newest active share link of each slip in the active workspace, keyed by image ID
+    const activeShareTokens = useMemo(() => {
+        const tokens = {};
+        shareLinks.forEach(link => {
+            if (link.workspacePath === workspacePath && isShareLinkActive(link) && !tokens[link.slipId]) tokens[link.slipId] = link.token;
+        });
+        return tokens;
+    }, [shareLinks, workspacePath]);
+
+    // Function to create share links for table items that do not have an active one yet
+    // Each link stores a copy of the extracted fields and of the image, so only what was shared becomes readable
+    // Resolves to a map of image ID to token, including the links that already existed
+    const createShareLinks = useCallback(async (items, expiryDays) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return {};
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const tokens = { ...activeShareTokens };
+        setCreatingShareLinks(true);
+        try {
+            for (const item of items) {
+                if (tokens[item.imageId]) continue;
+                const image = selectedImages.find(img => img.id === item.imageId);
+                if (!image) continue;
+                const chunks = splitIntoChunks(await getFullImageDataUrl(image));
+                const token = createShareToken();
+                const linkDocRef = doc(db, `artifacts/${appId}/shareLinks`, token);
+                const batch = writeBatch(db);
+                batch.set(linkDocRef, {
+                    token,
+                    ownerId: userId,
+                    workspacePath,
+                    slipId: item.imageId,
+                    fileName: image.sourceFileName || null,
+                    thumbnailDataUrl: image.thumbnailDataUrl,
+                    chunkCount: chunks.length,
+                    data: item.data,
+                    createdAt: Date.now(),
+                    expiresAt: expiryDays > 0 ? Date.now() + expiryDays * 86400000 : null,
+                    revokedAt: null
+                });
+                chunks.forEach((data, index) => batch.set(doc(linkDocRef, 'chunks', String(index)), { index, data }));
+                await batch.commit();
+                tokens[item.imageId] = token;
+            }
+        } catch (e) {
+            console.error("Error creating share links:", e);
+            setError("Failed to create share links.");
+        }
+        setCreatingShareLinks(false);
+        return tokens;
+    }, [db, userId, workspacePath, selectedImages, activeShareTokens, getFullImageDataUrl]);
+
+    // Function to revoke a share link; the viewer refuses it from then on
+    const revokeShareLink = useCallback(async (token) => {
+        if (!db) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/shareLinks`, token), { revokedAt: Date.now() }, { merge: true });
+        } catch (e) {
+            console.error("Error revoking share link:", e);
+            setError("Failed to revoke the share link.");
+        }
+    }, [db]);
+
+    // Function to permanently delete share links that are revoked or expired, with their copied image
+    const deleteInactiveShareLinks = useCallback(async () => {
+        if (!db) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            for (const link of shareLinks.filter(link => !isShareLinkActive(link))) {
+                const linkDocRef = doc(db, `artifacts/${appId}/shareLinks`, link.token);
+                const batch = writeBatch(db);
+                for (let index = 0; index < link.chunkCount; index++) batch.delete(doc(linkDocRef, 'chunks', String(index)));
+                batch.delete(linkDocRef);
+                await batch.commit();
+            }
+        } catch (e) {
+            console.error("Error deleting share links:", e);
+            setError("Failed to delete old share links.");
+        }
+    }, [db, shareLinks]);
+
+    // Function to share the slip open in the image viewer and copy its link
+    const shareModalSlip = async (item) => {
+        const tokens = await createShareLinks([item], DEFAULT_SHARE_LINK_EXPIRY_DAYS);
+        if (!tokens[item.imageId]) return;
+        const url = buildShareUrl(tokens[item.imageId]);
+        setModalShareUrl(url);
+        navigator.clipboard?.writeText(url).catch(() => {}); // The link is also shown for copying by hand
+    };
+
+    // Function to build the viewer link for one slip (used by the "View Image URL" export column)
+    // Slips without an active share link get one when the export is downloaded
+    const getViewUrl = (item, tokens = activeShareTokens) => tokens[item.imageId] ? buildShareUrl(tokens[item.imageId]) : '';
+
+    // Function to update export options; picking a new format also refreshes the suggested file name
+    const updateExportOptions = (changes) => {
+        setExportOptions(prev => {
+            const next = { ...prev, ...changes };
+            if (changes.format && changes.format !== prev.format && prev.fileName) {
+                next.fileName = prev.fileName.replace(/\.[^.]+$/, `.${EXPORT_FORMATS[changes.format].extension}`);
+            }
+            return next;
+        });
+    };
+
+    // Function to open the export dialog; the file name is left empty so the suggested one (batch name and the date range
+    // of the rows actually exported) follows the filter and duplicate options until the user types their own
+    const openExportDialog = useCallback(() => {
+        setExportOptions(prev => ({ ...prev, fileName: '' }));
+        setShowExportDialog(true);
+    }, []);
+
+    // Function to move a column up or down in the export order
+    const moveExportColumn = (key, offset) => {
+        setExportOptions(prev => {
+            const keys = [...prev.columnKeys];
+            const index = keys.indexOf(key);
+            const target = index + offset;
+            if (index < 0 || target < 0 || target >= keys.length) return prev;
+            [keys[index], keys[target]] = [keys[target], keys[index]];
+            return { ...prev, columnKeys: keys };
         });
+    };
 
-        return csvRows.join('\n');
+    // Function to show or hide a column in the export
+    const toggleExportColumn = (key) => {
+        setExportOptions(prev => ({
+            ...prev,
+            columnKeys: prev.columnKeys.includes(key) ? prev.columnKeys.filter(k => k !== key) : [...prev.columnKeys, key]
+        }));
     };
 
-    // Function to handle CSV download
-    const handleDownloadCsv = () => {
-        const csvString = csvContentForPreview;
-        const blob = new Blob(['\uFEFF' + csvString], { type: 'text/csv;charset=utf-8;' });
+    // Function to download the export in the chosen format
+    // With the "View Image URL" column, share links are created first for the rows that have none
+    const handleExportDownload = async () => {
+        const format = EXPORT_FORMATS[exportOptions.format];
+        const needsViewUrls = format.columnar && exportOptions.columnKeys.includes('viewUrl');
+        const tokens = needsViewUrls ? await createShareLinks(exportRows, exportOptions.shareExpiryDays) : activeShareTokens;
+        const content = buildExport(exportOptions.format, exportRows, exportOptions, { getViewUrl: (item) => getViewUrl(item, tokens) });
+        // Excel only detects UTF-8 in CSV files with a BOM
+        const parts = exportOptions.format === 'csv' ? ['\uFEFF' + content] : [content];
+        const blob = new Blob(parts, { type: format.mimeType });
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
-        link.download = 'slip_data.csv';
+        link.download = exportOptions.fileName || buildExportFileName(exportRows, exportOptions.format, activeBatch?.name);
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
-        setShowCsvPreview(false);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Revoking right after click() can cancel the download
+        setShowExportDialog(false);
     };
 
-    // Function to process and extract data for all selected images using Gemini API
-    const processSlipWithAI = useCallback(async () => {
+    // Function to process and extract data for the selected images through the extraction queue
+    // Pass an array of image IDs to re-run only those (used by "retry failed only"),
+    // and openExport: false for background runs the user did not start
+    const processSlipWithAI = useCallback(async (onlyImageIds = null, { openExport = true } = {}) => {
         if (selectedImages.length === 0) {
             setError('กรุณาอัปโหลดรูปภาพสลิปโอนเงินก่อน');
             return;
@@ -270,146 +3435,392 @@ const App = () => {
             setError('Firebase not initialized or user not authenticated. Please wait.');
             return;
         }
+        if (!canEdit) {
+            setError(READ_ONLY_MESSAGE);
+            return;
+        }
+        if (!navigator.onLine) {
+            // Extraction needs the network: remember the request and run it once the connection returns
+            const waitingIds = selectedImages
+                .filter(img => ['uploaded', 'failed'].includes(img.status) && (!Array.isArray(onlyImageIds) || onlyImageIds.includes(img.id)))
+                .map(img => img.id);
+            try {
+                await Promise.all(waitingIds.map(imageId => putOfflineRecord(OFFLINE_EXTRACTIONS_STORE, { imageId, userId, workspacePath, queuedAt: Date.now() })));
+                await requestOfflineSync();
+                await refreshOfflineQueue();
+                setError(`ออฟไลน์อยู่: จะดึงข้อมูล ${waitingIds.length} สลิปอัตโนมัติเมื่อกลับมาออนไลน์`);
+            } catch (e) {
+                console.error("Error queueing extraction while offline:", e);
+                setError("Failed to queue the extraction for when the connection returns.");
+            }
+            return;
+        }
 
         setLoading(true);
         setError(null);
         // Do not clear extractedData here, as we will update existing Firestore docs
-        setCsvContentForPreview('');
-        setShowCsvPreview(false);
+        setShowExportDialog(false);
 
-        const updatedExtractedData = [];
         const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const provider = EXTRACTION_PROVIDERS[extractionSettings.provider] || EXTRACTION_PROVIDERS.gemini;
+        const model = extractionSettings.model || provider.defaultModel;
+        const retryIds = Array.isArray(onlyImageIds) ? onlyImageIds : null; // onClick passes an event, not a list
 
-        for (const imageObj of selectedImages) {
-            // Check if this image already has extracted data
-            const existingExtracted = extractedData.find(item => item.imageId === imageObj.id);
-            if (existingExtracted && existingExtracted.data) {
-                // If already extracted, just add to updated list and skip AI processing
-                updatedExtractedData.push(existingExtracted);
-                continue;
+        // Slips that already have data are kept as-is; everything else goes into the queue
+        // unless another tab is already working on it. This local list only serves the duplicate lookups
+        // and the cancel cleanup in this run: the slips listener owns extractedData
+        const updatedExtractedData = extractedData.filter(item => item.data);
+        const pendingImages = selectedImages.filter(img =>
+            !updatedExtractedData.some(item => item.imageId === img.id) && !isBusyElsewhere(img) &&
+            (!retryIds || retryIds.includes(img.id)));
+
+        // Function to persist a slip's processing status so other tabs and later sessions can see it
+        const writeStatus = async (imageId, status, extra = {}) => {
+            try {
+                const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageId);
+                await setDoc(slipDocRef, {
+                    status,
+                    statusUpdatedAt: Date.now(),
+                    processingSession: TAB_SESSION_ID,
+                    ...extra
+                }, { merge: true });
+            } catch (e) {
+                console.error("Error saving slip status to Firestore:", e);
+            }
+        };
+
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setJobStatuses(prev => {
+            const next = retryIds ? { ...prev } : {};
+            pendingImages.forEach(img => { next[img.id] = { state: 'queued', attempts: 0, error: null }; });
+            return next;
+        });
+        const updateJob = (imageId, changes) => setJobStatuses(prev => ({ ...prev, [imageId]: { ...prev[imageId], ...changes } }));
+        // Queued slips no longer wait for the network, so they are not picked up again by the offline sync
+        await Promise.all(pendingImages.map(img => writeStatus(img.id, 'queued', { statusError: null, extractOnSync: false })));
+        await Promise.all(pendingImages.filter(img => pendingExtractionIds.includes(img.id))
+            .map(img => deleteOfflineRecord(OFFLINE_EXTRACTIONS_STORE, img.id).catch(e => console.error("Error clearing a queued extraction:", e))));
+        if (pendingImages.some(img => pendingExtractionIds.includes(img.id))) refreshOfflineQueue();
+
+        // Function to extract a single slip; throws so the queue can record the failure for this image only
+        const extractOne = async (imageObj) => {
+            // Decode the slip mini-QR locally so it can be cross-checked against the AI result
+            const fullDataUrl = await getFullImageDataUrl(imageObj);
+            const qrData = await decodeSlipQr(fullDataUrl);
+
+            const base64ImageData = fullDataUrl.split(',')[1];
+            const { jsonText, raw } = await withRetry(async (attempt) => {
+                updateJob(imageObj.id, { state: 'processing', attempts: attempt + 1 });
+                await writeStatus(imageObj.id, 'processing', { attempts: increment(1) }); // Attempts accumulate across runs
+                return provider.extract({
+                    base64ImageData,
+                    mimeType: imageObj.mimeType, // Recorded at upload, no longer assumed to be PNG
+                    model,
+                    settings: { ...extractionSettings, apiKey: extractionSettings.apiKeys[provider.id] || '' }, // Only this provider's key
+                    signal: controller.signal
+                });
+            }, {
+                signal: controller.signal,
+                onRetry: (attempt, err, waitMs) => updateJob(imageObj.id, { state: 'retrying', error: `${err.message} (ลองใหม่ใน ${Math.round(waitMs / 1000)} วินาที)` })
+            });
+
+            if (!jsonText) {
+                console.error('Unexpected AI response structure for an image:', raw);
+                throw new Error('ไม่ได้รับข้อมูลที่ถูกต้องจาก AI');
+            }
+
+            let parsedJson;
+            try {
+                parsedJson = JSON.parse(jsonText);
+            } catch (parseError) {
+                console.error('JSON parsing error for an image:', parseError);
+                console.error('Raw AI response for image:', jsonText);
+                throw new Error('ไม่สามารถแยกวิเคราะห์ข้อมูลที่ได้รับจาก AI ได้');
+            }
+            const { confidence = null, boxes = null, ...fields } = parsedJson; // Confidence and boxes are stored beside the data, not in it
+            const fieldBoxes = normalizeFieldBoxes(boxes);
+            const parsedAmount = parseAmount(fields.amount);
+            const extracted = withCanonicalBanks({
+                ...fields,
+                parsedAmount,
+                ...normalizeTransactionDate(fields.transactionDate, fields.transactionTime) // Raw text is kept as-is
+            });
+            const validationIssues = validateSlip(extracted, confidence);
+            const reviewStatus = getReviewStatus(validationIssues);
+
+            // A slip not already flagged by image hash may still repeat an earlier transaction ID + amount
+            const duplicateInfo = {
+                duplicateOf: imageObj.duplicateOf || null,
+                duplicateReason: imageObj.duplicateReason || null,
+                duplicateAccepted: !!imageObj.duplicateAccepted
+            };
+            // A look-alike image (same bank template) is only a duplicate if it also carries the same transfer
+            if (duplicateInfo.duplicateReason === 'similarImage') {
+                let originalData = updatedExtractedData.find(item => item.imageId === duplicateInfo.duplicateOf)?.data;
+                if (!originalData) {
+                    const originalSnapshot = await getDoc(doc(db, `artifacts/${appId}/${workspacePath}/slips`, duplicateInfo.duplicateOf));
+                    originalData = originalSnapshot.exists() ? originalSnapshot.data().extractedData : null;
+                }
+                if (originalData && !isSameTransfer(originalData, extracted)) {
+                    Object.assign(duplicateInfo, { duplicateOf: null, duplicateReason: null, duplicateAccepted: false });
+                }
+            }
+            // (first in this batch, then in the other batches of the workspace)
+            if (!duplicateInfo.duplicateOf) {
+                let original = findTransactionDuplicate(imageObj.id, extracted, updatedExtractedData);
+                if (!original && extracted.transactionId) {
+                    const slipsCollectionRef = collection(db, `artifacts/${appId}/${workspacePath}/slips`);
+                    const workspaceSlips = await getSlipsByTransactionRef(slipsCollectionRef, [normalizeRef(extracted.transactionId)]);
+                    original = findTransactionDuplicate(imageObj.id, extracted, workspaceSlips);
+                }
+                if (original) {
+                    duplicateInfo.duplicateOf = original.imageId;
+                    duplicateInfo.duplicateReason = 'transaction';
+                }
+            }
+
+            // Update Firestore document with extracted data
+            const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageObj.id);
+            await setDoc(slipDocRef, {
+                extractedData: extracted,
+                qrData,
+                transactionRefs: getTransactionRefs(extracted, qrData),
+                extractedBy: { provider: provider.id, model },
+                processedBy: userId, // Who ran the extraction (shown per slip in shared workspaces)
+                processedAt: Date.now(),
+                confidence,
+                fieldBoxes,
+                validationIssues,
+                reviewStatus,
+                status: 'extracted',
+                statusError: null,
+                statusUpdatedAt: Date.now(),
+                ...duplicateInfo
+            }, { merge: true });
+
+            updatedExtractedData.push({
+                imageId: imageObj.id, data: extracted, qrData, originalData: null, corrections: [],
+                confidence, fieldBoxes, validationIssues, reviewStatus, processedBy: userId, ...duplicateInfo
+            });
+        };
+
+        const failedIds = new Set(); // Failures in this run, kept out of the cancel cleanup below
+        await runJobQueue(pendingImages, async (imageObj) => {
+            try {
+                await extractOne(imageObj);
+                updateJob(imageObj.id, { state: 'done', error: null });
+            } catch (err) {
+                if (err.name === 'AbortError') {
+                    updateJob(imageObj.id, { state: 'cancelled', error: null });
+                    await writeStatus(imageObj.id, 'uploaded'); // Cancelled slips go back to "never processed"
+                    return;
+                }
+                console.error('API call error for an image:', err);
+                updateJob(imageObj.id, { state: 'failed', error: err.message });
+                failedIds.add(imageObj.id);
+                await writeStatus(imageObj.id, 'failed', { statusError: err.message });
             }
+        }, { signal: controller.signal });
 
-            try {
-                const base64ImageData = imageObj.dataUrl.split(',')[1];
-                const prompt = `
-                    โปรดดึงข้อมูลต่อไปนี้จากสลิปโอนเงินที่ให้มา:
-                    - ชื่อผู้ส่ง (Sender Name)
-                    - ชื่อผู้รับ (Recipient Name)
-                    - จำนวนเงิน (Amount)
-                    - วันที่ทำรายการ (Transaction Date)
-                    - เวลาทำรายการ (Transaction Time)
-                    - รหัสอ้างอิงการทำรายการ (Transaction ID) - ถ้ามี
-                    - ชื่อธนาคารต้นทาง (Sender Bank Name) - ถ้ามี
-                    - เลขบัญชีต้นทาง (Sender Bank Account Number) - ถ้ามี
-                    - ชื่อธนาคารปลายทาง (Recipient Bank Name) - ถ้ามี
-                    - เลขบัญชีปลายทาง (Recipient Bank Account Number) - ถ้ามี
-                    - ประเทศ (Country) - ถ้ามี
-
-                    โปรดตอบกลับเป็น JSON ตาม schema ที่กำหนดเท่านั้น
-                `;
-
-                let chatHistory = [];
-                chatHistory.push({
-                    role: "user",
-                    parts: [
-                        { text: prompt },
-                        {
-                            inlineData: {
-                                mimeType: "image/png",
-                                data: base64ImageData
-                            }
-                        }
-                    ]
+        // Images never picked up before cancel stay "queued"; mark them cancelled so they can be re-run
+        if (controller.signal.aborted) {
+            const finishedIds = new Set(updatedExtractedData.map(item => item.imageId));
+            await Promise.all(pendingImages
+                .filter(img => !finishedIds.has(img.id) && !failedIds.has(img.id))
+                .map(img => writeStatus(img.id, 'uploaded')));
+            setJobStatuses(prev => {
+                const next = { ...prev };
+                Object.keys(next).forEach(id => {
+                    if (next[id].state === 'queued') next[id] = { ...next[id], state: 'cancelled' };
                 });
+                return next;
+            });
+        }
+        abortControllerRef.current = null;
 
-                const payload = {
-                    contents: chatHistory,
-                    generationConfig: {
-                        responseMimeType: "application/json",
-                        responseSchema: {
-                            type: "OBJECT",
-                            properties: {
-                                "senderName": { "type": "STRING" },
-                                "recipientName": { "type": "STRING" },
-                                "amount": { "type": "STRING" },
-                                "transactionDate": { "type": "STRING" },
-                                "transactionTime": { "type": "STRING" },
-                                "transactionId": { "type": "STRING", "nullable": true },
-                                "senderBankName": { "type": "STRING", "nullable": true }, // New field
-                                "senderBankAccountNumber": { "type": "STRING", "nullable": true },
-                                "recipientBankName": { "type": "STRING", "nullable": true }, // New field
-                                "recipientBankAccountNumber": { "type": "STRING", "nullable": true },
-                                "country": { "type": "STRING", "nullable": true }
-                            },
-                            "propertyOrdering": [
-                                "senderName", "recipientName", "amount", "transactionDate",
-                                "transactionTime", "transactionId", "senderBankName",
-                                "senderBankAccountNumber", "recipientBankName", "recipientBankAccountNumber", "country"
-                            ]
-                        }
-                    }
-                };
+        if (openExport && updatedExtractedData.length > 0 && !controller.signal.aborted) {
+            openExportDialog();
+        }
 
-                const apiKey = "";
-                const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+        setLoading(false);
+    }, [selectedImages, db, userId, workspacePath, canEdit, extractedData, extractionSettings, getFullImageDataUrl, openExportDialog, pendingExtractionIds, refreshOfflineQueue]); // Added extractedData to dependency array
 
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                });
+    // Register the service worker (offline app shell and Background Sync), link the web app manifest
+    // so the app can be installed, and follow the connection state
+    useEffect(() => {
+        if (!document.querySelector('link[rel="manifest"]')) {
+            const manifestLink = document.createElement('link');
+            manifestLink.rel = 'manifest';
+            manifestLink.href = '/manifest.webmanifest';
+            document.head.appendChild(manifestLink);
+        }
 
-                const result = await response.json();
-
-                if (result.candidates && result.candidates.length > 0 &&
-                    result.candidates[0].content && result.candidates[0].content.parts &&
-                    result.candidates[0].content.parts.length > 0) {
-                    const jsonText = result.candidates[0].content.parts[0].text;
-                    try {
-                        const parsedJson = JSON.parse(jsonText);
-                        const parsedAmount = parseFloat(parsedJson.amount?.replace(/[^0-9.-]+/g,"") || '0');
-                        const extracted = { ...parsedJson, parsedAmount };
-
-                        // Update Firestore document with extracted data
-                        const slipDocRef = doc(db, `artifacts/${appId}/users/${userId}/slips`, imageObj.id);
-                        await setDoc(slipDocRef, { extractedData: extracted }, { merge: true });
-                        // Introduce a small delay after each write
-                        await delay(100);
-
-                        updatedExtractedData.push({ imageId: imageObj.id, data: extracted });
-                    } catch (parseError) {
-                        console.error('JSON parsing error for an image:', parseError);
-                        console.error('Raw AI response for image:', jsonText);
-                        setError('ไม่สามารถแยกวิเคราะห์ข้อมูลที่ได้รับจาก AI สำหรับบางรูปภาพได้');
-                    }
-                } else {
-                    console.error('Unexpected AI response structure for an image:', result);
-                    setError('ไม่ได้รับข้อมูลที่ถูกต้องจาก AI สำหรับบางรูปภาพ โปรดลองอีกครั้ง');
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        // The service worker posts OFFLINE_SYNC_TAG back when Background Sync fires
+        const handleWorkerMessage = (event) => {
+            if (event.data?.type === OFFLINE_SYNC_TAG) setOfflineSyncRequest(prev => prev + 1);
+        };
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/service-worker.js').catch(e => {
+                console.error("Service worker registration failed:", e);
+            });
+            navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+        }
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            if ('serviceWorker' in navigator) navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+        };
+    }, []);
+
+    // Show what is waiting offline for the signed-in user and workspace
+    useEffect(() => {
+        refreshOfflineQueue();
+    }, [refreshOfflineQueue]);
+
+    // Function to upload the files kept in IndexedDB while offline, oldest first; each record is removed once saved
+    const offlineSyncingRef = useRef(false); // Guards against overlapping runs; offlineSyncing mirrors it for the UI
+    const syncOfflineQueue = useCallback(async () => {
+        if (!db || !userId || !canEdit || offlineSyncingRef.current) return;
+        offlineSyncingRef.current = true;
+        setOfflineSyncing(true);
+        try {
+            const uploads = (await getOfflineRecords(OFFLINE_UPLOADS_STORE))
+                .filter(record => record.userId === userId && record.workspacePath === workspacePath)
+                .sort((a, b) => a.queuedAt - b.queuedAt);
+            for (const record of uploads) {
+                if (!navigator.onLine) break; // Offline again: the rest waits for the next sync
+                if (await processFiles([record.file], record)) {
+                    await deleteOfflineRecord(OFFLINE_UPLOADS_STORE, record.id);
                 }
-            } catch (err) {
-                console.error('API call error for an image:', err);
-                setError('เกิดข้อผิดพลาดในการประมวลผลสำหรับบางรูปภาพ: ' + err.message);
             }
+        } catch (e) {
+            console.error("Error syncing offline uploads:", e);
+            setError("Failed to upload the files saved while offline.");
         }
-        setExtractedData(updatedExtractedData); // This will trigger re-render and update the UI
+        offlineSyncingRef.current = false;
+        setOfflineSyncing(false);
+        refreshOfflineQueue();
+    }, [db, userId, workspacePath, canEdit, processFiles, refreshOfflineQueue]);
 
-        if (updatedExtractedData.length > 0) {
-            const csv = generateCsv(updatedExtractedData);
-            setCsvContentForPreview(csv);
-            setShowCsvPreview(true);
+    // Sync once per workspace when the app is online, again whenever the connection returns,
+    // and when the service worker's Background Sync asks for it
+    const offlineSyncKeyRef = useRef(null);
+    useEffect(() => {
+        if (!isOnline) {
+            offlineSyncKeyRef.current = null;
+            return;
         }
+        if (!activeBatchId) return; // Uploads need the batches to be loaded
+        const syncKey = `${workspacePath}|${offlineSyncRequest}`;
+        if (offlineSyncKeyRef.current === syncKey) return;
+        offlineSyncKeyRef.current = syncKey;
+        syncOfflineQueue();
+    }, [isOnline, activeBatchId, workspacePath, offlineSyncRequest, syncOfflineQueue]);
 
-        setLoading(false);
-    }, [selectedImages, db, userId, extractedData]); // Added extractedData to dependency array
+    // Once online, extract the slips synced from the offline queue and the ones the user asked to extract while offline
+    // Only the uploader's tabs pick up extractOnSync, so other members of a workspace do not race to extract (and pay for) it
+    useEffect(() => {
+        if (!isOnline || loading || offlineSyncing || !canEdit) return;
+        const waitingIds = selectedImages
+            .filter(img => !isBusyElsewhere(img) && (
+                (img.status === 'uploaded' && img.extractOnSync && img.uploadedBy === userId) ||
+                (['uploaded', 'failed'].includes(img.status) && pendingExtractionIds.includes(img.id))))
+            .map(img => img.id);
+        if (waitingIds.length > 0) processSlipWithAI(waitingIds, { openExport: false }); // Nobody asked for the export dialog here
+    }, [isOnline, loading, offlineSyncing, canEdit, userId, selectedImages, pendingExtractionIds, processSlipWithAI]);
+
+    // Function to cancel the running extraction queue (in-flight requests are aborted)
+    const cancelExtraction = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    // Function to re-run only the images whose last extraction failed (cancelled ones are back to "uploaded")
+    const retryFailedExtractions = () => {
+        const failedIds = selectedImages.filter(img => img.status === 'failed').map(img => img.id);
+        if (failedIds.length > 0) {
+            processSlipWithAI(failedIds);
+        }
+    };
+
+    // Function to update and persist extraction settings
+    const updateExtractionSettings = (changes) => {
+        setExtractionSettings(prev => {
+            const next = { ...prev, ...changes };
+            try {
+                localStorage.setItem(EXTRACTION_SETTINGS_STORAGE_KEY, JSON.stringify(next));
+            } catch (e) {
+                console.error("Failed to save extraction settings:", e);
+            }
+            return next;
+        });
+    };
 
     // Function to open image modal
-    const openImageModal = useCallback((imageId) => {
+    const imageModalIdRef = useRef(null); // Slip the modal was last opened on, so a slow full image never replaces the next one
+    const openImageModal = useCallback(async (imageId) => {
         const image = selectedImages.find(img => img.id === imageId);
         if (image) {
-            setCurrentImageModalUrl(image.dataUrl);
+            // Show the thumbnail right away, then swap in the full image once its chunks are loaded
+            imageModalIdRef.current = imageId;
+            setCurrentImageModalUrl(image.dataUrl || image.thumbnailDataUrl);
+            setCurrentImageModalId(imageId);
+            setModalShareUrl(null);
+            setImageView(DEFAULT_IMAGE_VIEW);
+            setHoveredField(null);
             setShowImageModal(true);
+            try {
+                const fullDataUrl = await getFullImageDataUrl(image);
+                if (imageModalIdRef.current === imageId) setCurrentImageModalUrl(fullDataUrl);
+            } catch (e) {
+                console.error("Error loading full image:", e);
+            }
         }
-    }, [selectedImages]);
+    }, [selectedImages, getFullImageDataUrl]);
+
+    // Function to close the image modal
+    const closeImageModal = useCallback(() => {
+        imageModalIdRef.current = null;
+        setShowImageModal(false);
+        setCurrentImageModalUrl(null);
+        setCurrentImageModalId(null);
+        setModalShareUrl(null);
+        setHoveredField(null);
+    }, []);
+
+    // Function to zoom the modal image by a factor, within IMAGE_ZOOM_MIN and IMAGE_ZOOM_MAX
+    const zoomImageModal = useCallback((factor) => {
+        setImageView(prev => ({ ...prev, zoom: Math.min(IMAGE_ZOOM_MAX, Math.max(IMAGE_ZOOM_MIN, prev.zoom * factor)) }));
+    }, []);
+
+    // Function to rotate the modal image by a number of degrees (slips photographed sideways or upside down)
+    const rotateImageModal = useCallback((degrees) => {
+        setImageView(prev => ({ ...prev, rotation: (prev.rotation + degrees + 360) % 360 }));
+    }, []);
+
+    // Pointer start and pan offset while the modal image is being dragged
+    const imagePanRef = useRef(null);
+
+    // Mouse wheel zooms the modal image; React's onWheel is passive and cannot stop the modal from scrolling,
+    // so a non-passive listener is attached to the image area instead
+    const imageStageRef = useRef(null);
+    const hasImageStage = showImageModal && !!currentImageModalUrl;
+    useEffect(() => {
+        const stage = imageStageRef.current;
+        if (!hasImageStage || !stage) return;
+        const handleWheel = (event) => {
+            event.preventDefault();
+            zoomImageModal(event.deltaY < 0 ? IMAGE_ZOOM_STEP : 1 / IMAGE_ZOOM_STEP);
+        };
+        stage.addEventListener('wheel', handleWheel, { passive: false });
+        return () => stage.removeEventListener('wheel', handleWheel);
+    }, [hasImageStage, zoomImageModal]);
 
     // Effect hook for canvas background animation
     useEffect(() => {
@@ -467,168 +3878,921 @@ const App = () => {
             }
         };
 
-        const connectParticles = () => {
-            for (let i = 0; i < particles.length; i++) {
-                for (let j = i; j < particles.length; j++) {
-                    const p1 = particles[i];
-                    const p2 = particles[j];
-                    const distance = Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+        const connectParticles = () => {
+            for (let i = 0; i < particles.length; i++) {
+                for (let j = i; j < particles.length; j++) {
+                    const p1 = particles[i];
+                    const p2 = particles[j];
+                    const distance = Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+
+                    if (distance < 120) {
+                        ctx.beginPath();
+                        ctx.moveTo(p1.x, p1.y);
+                        ctx.lineTo(p2.x, p2.y);
+                        ctx.strokeStyle = lineColor;
+                        ctx.lineWidth = 0.3;
+                        ctx.stroke();
+                    }
+                }
+            }
+        };
+
+        const animateParticles = () => {
+            requestAnimationFrame(animateParticles);
+
+            const gradient = ctx.createRadialGradient(
+                canvas.width / 2, canvas.height / 2, 0,
+                canvas.width / 2, canvas.height / 2, Math.max(canvas.width, canvas.height) / 2
+            );
+            gradient.addColorStop(0, 'rgba(10, 0, 30, 0.8)');
+            gradient.addColorStop(0.5, 'rgba(0, 0, 20, 0.9)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+
+            for (let i = 0; i < particles.length; i++) {
+                particles[i].update();
+            }
+            connectParticles();
+        };
+
+        setCanvasDimensions();
+        initParticles();
+        animateParticles();
+
+        const handleResize = () => {
+            setCanvasDimensions();
+            initParticles();
+        };
+
+        window.addEventListener('resize', handleResize);
+
+        return () => {
+            window.removeEventListener('resize', handleResize);
+        };
+    }, []);
+
+    // Progress summary of the extraction queue ("12 / 80 done, 2 failed")
+    const jobSummary = useMemo(() => {
+        const states = Object.values(jobStatuses).map(job => job.state);
+        return {
+            total: states.length,
+            done: states.filter(state => state === 'done').length,
+            failed: states.filter(state => state === 'failed').length,
+            cancelled: states.filter(state => state === 'cancelled').length
+        };
+    }, [jobStatuses]);
+
+    // Number of slips in each processing status, for the filter chips
+    const statusCounts = useMemo(() => {
+        const counts = Object.fromEntries(Object.keys(SLIP_STATUSES).map(status => [status, 0]));
+        selectedImages.forEach(img => { counts[img.status] = (counts[img.status] || 0) + 1; });
+        return counts;
+    }, [selectedImages]);
+
+    // Images shown in the upload grid after applying the status filter
+    const visibleImages = useMemo(() => (
+        statusFilter === 'all' ? selectedImages : selectedImages.filter(img => img.status === statusFilter)
+    ), [selectedImages, statusFilter]);
+
+    // Upload grid groups: pages of the same PDF are grouped under their parent file, images stand alone
+    const imageGroups = useMemo(() => {
+        const groups = [];
+        const pdfGroups = {};
+        visibleImages.forEach(image => {
+            if (image.sourceFileId) {
+                if (!pdfGroups[image.sourceFileId]) {
+                    pdfGroups[image.sourceFileId] = { key: image.sourceFileId, sourceFileName: image.sourceFileName, pageCount: image.pageCount, images: [] };
+                    groups.push(pdfGroups[image.sourceFileId]);
+                }
+                pdfGroups[image.sourceFileId].images.push(image);
+            } else {
+                groups.push({ key: image.id, images: [image] });
+            }
+        });
+        groups.forEach(group => group.images.sort((a, b) => (a.pageNumber || 0) - (b.pageNumber || 0)));
+        return groups;
+    }, [visibleImages]);
+
+    // Slips that count towards totals and charts (duplicates are left out unless the user accepted them)
+    const countedExtractedData = useMemo(() => extractedData.filter(isCountedSlip), [extractedData]);
+
+    // Search query split into filters and free-text terms
+    const searchTokens = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+
+    // Filtered data for the table, summary cards and charts based on the status filter and search query
+    const filteredExtractedData = useMemo(() => {
+        const statusFiltered = statusFilter === 'all' ? extractedData : extractedData.filter(item => item.status === statusFilter);
+        if (searchTokens.length === 0) {
+            return statusFiltered;
+        }
+        return statusFiltered.filter(item => matchesSearchTokens(item, searchTokens));
+    }, [extractedData, searchTokens, statusFilter]);
+
+    // Filtered slips that count towards totals and charts
+    const filteredCountedData = useMemo(() => filteredExtractedData.filter(isCountedSlip), [filteredExtractedData]);
+    const duplicateCount = filteredExtractedData.filter(item => item.duplicateOf && !item.duplicateAccepted).length;
+    const needsReviewCount = filteredExtractedData.filter(item => item.reviewStatus === 'needs_review').length;
+    const riskySlipCount = extractedData.filter(item => item.risk && item.risk.score >= RISK_LEVELS.medium.min).length;
+    const isFiltered = filteredExtractedData.length !== extractedData.length;
+
+    // Calculate dashboard summary data
+    const totalSlips = filteredCountedData.length;
+    const totalAmount = filteredCountedData.reduce((sum, item) => sum + (item.data.parsedAmount || 0), 0);
+
+    // Function to set (or clear, when value is empty) one key:value filter in the search query
+    const setSearchFilter = useCallback((key, value) => {
+        setSearchQuery(prev => buildSearchQuery([
+            ...parseSearchQuery(prev).filter(token => token.key !== key),
+            ...(value ? [toSearchToken(key, value)] : [])
+        ]));
+    }, []);
+
+    // Function to remove one token (chip) from the search query
+    const removeSearchToken = useCallback((index) => {
+        setSearchQuery(prev => buildSearchQuery(parseSearchQuery(prev).filter((token, tokenIndex) => tokenIndex !== index)));
+    }, []);
+
+    // Images by ID, so table rows do not search the whole image list
+    const imagesById = useMemo(() => new Map(selectedImages.map(image => [image.id, image])), [selectedImages]);
+
+    // Table rows: filtered, sorted, then cut to the current page (only one page of rows is ever rendered)
+    const sortedTableData = useMemo(() => sortSlips(filteredExtractedData, tablePreferences.sort), [filteredExtractedData, tablePreferences.sort]);
+    const tablePageCount = Math.max(1, Math.ceil(sortedTableData.length / tablePreferences.pageSize));
+    // A page belongs to one filter/sort/page size, so changing any of them goes back to the first page
+    const tableViewKey = [searchQuery, statusFilter, tablePreferences.sort?.key, tablePreferences.sort?.direction, tablePreferences.pageSize].join('|');
+    const currentTablePage = tablePage.viewKey === tableViewKey ? Math.min(tablePage.page, tablePageCount - 1) : 0;
+    const goToTablePage = (page) => setTablePage({ page, viewKey: tableViewKey });
+    const tablePageRows = useMemo(() => sortedTableData.slice(
+        currentTablePage * tablePreferences.pageSize,
+        (currentTablePage + 1) * tablePreferences.pageSize
+    ), [sortedTableData, currentTablePage, tablePreferences.pageSize]);
+    const isColumnVisible = (key) => !tablePreferences.hiddenColumns.includes(key);
+
+    // Position of the image modal's slip among the table rows (in their current order), for previous/next
+    const imageModalIndex = sortedTableData.findIndex(item => item.imageId === currentImageModalId);
+
+    // Function to show the previous (-1) or next (1) table row in the image modal
+    const stepImageModal = useCallback((offset) => {
+        const next = sortedTableData[imageModalIndex + offset];
+        if (imageModalIndex >= 0 && next) openImageModal(next.imageId);
+    }, [sortedTableData, imageModalIndex, openImageModal]);
+
+    // Keyboard shortcuts in the image modal: arrows step through the slips, + and - zoom, R rotates,
+    // 0 resets the view and Esc closes (ignored while typing, e.g. in the share link box, and with Ctrl/⌘/Alt held
+    // so browser shortcuts such as reload and page zoom keep working)
+    useEffect(() => {
+        if (!showImageModal) return;
+        const handleKeyDown = (event) => {
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            const actions = {
+                ArrowRight: () => stepImageModal(1),
+                ArrowDown: () => stepImageModal(1),
+                ArrowLeft: () => stepImageModal(-1),
+                ArrowUp: () => stepImageModal(-1),
+                '+': () => zoomImageModal(IMAGE_ZOOM_STEP),
+                '=': () => zoomImageModal(IMAGE_ZOOM_STEP),
+                '-': () => zoomImageModal(1 / IMAGE_ZOOM_STEP),
+                r: () => rotateImageModal(90),
+                R: () => rotateImageModal(-90),
+                0: () => setImageView(DEFAULT_IMAGE_VIEW),
+                Escape: closeImageModal
+            };
+            if (!actions[event.key]) return;
+            event.preventDefault();
+            actions[event.key]();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [showImageModal, stepImageModal, zoomImageModal, rotateImageModal, closeImageModal]);
+
+    // Function to change the slip table preferences and save them for this user
+    const updateTablePreferences = useCallback((patch) => {
+        const next = { ...tablePreferences, ...patch };
+        setTablePreferences(next);
+        if (!db || !userId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        setDoc(doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'slipTable'), next).catch(e => {
+            console.error("Error saving table preferences:", e);
+        });
+    }, [db, userId, tablePreferences]);
+
+    // Function to sort the table by a column: ascending, then descending, then back to upload order
+    const toggleTableSort = (key) => {
+        const current = tablePreferences.sort;
+        const sort = current?.key !== key ? { key, direction: 'asc' } : current.direction === 'asc' ? { key, direction: 'desc' } : null;
+        updateTablePreferences({ sort });
+    };
+
+    // Function to show or hide a table column
+    const toggleTableColumn = (key) => {
+        const hiddenColumns = tablePreferences.hiddenColumns.includes(key)
+            ? tablePreferences.hiddenColumns.filter(hiddenKey => hiddenKey !== key)
+            : [...tablePreferences.hiddenColumns, key];
+        updateTablePreferences({ hiddenColumns });
+    };
+
+    // Bring a slip row into view: switch to its page (clearing filters that hide it), then scroll to it
+    useEffect(() => {
+        if (!pendingScrollId) return;
+        const index = sortedTableData.findIndex(item => item.imageId === pendingScrollId);
+        if (index === -1) {
+            if ((searchQuery || statusFilter !== 'all') && extractedData.some(item => item.imageId === pendingScrollId)) {
+                setSearchQuery('');
+                setStatusFilter('all');
+            } else {
+                setPendingScrollId(null);
+            }
+            return;
+        }
+        const page = Math.floor(index / tablePreferences.pageSize);
+        if (page !== currentTablePage) {
+            setTablePage({ page, viewKey: tableViewKey });
+            return;
+        }
+        document.getElementById(`slip-row-${pendingScrollId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setPendingScrollId(null);
+    }, [pendingScrollId, sortedTableData, currentTablePage, tableViewKey, tablePreferences.pageSize, searchQuery, statusFilter, extractedData]);
+
+    // Links to "#slip-row-<id>" (duplicates, reconciliation, expected payments) may point to a row on another page
+    useEffect(() => {
+        const handleHashChange = () => {
+            const match = window.location.hash.match(/^#slip-row-(.+)$/);
+            if (!match) return;
+            setPendingScrollId(match[1]);
+            // Drop the hash so clicking the same link again fires another hashchange
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        };
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    // Slips waiting for a person to check them (validation issues or low model confidence)
+    const reviewQueue = useMemo(() => extractedData.filter(item => item.reviewStatus === 'needs_review'), [extractedData]);
+    const reviewItem = reviewImageId ? extractedData.find(item => item.imageId === reviewImageId) : null;
+
+    // Validation of the review form as it is being edited
+    const reviewDraftIssues = useMemo(() => {
+        if (!reviewItem) return [];
+        const changedFields = EXTRACTED_FIELDS.map(field => field.key).filter(key => (reviewItem.data[key] ?? '') !== reviewDraft[key]);
+        const changes = Object.fromEntries(changedFields.map(key => [key, reviewDraft[key]]));
+        return validateSlip(applyFieldChanges(reviewItem.data, changes), withCorrectedConfidence(reviewItem.confidence, changedFields));
+    }, [reviewItem, reviewDraft]);
+
+    // Function to open a slip in the review panel with its current values in the form (null closes the panel)
+    const openReview = useCallback((imageId) => {
+        const item = imageId && extractedData.find(entry => entry.imageId === imageId);
+        setReviewImageId(item ? imageId : null);
+        setReviewDraft(item ? Object.fromEntries(EXTRACTED_FIELDS.map(field => [field.key, item.data[field.key] ?? ''])) : {});
+    }, [extractedData]);
+
+    // Load the full-size image of the slip under review (the thumbnail is shown until it arrives)
+    useEffect(() => {
+        const image = reviewImageId && imagesById.get(reviewImageId);
+        if (!image) {
+            setReviewImageUrl(null);
+            return;
+        }
+        let cancelled = false;
+        setReviewImageUrl(image.dataUrl || image.thumbnailDataUrl);
+        getFullImageDataUrl(image).then(url => {
+            if (!cancelled) setReviewImageUrl(url);
+        }).catch(e => {
+            console.error("Error loading full image for review:", e);
+        });
+        return () => { cancelled = true; };
+    }, [reviewImageId, imagesById, getFullImageDataUrl]);
+
+    // Function to move to the previous (-1) or next (+1) slip in the review queue
+    const stepReview = (offset) => {
+        const index = reviewQueue.findIndex(item => item.imageId === reviewImageId);
+        const next = reviewQueue[(index + offset + reviewQueue.length) % reviewQueue.length];
+        if (next) openReview(next.imageId);
+    };
+
+    // Function to save the review form, approve the slip so it counts again, and move on to the next one
+    const approveReview = useCallback(async () => {
+        const remaining = reviewQueue.filter(item => item.imageId !== reviewImageId);
+        const index = reviewQueue.findIndex(item => item.imageId === reviewImageId);
+        const saved = await updateExtractedFields(reviewImageId, reviewDraft, { reviewStatus: 'approved', reviewedBy: userId, reviewedAt: Date.now() });
+        if (!saved) return; // Stay on the slip so the edits are not lost; the error is already shown
+        openReview(remaining[Math.min(Math.max(index, 0), remaining.length - 1)]?.imageId || null);
+    }, [reviewQueue, reviewImageId, reviewDraft, userId, updateExtractedFields, openReview]);
+
+
+    // Rows the export dialog will write: the filtered table rows or everything, with or without duplicates
+    const exportRows = useMemo(() => {
+        const rows = exportOptions.filteredOnly ? filteredExtractedData : extractedData;
+        return exportOptions.includeDuplicates ? rows : rows.filter(isCountedSlip);
+    }, [exportOptions.filteredOnly, exportOptions.includeDuplicates, filteredExtractedData, extractedData]);
+
+    // Text preview of the export (first rows only; XLSX is binary, so the CSV layout is previewed instead)
+    const exportPreview = useMemo(() => {
+        if (!showExportDialog) return '';
+        const previewFormat = exportOptions.format === 'xlsx' ? 'csv' : exportOptions.format;
+        // Rows without a share link yet show a placeholder; the link is created on download
+        return buildExport(previewFormat, exportRows.slice(0, 20), exportOptions, {
+            getViewUrl: (item) => getViewUrl(item) || '(สร้างลิงก์เมื่อดาวน์โหลด)'
+        });
+    }, [showExportDialog, exportOptions, exportRows, activeShareTokens]);
+
+    // Statement lines from every imported statement, with keys unique across statements
+    const statementLines = useMemo(() => statements.flatMap(getStatementLines), [statements]);
+
+    // Reconciliation buckets: matched slips, slips without a statement line and statement lines without a slip
+    // A match against a statement in the trash is kept on the slip (restoring the statement brings it back) but not counted
+    const reconciliation = useMemo(() => {
+        const matched = [];
+        const slipsWithoutLine = [];
+        const matchedLineKeys = new Set();
+        const statementIds = new Set(statements.map(statement => statement.id));
+        countedExtractedData.forEach(item => {
+            if (item.reconciliation && statementIds.has(item.reconciliation.statementId)) {
+                matched.push(item);
+                matchedLineKeys.add(item.reconciliation.lineKey);
+            } else {
+                slipsWithoutLine.push(item);
+            }
+        });
+        const linesWithoutSlip = statementLines.filter(line => !matchedLineKeys.has(line.key));
+        return { matched, slipsWithoutLine, linesWithoutSlip };
+    }, [countedExtractedData, statements, statementLines]);
+
+    // Function to store a reconciliation result on a slip (null removes the match)
+    const saveReconciliation = useCallback(async (imageId, record) => {
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageId);
+        await setDoc(slipDocRef, { reconciliation: record }, { merge: true });
+    }, [db, userId, workspacePath]);
+
+    // Function to auto-match unmatched slips against unmatched statement lines (plus lines not in state yet)
+    const autoReconcile = useCallback(async (newLines = []) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const matches = autoMatchStatement(reconciliation.slipsWithoutLine, [...reconciliation.linesWithoutSlip, ...newLines], reconcileDirection);
+        try {
+            await Promise.all(matches.map(match => saveReconciliation(
+                match.imageId,
+                buildReconciliationRecord(match.line, 'auto', match.score, userId)
+            )));
+        } catch (e) {
+            console.error("Error saving reconciliation matches:", e);
+            setError("Failed to save reconciliation matches.");
+        }
+    }, [db, userId, reconciliation, reconcileDirection, saveReconciliation]);
+
+    // Function to import a bank statement file, store its lines and auto-match them
+    const importStatementFile = useCallback(async (file) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        setImportingStatement(true);
+        try {
+            const lines = await parseBankStatement(file);
+            const chunks = [];
+            for (let start = 0; start < lines.length; start += STATEMENT_LINES_PER_CHUNK) chunks.push(lines.slice(start, start + STATEMENT_LINES_PER_CHUNK));
+            const statement = {
+                id: crypto.randomUUID(), batchId: activeBatchId, fileName: file.name, importedAt: Date.now(),
+                lineCount: lines.length, lineChunkCount: chunks.length
+            };
+            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+            const statementDocRef = doc(db, `artifacts/${appId}/${workspacePath}/statements`, statement.id);
+            // The lines are written in the same batch as the statement, so a failed import leaves nothing behind
+            const batch = writeBatch(db);
+            batch.set(statementDocRef, statement);
+            chunks.forEach((chunkLines, index) => batch.set(doc(statementDocRef, 'lines', String(index)), { index, lines: chunkLines }));
+            await batch.commit();
+            await autoReconcile(getStatementLines({ ...statement, lines }));
+            setReconciliationTab('matched');
+        } catch (e) {
+            console.error("Error importing bank statement:", e);
+            setError(`นำเข้ารายการเดินบัญชีไม่สำเร็จ: ${e.message}`);
+        } finally {
+            setImportingStatement(false);
+        }
+    }, [db, userId, workspacePath, activeBatchId, autoReconcile]);
+
+    // Function to remove an imported statement: it moves to the trash like deleted slips and can be restored with its matches
+    const removeStatement = useCallback((statementId) => (
+        moveToTrash([], [statementId], 'ย้ายรายการเดินบัญชีไปถังขยะแล้ว')
+    ), [moveToTrash]);
+
+    // Function to confirm an auto match, remove a match, or match a slip with a line by hand
+    const updateReconciliation = useCallback(async (imageId, action, line) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const item = extractedData.find(entry => entry.imageId === imageId);
+        let record = null;
+        if (action === 'confirm') {
+            record = { ...item.reconciliation, confirmed: true, confirmedAt: Date.now(), by: userId };
+        } else if (action === 'match') {
+            record = buildReconciliationRecord(line, 'manual', null, userId);
+        }
+        try {
+            await saveReconciliation(imageId, record);
+        } catch (e) {
+            console.error("Error updating reconciliation:", e);
+            setError("Failed to update the reconciliation.");
+        }
+    }, [db, userId, extractedData, saveReconciliation]);
+
+    // Expected payments with the slips matched to them, their payment state and the dashboard totals per state
+    const invoiceSummary = useMemo(() => {
+        const slipsByInvoice = {};
+        countedExtractedData.forEach(item => {
+            const invoiceId = item.invoiceMatch?.invoiceId;
+            if (invoiceId) {
+                (slipsByInvoice[invoiceId] = slipsByInvoice[invoiceId] || []).push(item);
+            }
+        });
+
+        const totals = Object.fromEntries(Object.keys(INVOICE_STATUSES).map(status => [status, { count: 0, amount: 0 }]));
+        const rows = invoices.map(invoice => {
+            const slips = slipsByInvoice[invoice.id] || [];
+            const paid = slips.reduce((sum, item) => sum + (item.data.parsedAmount || 0), 0);
+            const status = getInvoiceStatus(invoice.amount, paid);
+            // Outstanding and underpaid count what is still due, paid counts what came in, overpaid counts the excess
+            totals[status].count += 1;
+            totals[status].amount += status === 'paid' ? paid : status === 'overpaid' ? paid - invoice.amount : invoice.amount - paid;
+            return { ...invoice, slips, paid, status };
+        });
+
+        const unmatchedSlips = countedExtractedData.filter(item => !item.invoiceMatch?.invoiceId);
+        return { rows, totals, unmatchedSlips };
+    }, [invoices, countedExtractedData]);
+
+    // Function to store an expected payment match on a slip (null lets auto-matching pick the slip up again)
+    const saveInvoiceMatch = useCallback(async (imageId, record) => {
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const slipDocRef = doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageId);
+        await setDoc(slipDocRef, { invoiceMatch: record }, { merge: true });
+    }, [db, userId, workspacePath]);
+
+    // Slips with an auto-match write in flight, so the next snapshot does not match them twice
+    const pendingInvoiceMatchesRef = useRef(new Set());
+
+    // Auto-match slips that have never been matched (or set to "no invoice") against expected payments still open
+    useEffect(() => {
+        if (!db || !userId || !canEdit || invoices.length === 0) return;
+        const candidates = countedExtractedData.filter(item => !item.invoiceMatch && !pendingInvoiceMatchesRef.current.has(item.imageId));
+        if (candidates.length === 0) return;
+
+        const balances = Object.fromEntries(invoiceSummary.rows.map(row => [row.id, row.amount - row.paid]));
+        autoMatchInvoices(candidates, invoices, balances).forEach(match => {
+            pendingInvoiceMatchesRef.current.add(match.imageId);
+            saveInvoiceMatch(match.imageId, {
+                invoiceId: match.invoiceId,
+                method: 'auto',
+                score: match.score,
+                matchedAt: Date.now(),
+                by: userId
+            }).catch(e => {
+                console.error("Error saving expected payment match:", e);
+                setError("Failed to save expected payment matches.");
+            }).finally(() => pendingInvoiceMatchesRef.current.delete(match.imageId));
+        });
+    }, [db, userId, canEdit, invoices, countedExtractedData, invoiceSummary, saveInvoiceMatch]);
+
+    // Function to match a slip to an expected payment by hand, or mark it as not belonging to any (invoiceId null)
+    const updateInvoiceMatch = useCallback(async (imageId, invoiceId) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        try {
+            await saveInvoiceMatch(imageId, { invoiceId, method: 'manual', score: null, matchedAt: Date.now(), by: userId });
+        } catch (e) {
+            console.error("Error updating expected payment match:", e);
+            setError("Failed to update the expected payment match.");
+        }
+    }, [db, userId, saveInvoiceMatch]);
+
+    // Function to save expected payments ({ reference, payerName, amount, dueDate }) to Firestore
+    const saveInvoices = useCallback(async (entries, source) => {
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        await Promise.all(entries.map(entry => {
+            const id = crypto.randomUUID();
+            return setDoc(doc(db, `artifacts/${appId}/${workspacePath}/invoices`, id), {
+                id,
+                batchId: activeBatchId,
+                reference: entry.reference || '',
+                payerName: entry.payerName,
+                amount: entry.amount,
+                dueDate: entry.dueDate || null,
+                source,
+                createdAt: Date.now()
+            });
+        }));
+    }, [db, userId, workspacePath, activeBatchId]);
+
+    // Function to add the expected payment typed into the form
+    const addInvoice = useCallback(async () => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const amount = parseAmount(invoiceDraft.amount);
+        if (!invoiceDraft.payerName.trim() || amount <= 0) {
+            setError('กรุณาระบุชื่อผู้ชำระและจำนวนเงินที่ถูกต้อง');
+            return;
+        }
+        try {
+            await saveInvoices([{ ...invoiceDraft, payerName: invoiceDraft.payerName.trim(), amount }], 'manual');
+            setInvoiceDraft({ reference: '', payerName: '', amount: '', dueDate: '' });
+        } catch (e) {
+            console.error("Error adding expected payment:", e);
+            setError("Failed to add the expected payment.");
+        }
+    }, [db, userId, invoiceDraft, saveInvoices]);
+
+    // Function to import expected payments from a CSV file
+    const importInvoiceFile = useCallback(async (file) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        try {
+            const entries = parseInvoiceCsv(await readTextFile(file));
+            if (entries.length === 0) {
+                throw new Error(`ไม่พบรายการในไฟล์ ${file.name}`);
+            }
+            await saveInvoices(entries, 'import');
+        } catch (e) {
+            console.error("Error importing expected payments:", e);
+            setError(`นำเข้ารายการรอรับชำระไม่สำเร็จ: ${e.message}`);
+        }
+    }, [db, userId, saveInvoices]);
+
+    // Function to delete an expected payment; its slips go back to auto-matching
+    const removeInvoice = useCallback(async (invoiceId) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/${workspacePath}/invoices`, invoiceId));
+            await Promise.all(extractedData
+                .filter(item => item.invoiceMatch?.invoiceId === invoiceId)
+                .map(item => saveInvoiceMatch(item.imageId, null)));
+        } catch (e) {
+            console.error("Error removing expected payment:", e);
+            setError("Failed to remove the expected payment.");
+        }
+    }, [db, userId, workspacePath, extractedData, saveInvoiceMatch]);
+
+    // Function to switch to another batch and remember it for the next visit
+    const switchBatch = useCallback((batchId) => {
+        setSelectedBatchId(batchId);
+        setStatusFilter('all');
+        if (!db || !userId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        setDoc(doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'workspace'), { activeBatchIds: { [workspaceKey]: batchId } }, { merge: true }).catch(e => {
+            console.error("Error saving the active batch:", e);
+        });
+    }, [db, userId, workspaceKey]);
 
-                    if (distance < 120) {
-                        ctx.beginPath();
-                        ctx.moveTo(p1.x, p1.y);
-                        ctx.lineTo(p2.x, p2.y);
-                        ctx.strokeStyle = lineColor;
-                        ctx.lineWidth = 0.3;
-                        ctx.stroke();
-                    }
-                }
-            }
-        };
+    // Function to create a batch with the typed name and switch to it
+    const createBatch = useCallback(async () => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const name = batchNameDraft.trim();
+        if (!name) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const id = crypto.randomUUID();
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/${workspacePath}/batches`, id), { id, name, archived: false, createdAt: Date.now() });
+            setBatchNameDraft('');
+            switchBatch(id);
+        } catch (e) {
+            console.error("Error creating batch:", e);
+            setError("Failed to create the batch.");
+        }
+    }, [db, userId, workspacePath, batchNameDraft, switchBatch]);
 
-        const animateParticles = () => {
-            requestAnimationFrame(animateParticles);
+    // Function to rename the active batch to the typed name
+    const renameBatch = useCallback(async () => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const name = batchNameDraft.trim();
+        if (!name || !activeBatchId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/${workspacePath}/batches`, activeBatchId), { name }, { merge: true });
+            setBatchNameDraft('');
+        } catch (e) {
+            console.error("Error renaming batch:", e);
+            setError("Failed to rename the batch.");
+        }
+    }, [db, userId, workspacePath, batchNameDraft, activeBatchId]);
 
-            const gradient = ctx.createRadialGradient(
-                canvas.width / 2, canvas.height / 2, 0,
-                canvas.width / 2, canvas.height / 2, Math.max(canvas.width, canvas.height) / 2
-            );
-            gradient.addColorStop(0, 'rgba(10, 0, 30, 0.8)');
-            gradient.addColorStop(0.5, 'rgba(0, 0, 20, 0.9)');
-            gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
-            ctx.fillStyle = gradient;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Function to archive or restore a batch; archiving the active batch switches to another open one
+    const setBatchArchived = useCallback(async (batchId, archived) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const nextBatch = batches.find(batch => batch.id !== batchId && !batch.archived);
+        if (archived && !nextBatch) {
+            setError('ต้องมีชุดสลิปที่ยังไม่ถูกเก็บอย่างน้อยหนึ่งชุด');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/${workspacePath}/batches`, batchId), { archived }, { merge: true });
+            if (archived && batchId === activeBatchId) switchBatch(nextBatch.id);
+        } catch (e) {
+            console.error("Error archiving batch:", e);
+            setError("Failed to update the batch.");
+        }
+    }, [db, userId, workspacePath, batches, activeBatchId, switchBatch]);
 
+    // Function to move slips to another batch
+    // Reconciliation and expected payment matches point at records of the old batch, so they are cleared
+    const moveSlipsToBatch = useCallback(async (imageIds, batchId) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        if (!batchId || batchId === activeBatchId || imageIds.length === 0) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await Promise.all(imageIds.map(imageId => setDoc(doc(db, `artifacts/${appId}/${workspacePath}/slips`, imageId), {
+                batchId,
+                reconciliation: null,
+                invoiceMatch: null
+            }, { merge: true })));
+            setMoveTargetBatchId('');
+        } catch (e) {
+            console.error("Error moving slips to another batch:", e);
+            setError("Failed to move slips to the other batch.");
+        }
+    }, [db, userId, workspacePath, activeBatchId]);
 
-            for (let i = 0; i < particles.length; i++) {
-                particles[i].update();
-            }
-            connectParticles();
-        };
+    // Function to switch between the personal space (null) and a shared workspace, and remember it for the next visit
+    const switchWorkspace = useCallback((workspaceId) => {
+        setActiveWorkspaceId(workspaceId);
+        setSearchQuery('');
+        setStatusFilter('all');
+        if (!db || !userId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        setDoc(doc(db, `artifacts/${appId}/users/${userId}/preferences`, 'workspace'), { activeWorkspaceId: workspaceId }, { merge: true }).catch(e => {
+            console.error("Error saving the active workspace:", e);
+        });
+    }, [db, userId]);
 
-        setCanvasDimensions();
-        initParticles();
-        animateParticles();
+    // Function to create a shared workspace owned by the user (with its first batch) and switch to it
+    const createWorkspace = useCallback(async () => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const name = workspaceNameDraft.trim();
+        if (!name) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const id = crypto.randomUUID();
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/workspaces`, id), {
+                id,
+                name,
+                ownerId: userId,
+                memberIds: [userId],
+                roles: { [userId]: 'owner' },
+                memberProfiles: { [userId]: { email: authProfile?.email || null, displayName: authProfile?.displayName || null } },
+                createdAt: Date.now()
+            });
+            await setDoc(doc(db, `artifacts/${appId}/workspaces/${id}/batches`, DEFAULT_BATCH_ID), {
+                id: DEFAULT_BATCH_ID, name: DEFAULT_BATCH_NAME, archived: false, createdAt: Date.now()
+            });
+            setWorkspaceNameDraft('');
+            switchWorkspace(id);
+        } catch (e) {
+            console.error("Error creating workspace:", e);
+            setError("Failed to create the workspace.");
+        }
+    }, [db, userId, authProfile, workspaceNameDraft, switchWorkspace]);
 
-        const handleResize = () => {
-            setCanvasDimensions();
-            initParticles();
-        };
+    // Function to invite an email address to the active workspace with a role (owner only)
+    // The invitation ID is the lowercased email, so the rules can look it up when the invitee accepts
+    const inviteMember = useCallback(async () => {
+        if (!db || !userId || !activeWorkspace || workspaceRole !== 'owner') return;
+        const email = inviteDraft.email.trim().toLowerCase();
+        if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+            setError('รูปแบบอีเมลไม่ถูกต้อง');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/workspaces/${activeWorkspace.id}/invitations`, email), {
+                email,
+                role: inviteDraft.role,
+                appId,
+                workspaceId: activeWorkspace.id,
+                workspaceName: activeWorkspace.name,
+                invitedBy: userId,
+                invitedByEmail: authProfile?.email || null,
+                createdAt: Date.now()
+            });
+            setInviteDraft(prev => ({ ...prev, email: '' }));
+        } catch (e) {
+            console.error("Error inviting member:", e);
+            setError("Failed to send the invitation.");
+        }
+    }, [db, userId, authProfile, activeWorkspace, workspaceRole, inviteDraft]);
 
-        window.addEventListener('resize', handleResize);
+    // Function to withdraw an invitation that has not been accepted yet (owner only)
+    const revokeInvitation = useCallback(async (email) => {
+        if (!db || !activeWorkspace) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/workspaces/${activeWorkspace.id}/invitations`, email));
+        } catch (e) {
+            console.error("Error revoking invitation:", e);
+            setError("Failed to revoke the invitation.");
+        }
+    }, [db, activeWorkspace]);
 
-        return () => {
-            window.removeEventListener('resize', handleResize);
-        };
-    }, []);
+    // Function to change a member's role (owner only; the owner's own role cannot change)
+    const updateMemberRole = useCallback(async (memberId, role) => {
+        if (!db || !activeWorkspace || memberId === activeWorkspace.ownerId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/workspaces`, activeWorkspace.id), { roles: { [memberId]: role } }, { merge: true });
+        } catch (e) {
+            console.error("Error changing member role:", e);
+            setError("Failed to change the member's role.");
+        }
+    }, [db, activeWorkspace]);
 
-    // Calculate dashboard summary data
-    const totalSlips = extractedData.length;
-    const totalAmount = extractedData.reduce((sum, item) => sum + (item.data.parsedAmount || 0), 0);
+    // Function to remove a member from the active workspace; members may also remove themselves (leave)
+    const removeMember = useCallback(async (memberId) => {
+        if (!db || !userId || !activeWorkspace || memberId === activeWorkspace.ownerId) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/workspaces`, activeWorkspace.id), {
+                memberIds: arrayRemove(memberId),
+                roles: { [memberId]: deleteField() },
+                memberProfiles: { [memberId]: deleteField() }
+            }, { merge: true });
+            if (memberId === userId) {
+                setShowTeamPanel(false);
+                switchWorkspace(null);
+            }
+        } catch (e) {
+            console.error("Error removing member:", e);
+            setError("Failed to remove the member.");
+        }
+    }, [db, userId, activeWorkspace, switchWorkspace]);
 
-    // Filtered data for the table based on search query
-    const filteredExtractedData = useMemo(() => {
-        if (!searchQuery) {
-            return extractedData;
-        }
-        const lowerCaseQuery = searchQuery.toLowerCase();
-        return extractedData.filter(item => {
-            // Check all relevant string fields for a match
-            return (
-                item.imageId?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.senderName?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.recipientName?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.amount?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.transactionDate?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.transactionTime?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.transactionId?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.senderBankName?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.senderBankAccountNumber?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.recipientBankName?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.recipientBankAccountNumber?.toLowerCase().includes(lowerCaseQuery) ||
-                item.data.country?.toLowerCase().includes(lowerCaseQuery)
-            );
-        });
-    }, [extractedData, searchQuery]);
+    // Function to accept an invitation: join the workspace with the invited role and delete the invitation in one write
+    const acceptInvitation = useCallback(async (invitation) => {
+        if (!db || !userId) {
+            setError('Firebase not initialized or user not authenticated.');
+            return;
+        }
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        const batch = writeBatch(db);
+        batch.set(doc(db, `artifacts/${appId}/workspaces`, invitation.workspaceId), {
+            memberIds: arrayUnion(userId),
+            roles: { [userId]: invitation.role },
+            memberProfiles: { [userId]: { email: authProfile?.email || null, displayName: authProfile?.displayName || null } }
+        }, { merge: true });
+        batch.delete(doc(db, `artifacts/${appId}/workspaces/${invitation.workspaceId}/invitations`, invitation.email));
+        try {
+            await batch.commit();
+            switchWorkspace(invitation.workspaceId);
+        } catch (e) {
+            console.error("Error accepting invitation:", e);
+            setError("Failed to join the workspace.");
+        }
+    }, [db, userId, authProfile, switchWorkspace]);
+
+    // Function to decline an invitation
+    const declineInvitation = useCallback(async (invitation) => {
+        if (!db) return;
+        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/workspaces/${invitation.workspaceId}/invitations`, invitation.email));
+        } catch (e) {
+            console.error("Error declining invitation:", e);
+            setError("Failed to decline the invitation.");
+        }
+    }, [db]);
 
+    // Function to show a member's name: "คุณ" for the user, otherwise their saved name or email
+    const getMemberName = (memberId) => {
+        if (!memberId) return '-';
+        if (memberId === userId) return 'คุณ';
+        const profile = activeWorkspace?.memberProfiles?.[memberId];
+        return profile?.displayName || profile?.email || `${memberId.substring(0, 8)}...`;
+    };
 
-    // Calculate daily frequency data for the graph and sort by frequency (descending)
+    // Calculate daily frequency data for the graph, sorted chronologically
     const dailyFrequencyData = useMemo(() => {
         const frequencyMap = {};
-        extractedData.forEach(item => {
-            const date = item.data.transactionDate;
+        filteredCountedData.forEach(item => {
+            const date = item.data.isoDate; // Normalized, so "19 ต.ค. 68" and "19/10/2568" land on the same day
             if (date) {
                 frequencyMap[date] = (frequencyMap[date] || 0) + 1;
             }
         });
 
         const dataArray = Object.keys(frequencyMap).map(date => ({
-            date: date,
+            date: formatThaiDate(date),
+            isoDate: date,
             count: frequencyMap[date]
         }));
 
-        dataArray.sort((a, b) => b.count - a.count);
+        dataArray.sort((a, b) => a.isoDate.localeCompare(b.isoDate)); // Chronological order
 
         return dataArray;
-    }, [extractedData]);
+    }, [filteredCountedData]);
+
+    // Number of slips whose printed date could not be parsed (left out of the daily chart)
+    const unparsedDateCount = useMemo(() => (
+        filteredCountedData.filter(item => item.data.dateParseError).length
+    ), [filteredCountedData]);
 
     // Calculate Top 5 Most Frequently Transferred To Accounts (Recipient) by Count and Amount and Bank Name
+    // Accounts are grouped by bank + visible digits + recipient name, since the same payee is printed with different masks
     const topRecipientAccountsData = useMemo(() => {
-        const accountStatsMap = {}; // { accountNumber: { count: number, totalAmount: number, bankName: string } }
+        const accountStatsMap = {}; // { identity: { count, totalAmount, bankName, bankId, canonical, variants: Set } }
 
-        extractedData.forEach(item => {
+        filteredCountedData.forEach(item => {
             // Aggregate recipient accounts
             if (item.data.recipientBankAccountNumber) {
-                const acc = item.data.recipientBankAccountNumber;
+                const rawAccount = item.data.recipientBankAccountNumber.trim();
+                const parsedAccount = parseAccountNumber(rawAccount);
+                const acc = parsedAccount
+                    ? [item.data.recipientBankId || normalizeBankText(item.data.recipientBankName), parsedAccount.visibleDigits, normalizePayeeName(item.data.recipientName)].join('|')
+                    : rawAccount; // Unparseable numbers are grouped by their raw text
                 const amount = item.data.parsedAmount || 0;
-                const bank = item.data.recipientBankName || ''; // Use recipientBankName
+                const bank = getCanonicalBankName(item.data, 'recipient'); // Canonical name from the bank registry
 
                 if (!accountStatsMap[acc]) {
-                    accountStatsMap[acc] = { count: 0, totalAmount: 0, bankName: bank }; // Store bank name
+                    accountStatsMap[acc] = {
+                        count: 0,
+                        totalAmount: 0,
+                        bankName: bank, // Store bank name
+                        bankId: item.data.recipientBankId,
+                        canonical: parsedAccount?.canonical || rawAccount,
+                        recipientName: item.data.recipientName || '',
+                        variants: new Set()
+                    };
                 }
+                accountStatsMap[acc].variants.add(rawAccount); // Raw spellings merged into this row
                 accountStatsMap[acc].count += 1; // Increment count
                 accountStatsMap[acc].totalAmount += amount; // Add to total amount
                 // If bank name is already set, keep the first one encountered or handle conflict as needed
                 // For simplicity, we'll keep the first one. If it's empty, try to set it.
                 if (!accountStatsMap[acc].bankName && bank) {
                     accountStatsMap[acc].bankName = bank;
+                    accountStatsMap[acc].bankId = item.data.recipientBankId;
                 }
             }
         });
 
         // Convert map to array, sort by transactionCount (frequency), and take top 5
         const sortedAccounts = Object.keys(accountStatsMap)
-            .map(accountNumber => ({
-                accountNumber,
-                transactionCount: accountStatsMap[accountNumber].count,
-                totalAmountTransferred: accountStatsMap[accountNumber].totalAmount,
-                bankName: accountStatsMap[accountNumber].bankName || '-' // Include bank name
+            .map(identity => ({
+                accountNumber: accountStatsMap[identity].canonical,
+                recipientName: accountStatsMap[identity].recipientName,
+                variants: Array.from(accountStatsMap[identity].variants),
+                transactionCount: accountStatsMap[identity].count,
+                totalAmountTransferred: accountStatsMap[identity].totalAmount,
+                bankName: accountStatsMap[identity].bankName || '-', // Include bank name
+                bankId: accountStatsMap[identity].bankId || null
             }))
             .sort((a, b) => b.transactionCount - a.transactionCount) // Sort by frequency (count)
             .slice(0, 5); // Get top 5
 
         return sortedAccounts;
-    }, [extractedData]);
+    }, [filteredCountedData]);
 
-    // Calculate Bank Usage Frequency for Pie Chart
+    // Calculate Bank Usage Frequency for Pie Chart (recipient or sender side, grouped by canonical bank)
     const bankUsageData = useMemo(() => {
-        const bankMap = {}; // { bankName: count }
-
-        extractedData.forEach(item => {
-            if (item.data.recipientBankName) { // Use recipientBankName for pie chart
-                let bank = item.data.recipientBankName.trim(); // Trim whitespace
-
-                // Normalize bank names: "krungsri bank" to "กรุงศรี", "ธ.กสิกรไทย" or "kasikornbank" to "กสิกรไทย"
-                if (bank.toLowerCase().includes("krungsri")) {
-                    bank = "กรุงศรี";
-                } else if (bank.includes("กสิกร") || bank.toLowerCase().includes("kasikorn")) {
-                    bank = "กสิกรไทย";
-                } else if (bank.toLowerCase().includes("scb") || bank.includes("ไทยพาณิชย์")) {
-                    bank = "ไทยพาณิชย์"; // Add SCB normalization
-                }
-                // Add more normalization rules here if needed for other banks
+        const bankMap = {}; // { bankName: { count, color } }
 
-                bankMap[bank] = (bankMap[bank] || 0) + 1;
+        filteredCountedData.forEach(item => {
+            if (item.data[`${bankChartSide}BankName`]) {
+                const bank = getCanonicalBankName(item.data, bankChartSide).trim();
+                const registryBank = getBankById(item.data[`${bankChartSide}BankId`]);
+
+                if (!bankMap[bank]) {
+                    bankMap[bank] = { count: 0, color: registryBank?.color || null };
+                }
+                bankMap[bank].count += 1;
             }
         });
 
@@ -636,17 +4800,95 @@ const App = () => {
         const sortedBanks = Object.keys(bankMap)
             .map(bankName => ({
                 name: bankName,
-                value: bankMap[bankName]
+                value: bankMap[bankName].count,
+                color: bankMap[bankName].color // Brand color, unknown banks fall back to PIE_COLORS
             }))
             .sort((a, b) => b.value - a.value);
 
         return sortedBanks;
-    }, [extractedData]);
+    }, [filteredCountedData, bankChartSide]);
 
-    // Colors for the pie chart slices: Red, Orange, Yellow, Sky Blue, Green
+    // Fallback colors for pie chart slices of banks not in the registry: Red, Orange, Yellow, Sky Blue, Green
     const PIE_COLORS = ['#FF0000', '#FFA500', '#FFFF00', '#00BFFF', '#008000'];
 
 
+    // Function to render one upload grid tile with its status and duplicate badges (label is e.g. the PDF page)
+    const renderImageTile = (image, label = null) => (
+        <div key={image.id} className="relative group"> {/* Use image.id as key */}
+            <img
+                src={image.thumbnailDataUrl}
+                alt={label || image.sourceFileName || 'Uploaded Slip'}
+                className="w-full h-40 object-cover rounded-md shadow-lg"
+            />
+            {label && (
+                <span className="absolute bottom-1 right-1 bg-blue-900 bg-opacity-80 text-blue-100 text-xs px-2 py-1 rounded-full">
+                    {label}
+                </span>
+            )}
+            {image.status !== 'extracted' && SLIP_STATUSES[image.status] && (
+                <span
+                    className={`absolute top-1 left-1 text-white text-xs font-semibold px-2 py-1 rounded-full shadow ${SLIP_STATUSES[image.status].color}`}
+                    title={image.statusError || ''}
+                >
+                    <i className={`fas ${SLIP_STATUSES[image.status].icon} mr-1`}></i>
+                    {jobStatuses[image.id]?.state === 'retrying' ? `ลองใหม่ (${jobStatuses[image.id].attempts})` : SLIP_STATUSES[image.status].label}
+                    {image.status === 'failed' && image.attempts > 0 && ` (${image.attempts} ครั้ง)`}
+                    {isBusyElsewhere(image) && ' (แท็บอื่น)'}
+                </span>
+            )}
+            {image.duplicateOf && (
+                <span
+                    className={`absolute bottom-1 left-1 ${image.duplicateAccepted ? 'bg-gray-600' : 'bg-orange-600'} text-white text-xs font-semibold px-2 py-1 rounded-full shadow`}
+                    title={`ซ้ำกับสลิป ${image.duplicateOf.substring(0, 8)}...`}
+                >
+                    <i className="fas fa-clone mr-1"></i>{image.duplicateAccepted ? 'ซ้ำ (ยืนยันแล้ว)' : 'ซ้ำ'}
+                </span>
+            )}
+            {(image.extractOnSync || pendingExtractionIds.includes(image.id)) && ['uploaded', 'failed'].includes(image.status) ? (
+                <span className="absolute top-8 left-1 bg-orange-500 text-white text-xs font-semibold px-2 py-1 rounded-full shadow" title="จะดึงข้อมูลอัตโนมัติเมื่อออนไลน์">
+                    <i className="fas fa-hourglass-half mr-1"></i>รอดึงข้อมูล
+                </span>
+            ) : image.offlineQueuedAt && (
+                <span
+                    className="absolute top-8 left-1 bg-teal-600 text-white text-xs font-semibold px-2 py-1 rounded-full shadow"
+                    title={`บันทึกขณะออฟไลน์เมื่อ ${new Date(image.offlineQueuedAt).toLocaleString('th-TH')}`}
+                >
+                    <i className="fas fa-cloud mr-1"></i>ซิงค์แล้ว
+                </span>
+            )}
+            {canEdit && (
+                <button
+                    onClick={(e) => { e.stopPropagation(); removeImage(image.id); }}
+                    className="absolute top-1 right-1 bg-red-600 hover:bg-red-700 text-white rounded-full p-1 text-xs opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+                    aria-label={`Remove image ${label || image.sourceFileName || image.id}`}
+                >
+                    <i className="fas fa-times"></i>
+                </button>
+            )}
+        </div>
+    );
+
+    // Function to render a file that is waiting in IndexedDB to be uploaded
+    const renderOfflineTile = (upload) => (
+        <div key={upload.id} className="relative">
+            {upload.thumbnailDataUrl ? (
+                <img src={upload.thumbnailDataUrl} alt={upload.fileName} className="w-full h-40 object-cover rounded-md shadow-lg opacity-60" />
+            ) : (
+                <div className="w-full h-40 rounded-md shadow-lg bg-blue-900 flex flex-col items-center justify-center text-blue-300 opacity-60">
+                    <i className="fas fa-file-pdf text-4xl mb-2"></i>
+                    <span className="text-xs px-2 truncate max-w-full">{upload.fileName}</span>
+                </div>
+            )}
+            <span
+                className="absolute top-1 left-1 bg-orange-500 text-white text-xs font-semibold px-2 py-1 rounded-full shadow"
+                title={`เก็บไว้ในเครื่องเมื่อ ${new Date(upload.queuedAt).toLocaleString('th-TH')}`}
+            >
+                <i className={`fas ${offlineSyncing ? 'fa-spinner fa-spin' : 'fa-cloud-upload-alt'} mr-1`}></i>
+                {offlineSyncing ? 'กำลังซิงค์' : 'รออัปโหลด'}
+            </span>
+        </div>
+    );
+
     return (
         <div className="min-h-screen relative bg-gradient-to-br from-blue-900 via-blue-800 to-blue-900 text-white font-inter overflow-hidden">
             {/* Background Canvas for animation */}
@@ -677,6 +4919,64 @@ const App = () => {
                             </a>
                         </li>
                     </ul>
+                    {/* Profile Menu */}
+                    {isAuthReady && authProfile && (
+                        <div className="relative">
+                            <button
+                                onClick={() => setShowProfileMenu(prev => !prev)}
+                                className="flex items-center gap-2 text-blue-200 hover:text-yellow-400 font-medium transition-colors duration-300"
+                            >
+                                {authProfile.photoURL ? (
+                                    <img src={authProfile.photoURL} alt="" className="w-8 h-8 rounded-full" />
+                                ) : (
+                                    <span className="w-8 h-8 rounded-full bg-blue-700 flex items-center justify-center">
+                                        <i className={`fas ${authProfile.isAnonymous ? 'fa-user-secret' : 'fa-user'}`}></i>
+                                    </span>
+                                )}
+                                <span className="hidden md:inline">{authProfile.isAnonymous ? 'ผู้ใช้ชั่วคราว' : authProfile.displayName || authProfile.email || 'บัญชีของฉัน'}</span>
+                                <i className="fas fa-caret-down"></i>
+                            </button>
+                            {showProfileMenu && (
+                                <div className="absolute right-0 mt-2 w-72 bg-blue-900 border border-blue-600 rounded-lg shadow-xl p-4 text-sm z-30">
+                                    {authProfile.isAnonymous ? (
+                                        <>
+                                            <p className="text-orange-300 mb-3">
+                                                <i className="fas fa-exclamation-triangle mr-1"></i>
+                                                สลิปของคุณผูกกับเบราว์เซอร์นี้เท่านั้น หากล้างข้อมูลเบราว์เซอร์หรือเปลี่ยนอุปกรณ์ ข้อมูลจะหายไป
+                                            </p>
+                                            <button
+                                                onClick={() => openAuthDialog('link')}
+                                                className="w-full bg-yellow-500 hover:bg-yellow-400 text-blue-900 font-bold py-2 rounded-full mb-2"
+                                            >
+                                                <i className="fas fa-user-plus mr-2"></i>บันทึกเป็นบัญชีถาวร
+                                            </button>
+                                            <button
+                                                onClick={() => openAuthDialog('signin')}
+                                                className="w-full bg-blue-700 hover:bg-blue-600 text-blue-100 font-bold py-2 rounded-full"
+                                            >
+                                                <i className="fas fa-sign-in-alt mr-2"></i>เข้าสู่ระบบบัญชีที่มีอยู่
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <p className="text-blue-100 font-semibold">{authProfile.displayName || authProfile.email || 'บัญชีของฉัน'}</p>
+                                            {authProfile.displayName && authProfile.email && <p className="text-blue-300">{authProfile.email}</p>}
+                                            <p className="text-blue-400 text-xs mt-1">
+                                                {authProfile.providers.includes('google.com') ? 'เข้าสู่ระบบด้วย Google' : authProfile.providers.includes('password') ? 'เข้าสู่ระบบด้วยอีเมล' : 'บัญชีที่ระบบกำหนด'}
+                                            </p>
+                                            <button
+                                                onClick={handleSignOut}
+                                                className="mt-3 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded-full"
+                                            >
+                                                <i className="fas fa-sign-out-alt mr-2"></i>ออกจากระบบ
+                                            </button>
+                                        </>
+                                    )}
+                                    <p className="text-blue-400 text-xs mt-3 font-mono break-all" title="User ID">{authProfile.uid}</p>
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </nav>
             </header>
 
@@ -688,55 +4988,254 @@ const App = () => {
                     <p className="text-xl md:text-2xl text-blue-200">
                         ดึงข้อมูลจากสลิปโอนเงินได้อย่างง่ายดาย
                     </p>
-                    {isAuthReady && userId && (
-                        <p className="text-blue-300 text-sm mt-2">
-                            User ID: <span className="font-mono">{userId}</span>
-                        </p>
-                    )}
                 </header>
 
                 <main className="bg-blue-800 bg-opacity-70 backdrop-blur-sm rounded-xl shadow-2xl p-6 md:p-10 max-w-3xl mx-auto my-8 border border-blue-700">
                     <h2 className="text-2xl font-bold text-yellow-300 mb-6 text-center">อัปโหลดสลิปโอนเงินของคุณ</h2>
 
+                    {/* Invitations are only shown once the email address is verified */}
+                    {authProfile?.email && !authProfile.emailVerified && (
+                        <div className="bg-purple-900 bg-opacity-70 rounded-lg p-3 mb-4 border border-purple-500 text-sm flex flex-wrap items-center gap-2">
+                            <span className="flex-1 text-purple-100">
+                                <i className="fas fa-envelope mr-2"></i>
+                                {verificationEmailSent
+                                    ? `ส่งอีเมลยืนยันไปที่ ${authProfile.email} แล้ว เมื่อยืนยันเสร็จให้กดตรวจสอบอีกครั้ง`
+                                    : 'ยืนยันอีเมลของคุณเพื่อรับคำเชิญเข้าพื้นที่ทำงานร่วม'}
+                            </span>
+                            <button onClick={sendVerificationEmail} className="px-3 py-1 rounded-full font-semibold bg-purple-600 hover:bg-purple-700 text-white">
+                                <i className="fas fa-paper-plane mr-1"></i> {verificationEmailSent ? 'ส่งอีกครั้ง' : 'ส่งอีเมลยืนยัน'}
+                            </button>
+                            <button onClick={refreshEmailVerification} className="px-3 py-1 rounded-full font-semibold bg-blue-700 hover:bg-blue-600 text-blue-100">
+                                <i className="fas fa-sync-alt mr-1"></i> ตรวจสอบอีกครั้ง
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Invitations to shared workspaces */}
+                    {workspaceInvitations.map(invitation => (
+                        <div key={`${invitation.workspaceId}-${invitation.email}`} className="bg-purple-900 bg-opacity-70 rounded-lg p-3 mb-4 border border-purple-500 text-sm flex flex-wrap items-center gap-2">
+                            <span className="flex-1 text-purple-100">
+                                <i className="fas fa-envelope-open-text mr-2"></i>
+                                {invitation.invitedByEmail || 'เจ้าของพื้นที่'} เชิญคุณเข้าร่วม <span className="font-semibold text-yellow-300">{invitation.workspaceName}</span> ในฐานะ{WORKSPACE_ROLES[invitation.role]?.label || invitation.role}
+                            </span>
+                            <button onClick={() => acceptInvitation(invitation)} className="px-3 py-1 rounded-full font-semibold bg-green-600 hover:bg-green-700 text-white">
+                                <i className="fas fa-check mr-1"></i> เข้าร่วม
+                            </button>
+                            <button onClick={() => declineInvitation(invitation)} className="px-3 py-1 rounded-full font-semibold bg-blue-700 hover:bg-blue-600 text-blue-100">
+                                ปฏิเสธ
+                            </button>
+                        </div>
+                    ))}
+
+                    {/* Workspace Switcher: the personal space or a team workspace shared with other members */}
+                    {authProfile && (
+                        <div className="bg-blue-900 rounded-lg p-3 mb-4 border border-blue-600 text-sm flex flex-wrap items-center gap-2">
+                            <label className="text-blue-200">
+                                <i className="fas fa-users mr-1"></i> พื้นที่ทำงาน
+                                <select
+                                    value={activeWorkspaceId || ''}
+                                    onChange={(e) => switchWorkspace(e.target.value || null)}
+                                    className="ml-2 p-1 rounded bg-blue-800 text-blue-100 border border-blue-600"
+                                >
+                                    <option value="">ส่วนตัว</option>
+                                    {workspaces.map(workspace => (
+                                        <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {activeWorkspace && (
+                                <span className="px-2 py-0.5 rounded-full bg-blue-700 text-blue-100 text-xs" title={WORKSPACE_ROLES[workspaceRole]?.description}>
+                                    {WORKSPACE_ROLES[workspaceRole]?.label || workspaceRole} · สมาชิก {activeWorkspace.memberIds?.length || 0} คน
+                                </span>
+                            )}
+                            <button
+                                onClick={() => setShowTeamPanel(true)}
+                                className="ml-auto px-3 py-1 rounded-full font-semibold bg-blue-700 text-blue-100 hover:bg-blue-600"
+                            >
+                                <i className="fas fa-user-friends mr-1"></i> {activeWorkspace ? 'จัดการทีม' : 'สร้างพื้นที่ทีม'}
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Offline Notice: uploads and extraction requests wait in this browser until the connection returns */}
+                    {(!isOnline || offlineUploads.length + pendingExtractionIds.length > 0) && (
+                        <p className={`${isOnline ? 'bg-blue-900 border-blue-600 text-blue-200' : 'bg-orange-900 border-orange-500 text-orange-100'} border rounded-lg p-3 mb-4 text-sm text-center`}>
+                            <i className={`fas ${isOnline ? 'fa-sync-alt' : 'fa-wifi'} mr-2`}></i>
+                            {isOnline ? 'ออนไลน์' : 'ออฟไลน์: ไฟล์ที่เพิ่มจะถูกเก็บไว้ในเครื่องนี้'}
+                            {offlineUploads.length > 0 && ` · รออัปโหลด ${offlineUploads.length} ไฟล์`}
+                            {pendingExtractionIds.length > 0 && ` · รอดึงข้อมูล ${pendingExtractionIds.length} สลิป`}
+                            {isOnline && offlineSyncing && ' · กำลังซิงค์...'}
+                        </p>
+                    )}
+
+                    {/* Viewer Notice */}
+                    {!canEdit && (
+                        <p className="bg-blue-900 border border-blue-600 rounded-lg p-3 mb-4 text-blue-200 text-sm text-center">
+                            <i className="fas fa-eye mr-2"></i>{READ_ONLY_MESSAGE}
+                        </p>
+                    )}
+
+                    {/* Batch Switcher: named sets of slips (e.g. one per month or shop) */}
+                    {activeBatch && (
+                        <div className="bg-blue-900 rounded-lg p-3 mb-6 border border-blue-600 text-sm">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <label className="text-blue-200">
+                                    <i className="fas fa-layer-group mr-1"></i> ชุดสลิป
+                                    <select
+                                        value={activeBatchId}
+                                        onChange={(e) => switchBatch(e.target.value)}
+                                        className="ml-2 p-1 rounded bg-blue-800 text-blue-100 border border-blue-600"
+                                    >
+                                        {batches.filter(batch => !batch.archived || batch.id === activeBatchId).map(batch => (
+                                            <option key={batch.id} value={batch.id}>{batch.name}{batch.archived ? ' (เก็บแล้ว)' : ''}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                {canEdit && (
+                                    <>
+                                        <input
+                                            type="text"
+                                            value={batchNameDraft}
+                                            onChange={(e) => setBatchNameDraft(e.target.value)}
+                                            placeholder="ชื่อชุด เช่น ต.ค. 2568 หรือ สาขา 2"
+                                            className="flex-1 min-w-[10rem] p-1 rounded bg-blue-800 text-blue-100 border border-blue-600"
+                                        />
+                                        <button
+                                            onClick={createBatch}
+                                            disabled={!batchNameDraft.trim()}
+                                            className="px-3 py-1 rounded-full font-semibold bg-yellow-500 text-blue-900 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <i className="fas fa-plus mr-1"></i> สร้างชุดใหม่
+                                        </button>
+                                        <button
+                                            onClick={renameBatch}
+                                            disabled={!batchNameDraft.trim()}
+                                            className="px-3 py-1 rounded-full font-semibold bg-blue-700 text-blue-100 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <i className="fas fa-pen mr-1"></i> เปลี่ยนชื่อชุดนี้
+                                        </button>
+                                        {activeBatch.archived ? (
+                                            <button
+                                                onClick={() => setBatchArchived(activeBatchId, false)}
+                                                className="px-3 py-1 rounded-full font-semibold bg-blue-700 text-blue-100 hover:bg-blue-600"
+                                            >
+                                                <i className="fas fa-box-open mr-1"></i> นำกลับมาใช้
+                                            </button>
+                                        ) : (
+                                            <button
+                                                onClick={() => setBatchArchived(activeBatchId, true)}
+                                                disabled={!batches.some(batch => batch.id !== activeBatchId && !batch.archived)}
+                                                className="px-3 py-1 rounded-full font-semibold bg-blue-700 text-blue-100 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                title="เก็บชุดนี้ออกจากรายการ (ข้อมูลยังอยู่ครบ)"
+                                            >
+                                                <i className="fas fa-archive mr-1"></i> เก็บเข้าคลัง
+                                            </button>
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                            {batches.some(batch => batch.archived) && (
+                                <div className="mt-2">
+                                    <button onClick={() => setShowArchivedBatches(prev => !prev)} className="text-blue-300 hover:text-yellow-300 underline text-xs">
+                                        ชุดที่เก็บแล้ว ({batches.filter(batch => batch.archived).length})
+                                    </button>
+                                    {showArchivedBatches && (
+                                        <ul className="mt-1 space-y-1">
+                                            {batches.filter(batch => batch.archived).map(batch => (
+                                                <li key={batch.id} className="flex items-center gap-3 text-blue-200">
+                                                    <span>{batch.name}</span>
+                                                    <button onClick={() => switchBatch(batch.id)} className="text-xs underline hover:text-yellow-300">เปิดดู</button>
+                                                    {canEdit && <button onClick={() => setBatchArchived(batch.id, false)} className="text-xs underline hover:text-yellow-300">นำกลับมาใช้</button>}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Processing Status Filter */}
+                    {selectedImages.length > 0 && (
+                        <div className="flex flex-wrap items-center justify-center gap-2 mb-4">
+                            <button
+                                onClick={() => setStatusFilter('all')}
+                                className={`px-3 py-1 rounded-full text-sm font-semibold ${statusFilter === 'all' ? 'bg-yellow-500 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-700'}`}
+                            >
+                                ทั้งหมด ({selectedImages.length})
+                            </button>
+                            {Object.entries(SLIP_STATUSES).filter(([status]) => statusCounts[status] > 0).map(([status, info]) => (
+                                <button
+                                    key={status}
+                                    onClick={() => setStatusFilter(status)}
+                                    className={`px-3 py-1 rounded-full text-sm font-semibold ${statusFilter === status ? 'bg-yellow-500 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-700'}`}
+                                >
+                                    <i className={`fas ${info.icon} mr-1`}></i>{info.label} ({statusCounts[status]})
+                                </button>
+                            ))}
+                            {reviewQueue.length > 0 && canEdit && (
+                                <button
+                                    onClick={() => openReview(reviewQueue[0].imageId)}
+                                    className="px-3 py-1 rounded-full text-sm font-semibold bg-purple-600 hover:bg-purple-700 text-white"
+                                >
+                                    <i className="fas fa-user-check mr-1"></i> รอตรวจสอบ ({reviewQueue.length})
+                                </button>
+                            )}
+                            {statusCounts.failed > 0 && !loading && canEdit && (
+                                <button
+                                    onClick={retryFailedExtractions}
+                                    className="px-3 py-1 rounded-full text-sm font-semibold bg-orange-500 hover:bg-orange-600 text-white"
+                                >
+                                    <i className="fas fa-redo mr-1"></i> ลองใหม่เฉพาะที่ล้มเหลว
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Trash Link */}
+                    {trashedSlips.length + trashedStatements.length > 0 && (
+                        <div className="text-center mb-4">
+                            <button onClick={() => setShowTrash(true)} className="text-blue-200 hover:text-yellow-300 text-sm underline">
+                                <i className="fas fa-trash-restore mr-2"></i>ถังขยะ ({trashedSlips.length + trashedStatements.length})
+                            </button>
+                        </div>
+                    )}
+
                     {/* File Upload / Drop Zone */}
                     <div
                         className={`border-2 border-dashed ${isDragOver ? 'border-yellow-400 bg-blue-700' : 'border-blue-500 bg-blue-800 bg-opacity-70'} rounded-lg p-8 text-center cursor-pointer transition-all duration-300 hover:border-yellow-400 hover:bg-blue-700`}
                         onDragOver={handleDragOver}
                         onDragLeave={handleDragLeave}
-                        onClick={() => document.getElementById('fileInput').click()}
+                        onClick={() => canEdit && document.getElementById('fileInput').click()}
                         onDrop={handleDrop}
                     >
                         <input
                             type="file"
                             id="fileInput"
-                            accept="image/*"
+                            accept="image/*,application/pdf"
                             onChange={handleImageChange}
                             className="hidden"
                             multiple // Allow multiple file selection
                             key={fileInputKey} // Added key to force re-render and reset
                         />
-                        {selectedImages.length > 0 ? (
+                        {selectedImages.length + offlineUploads.length > 0 ? (
                             <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4 mb-4">
-                                {selectedImages.map((image, index) => (
-                                    <div key={image.id} className="relative group"> {/* Use image.id as key */}
-                                        <img
-                                            src={image.dataUrl}
-                                            alt={`Uploaded Slip ${index + 1}`}
-                                            className="w-full h-40 object-cover rounded-md shadow-lg"
-                                        />
-                                        <button
-                                            onClick={(e) => { e.stopPropagation(); removeImage(image.id); }}
-                                            className="absolute top-1 right-1 bg-red-600 hover:bg-red-700 text-white rounded-full p-1 text-xs opacity-0 group-hover:opacity-100 transition-opacity duration-200"
-                                            aria-label={`Remove image ${index + 1}`}
-                                        >
-                                            <i className="fas fa-times"></i>
-                                        </button>
+                                {offlineUploads.filter(upload => upload.batchId === activeBatchId).map(renderOfflineTile)}
+                                {imageGroups.map(group => group.images[0].sourceFileId ? (
+                                    <div key={group.key} className="col-span-full bg-blue-900 bg-opacity-60 rounded-lg p-3 border border-blue-600 text-left">
+                                        <p className="text-yellow-300 font-semibold mb-2">
+                                            <i className="fas fa-file-pdf mr-2"></i>{group.sourceFileName}
+                                            <span className="text-blue-300 text-sm font-normal ml-2">({group.images.length}/{group.pageCount} หน้า)</span>
+                                        </p>
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                                            {group.images.map(image => renderImageTile(image, `หน้า ${image.pageNumber}`))}
+                                        </div>
                                     </div>
-                                ))}
+                                ) : renderImageTile(group.images[0]))}
                             </div>
                         ) : (
                             <p className="text-blue-200 text-lg">
-                                ลากและวางรูปภาพสลิปที่นี่ หรือ <span className="text-yellow-300 font-semibold">คลิกเพื่อเลือกไฟล์</span>
+                                ลากและวางรูปภาพสลิปหรือไฟล์ PDF ที่นี่ หรือ <span className="text-yellow-300 font-semibold">คลิกเพื่อเลือกไฟล์</span>
                             </p>
                         )}
                     </div>
@@ -747,8 +5246,8 @@ const App = () => {
 
                     {/* Process Button */}
                     <button
-                        onClick={processSlipWithAI}
-                        disabled={selectedImages.length === 0 || loading || !isAuthReady}
+                        onClick={() => processSlipWithAI()}
+                        disabled={selectedImages.length === 0 || loading || !isAuthReady || !canEdit}
                         className="mt-6 w-full bg-yellow-500 hover:bg-yellow-600 text-blue-900 font-bold py-3 px-6 rounded-full shadow-lg transform transition duration-300 hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
                     >
                         {loading ? (
@@ -758,104 +5257,308 @@ const App = () => {
                             </>
                         ) : (
                             <>
-                                <i className="fas fa-magic mr-3"></i>
-                                ดึงข้อมูลสลิป
+                                <i className={`fas ${isOnline ? 'fa-magic' : 'fa-clock'} mr-3`}></i>
+                                {isOnline ? 'ดึงข้อมูลสลิป' : 'ดึงข้อมูลเมื่อกลับมาออนไลน์'}
                             </>
                         )}
                     </button>
 
-                    {/* Dashboard Summary */}
-                    {extractedData.length > 0 && (
-                        <div className="mt-8 bg-blue-700 p-6 rounded-lg shadow-xl border border-blue-600">
-                            <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">สรุปข้อมูลสลิป</h3>
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-center">
-                                <div className="bg-blue-800 p-4 rounded-lg shadow-md">
-                                    <p className="text-4xl font-bold text-yellow-400">{totalSlips}</p>
-                                    <p className="text-blue-200 text-lg">จำนวนสลิปที่ประมวลผล</p>
-                                </div>
-                                <div className="bg-blue-800 p-4 rounded-lg shadow-md">
-                                    <p className="text-4xl font-bold text-yellow-400">฿{totalAmount.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p>
-                                    <p className="text-blue-200 text-lg">ยอดรวมทั้งหมด</p>
-                                </div>
+                    {/* Extraction Queue Progress */}
+                    {jobSummary.total > 0 && (
+                        <div className="mt-4 bg-blue-900 p-4 rounded-lg border border-blue-600">
+                            <div className="flex justify-between items-center text-sm text-blue-200 mb-2">
+                                <span>
+                                    {jobSummary.done} / {jobSummary.total} เสร็จแล้ว
+                                    {jobSummary.failed > 0 && <span className="text-red-300">, {jobSummary.failed} ล้มเหลว</span>}
+                                    {jobSummary.cancelled > 0 && <span className="text-gray-300">, {jobSummary.cancelled} ยกเลิก</span>}
+                                </span>
+                                <span className="space-x-2">
+                                    {loading && (
+                                        <button
+                                            onClick={cancelExtraction}
+                                            className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-3 rounded-full"
+                                        >
+                                            <i className="fas fa-stop mr-1"></i> ยกเลิก
+                                        </button>
+                                    )}
+                                </span>
+                            </div>
+                            <div className="w-full bg-blue-700 rounded-full h-2 overflow-hidden flex">
+                                <div className="bg-green-400 h-2" style={{ width: `${(jobSummary.done / jobSummary.total) * 100}%` }}></div>
+                                <div className="bg-red-400 h-2" style={{ width: `${(jobSummary.failed / jobSummary.total) * 100}%` }}></div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Extraction Settings Panel */}
+                    <div className="mt-4 text-center">
+                        <button
+                            onClick={() => setShowSettings(prev => !prev)}
+                            className="text-blue-200 hover:text-yellow-300 text-sm underline"
+                        >
+                            <i className="fas fa-cog mr-2"></i>
+                            ตั้งค่า AI ({(EXTRACTION_PROVIDERS[extractionSettings.provider] || EXTRACTION_PROVIDERS.gemini).label} · {extractionSettings.model || (EXTRACTION_PROVIDERS[extractionSettings.provider] || EXTRACTION_PROVIDERS.gemini).defaultModel})
+                        </button>
+                    </div>
+                    {showSettings && (() => {
+                        const activeProvider = EXTRACTION_PROVIDERS[extractionSettings.provider] || EXTRACTION_PROVIDERS.gemini;
+                        return (
+                            <div className="mt-4 bg-blue-900 p-4 rounded-lg border border-blue-600 grid grid-cols-1 md:grid-cols-2 gap-4 text-left">
+                                <label className="block text-blue-200 text-sm">
+                                    ผู้ให้บริการ AI
+                                    <select
+                                        value={activeProvider.id}
+                                        onChange={(e) => updateExtractionSettings({ provider: e.target.value, model: '' })}
+                                        className="mt-1 w-full p-2 rounded-lg bg-blue-800 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                    >
+                                        {Object.values(EXTRACTION_PROVIDERS).map(p => (
+                                            <option key={p.id} value={p.id}>{p.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="block text-blue-200 text-sm">
+                                    โมเดล
+                                    <input
+                                        type="text"
+                                        value={extractionSettings.model}
+                                        placeholder={activeProvider.defaultModel}
+                                        onChange={(e) => updateExtractionSettings({ model: e.target.value })}
+                                        className="mt-1 w-full p-2 rounded-lg bg-blue-800 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                    />
+                                </label>
+                                {activeProvider.needsBaseUrl && (
+                                    <label className="block text-blue-200 text-sm">
+                                        Base URL
+                                        <input
+                                            type="text"
+                                            value={extractionSettings.baseUrl}
+                                            placeholder="https://api.openai.com/v1"
+                                            onChange={(e) => updateExtractionSettings({ baseUrl: e.target.value })}
+                                            className="mt-1 w-full p-2 rounded-lg bg-blue-800 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                        />
+                                    </label>
+                                )}
+                                {activeProvider.needsApiKey && (
+                                    <label className="block text-blue-200 text-sm">
+                                        API Key
+                                        <input
+                                            type="password"
+                                            value={extractionSettings.apiKeys[activeProvider.id] || ''}
+                                            onChange={(e) => updateExtractionSettings({ apiKeys: { ...extractionSettings.apiKeys, [activeProvider.id]: e.target.value } })}
+                                            className="mt-1 w-full p-2 rounded-lg bg-blue-800 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                        />
+                                    </label>
+                                )}
                             </div>
+                        );
+                    })()}
 
+                    {/* Dashboard Summary */}
+                    {extractedData.length > 0 && (
+                        <div className="mt-8 bg-blue-700 p-6 rounded-lg shadow-xl border border-blue-600">
+                            <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">สรุปข้อมูลสลิป</h3>
                             {/* Search Input with Icon */}
-                            <div className="mt-8 mb-4 relative">
+                            <div className="mb-2 relative">
                                 <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
                                     <i className="fas fa-search text-blue-300"></i>
                                 </div>
                                 <input
                                     type="text"
-                                    placeholder="ค้นหาข้อมูลในตาราง..."
+                                    placeholder='ค้นหา เช่น amount>=1000 bank:kbank from:2025-10-01 to:2025-10-31 sender:"สมชาย"'
                                     value={searchQuery}
                                     onChange={(e) => setSearchQuery(e.target.value)}
                                     className="w-full p-3 pl-10 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
                                 />
                             </div>
+                            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                                {/* Date Range Picker (kept in sync with the from:/to: filters in the query) */}
+                                <label className="text-blue-200">
+                                    ตั้งแต่
+                                    <input
+                                        type="date"
+                                        value={searchTokens.find(token => token.key === 'from')?.parsed || ''}
+                                        onChange={(e) => setSearchFilter('from', e.target.value)}
+                                        className="ml-2 p-1 rounded bg-blue-900 text-blue-100 border border-blue-600"
+                                    />
+                                </label>
+                                <label className="text-blue-200">
+                                    ถึง
+                                    <input
+                                        type="date"
+                                        value={searchTokens.find(token => token.key === 'to')?.parsed || ''}
+                                        onChange={(e) => setSearchFilter('to', e.target.value)}
+                                        className="ml-2 p-1 rounded bg-blue-900 text-blue-100 border border-blue-600"
+                                    />
+                                </label>
+                                {/* Risky slips only (kept in sync with the risk: filter in the query) */}
+                                <button
+                                    onClick={() => setSearchFilter('risk', searchTokens.some(token => token.key === 'risk') ? null : 'medium')}
+                                    className={`px-3 py-1 rounded-full font-semibold ${searchTokens.some(token => token.key === 'risk') ? 'bg-orange-500 text-white' : 'bg-blue-900 text-blue-200 hover:bg-blue-600'}`}
+                                >
+                                    <i className="fas fa-exclamation-triangle mr-1"></i> เฉพาะสลิปน่าสงสัย ({riskySlipCount})
+                                </button>
+                                {/* Search Chips */}
+                                {searchTokens.map((token, index) => {
+                                    const isInvalid = token.key && token.parsed === null;
+                                    const label = token.key
+                                        ? `${SEARCH_FILTERS[token.key].label}${[':', '='].includes(token.op) ? ':' : ` ${token.op}`} ${token.key === 'bank' && token.parsed?.bank ? token.parsed.bank.shortName : token.key === 'risk' && token.parsed ? RISK_LEVELS[token.parsed].label : token.value}`
+                                        : `"${token.text}"`;
+                                    return (
+                                        <span
+                                            key={`${index}-${token.raw}`}
+                                            className={`px-3 py-1 rounded-full text-xs font-semibold ${isInvalid ? 'bg-red-600 text-white' : 'bg-yellow-500 text-blue-900'}`}
+                                            title={isInvalid ? 'อ่านค่าตัวกรองไม่ได้ จึงไม่ถูกใช้กรอง' : token.raw}
+                                        >
+                                            {label}
+                                            <button onClick={() => removeSearchToken(index)} className="ml-2" aria-label="Remove filter">
+                                                <i className="fas fa-times"></i>
+                                            </button>
+                                        </span>
+                                    );
+                                })}
+                                {searchTokens.length > 0 && (
+                                    <button onClick={() => setSearchQuery('')} className="text-blue-200 hover:text-yellow-300 underline text-xs">
+                                        ล้างตัวกรอง
+                                    </button>
+                                )}
+                            </div>
+                            {isFiltered && (
+                                <p className="text-blue-200 text-center text-sm mb-4">
+                                    <i className="fas fa-filter mr-2"></i>
+                                    สรุปและกราฟแสดงตามตัวกรอง: {filteredExtractedData.length} จาก {extractedData.length} สลิป
+                                </p>
+                            )}
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-center">
+                                <div className="bg-blue-800 p-4 rounded-lg shadow-md">
+                                    <p className="text-4xl font-bold text-yellow-400">{totalSlips}</p>
+                                    <p className="text-blue-200 text-lg">จำนวนสลิปที่ประมวลผล</p>
+                                </div>
+                                <div className="bg-blue-800 p-4 rounded-lg shadow-md">
+                                    <p className="text-4xl font-bold text-yellow-400">฿{totalAmount.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</p>
+                                    <p className="text-blue-200 text-lg">ยอดรวมทั้งหมด</p>
+                                </div>
+                            </div>
+                            {invoices.length > 0 && (
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center mt-4">
+                                    {Object.entries(INVOICE_STATUSES).map(([status, info]) => (
+                                        <div key={status} className="bg-blue-800 p-4 rounded-lg shadow-md">
+                                            <p className="text-2xl font-bold text-yellow-400">{formatBaht(invoiceSummary.totals[status].amount)}</p>
+                                            <p className="text-blue-200">
+                                                <i className={`fas ${info.icon} mr-1`}></i>
+                                                {info.label} ({invoiceSummary.totals[status].count})
+                                            </p>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            {duplicateCount > 0 && (
+                                <p className="text-orange-300 text-center mt-4">
+                                    <i className="fas fa-clone mr-2"></i>
+                                    ไม่รวมสลิปซ้ำ {duplicateCount} รายการ (กด "ยืนยัน" ในตารางเพื่อนับรวม)
+                                </p>
+                            )}
+                            {needsReviewCount > 0 && (
+                                <p className="text-purple-300 text-center mt-2">
+                                    <i className="fas fa-user-check mr-2"></i>
+                                    ไม่รวมสลิปที่รอตรวจสอบ {needsReviewCount} รายการ (ตรวจสอบและอนุมัติเพื่อนับรวม)
+                                </p>
+                            )}
 
                             {/* Extracted Data Table - Moved here, above the chart */}
-                            <div className="mt-8 overflow-x-auto bg-blue-700 p-4 rounded-lg shadow-xl border border-blue-600">
+                            <div className="mt-8 flex flex-wrap items-center justify-end gap-4 relative">
+                                {canEdit && batches.filter(batch => batch.id !== activeBatchId).length > 0 && (
+                                    <div className="flex items-center gap-2 text-sm text-blue-200">
+                                        ย้าย {filteredExtractedData.length} สลิปที่แสดงไปยัง
+                                        <select
+                                            value={moveTargetBatchId}
+                                            onChange={(e) => setMoveTargetBatchId(e.target.value)}
+                                            className="p-1 rounded bg-blue-900 text-blue-100 border border-blue-600"
+                                        >
+                                            <option value="">เลือกชุด</option>
+                                            {batches.filter(batch => batch.id !== activeBatchId).map(batch => (
+                                                <option key={batch.id} value={batch.id}>{batch.name}{batch.archived ? ' (เก็บแล้ว)' : ''}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            onClick={() => moveSlipsToBatch(filteredExtractedData.map(item => item.imageId), moveTargetBatchId)}
+                                            disabled={!moveTargetBatchId || filteredExtractedData.length === 0}
+                                            className="px-3 py-1 rounded-full font-semibold bg-blue-900 text-blue-200 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <i className="fas fa-share mr-1"></i> ย้าย
+                                        </button>
+                                    </div>
+                                )}
+                                <button
+                                    onClick={() => setShowColumnChooser(prev => !prev)}
+                                    className="text-blue-200 hover:text-yellow-300 text-sm underline"
+                                >
+                                    <i className="fas fa-columns mr-2"></i>เลือกคอลัมน์
+                                </button>
+                                {showColumnChooser && (
+                                    <div className="absolute right-0 top-6 z-20 bg-blue-900 border border-blue-600 rounded-lg shadow-xl p-3 w-64">
+                                        {TABLE_COLUMNS.map(column => (
+                                            <label key={column.key} className={`flex items-center text-sm py-1 ${column.hideable ? 'text-blue-100' : 'text-blue-400'}`}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={isColumnVisible(column.key)}
+                                                    disabled={!column.hideable}
+                                                    onChange={() => toggleTableColumn(column.key)}
+                                                    className="mr-2"
+                                                />
+                                                {column.label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                            <div className="mt-2 overflow-x-auto bg-blue-700 p-4 rounded-lg shadow-xl border border-blue-600">
                                 <table className="min-w-full divide-y divide-blue-600 text-blue-100">
                                     <thead className="bg-blue-800">
                                         <tr>
-                                            {/* Moved Image column to the front */}
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider rounded-tl-lg">
-                                                รูปภาพ
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                Image ID
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                ชื่อผู้ส่ง
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                ชื่อผู้รับ
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                จำนวนเงิน
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                วันที่ทำรายการ
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                เวลาทำรายการ
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                รหัสอ้างอิง
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                ชื่อธนาคารต้นทาง
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
-                                                เลขบัญชีต้นทาง
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider rounded-tr-lg">
-                                                ชื่อธนาคารปลายทาง
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider rounded-tr-lg">
-                                                เลขบัญชีปลายทาง
-                                            </th>
-                                            <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider rounded-tr-lg">
-                                                ประเทศ
-                                            </th>
+                                            {TABLE_COLUMNS.filter(column => isColumnVisible(column.key)).map(column => {
+                                                const sortDirection = tablePreferences.sort?.key === column.key ? tablePreferences.sort.direction : null;
+                                                return (
+                                                    <th
+                                                        key={column.key}
+                                                        scope="col"
+                                                        className={`px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider whitespace-nowrap ${column.sortValue ? 'cursor-pointer hover:text-yellow-100 select-none' : ''}`}
+                                                        onClick={column.sortValue ? () => toggleTableSort(column.key) : undefined}
+                                                        aria-sort={sortDirection === 'asc' ? 'ascending' : sortDirection === 'desc' ? 'descending' : undefined}
+                                                    >
+                                                        {column.label}
+                                                        {column.sortValue && (
+                                                            <i className={`fas ${sortDirection === 'asc' ? 'fa-sort-up' : sortDirection === 'desc' ? 'fa-sort-down' : 'fa-sort text-blue-400'} ml-1`}></i>
+                                                        )}
+                                                    </th>
+                                                );
+                                            })}
                                         </tr>
                                     </thead>
                                     <tbody className="divide-y divide-blue-600">
-                                        {filteredExtractedData.map((item) => { // Use filteredExtractedData here
-                                            const originalImage = selectedImages.find(img => img.id === item.imageId);
+                                        {tablePageRows.map((item) => { // Only the current page of the sorted, filtered rows
+                                            const originalImage = imagesById.get(item.imageId);
+                                            const qrMismatches = getQrMismatches(item.qrData, item.data); // Fields where the AI disagrees with the decoded QR
                                             return (
-                                                <tr key={item.imageId} className="hover:bg-blue-800 transition-colors duration-200">
+                                                <tr
+                                                    key={item.imageId}
+                                                    id={`slip-row-${item.imageId}`} // Anchor target for duplicate links
+                                                    className={`${qrMismatches.length > 0 ? 'bg-red-900 bg-opacity-50' : ''} ${!isCountedSlip(item) ? 'opacity-60' : ''} hover:bg-blue-800 transition-colors duration-200`}
+                                                >
                                                     {/* Moved Image data cell to the front */}
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                                        {originalImage && (
-                                                            <img
-                                                                src={originalImage.dataUrl}
-                                                                alt={`Slip ${item.imageId}`}
-                                                                className="w-16 h-16 object-cover rounded-md cursor-pointer mx-auto"
-                                                                onClick={() => openImageModal(item.imageId)}
-                                                            />
-                                                        )}
-                                                    </td>
+                                                    {isColumnVisible('image') && (
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                            {originalImage && (
+                                                                <img
+                                                                    src={originalImage.thumbnailDataUrl}
+                                                                    alt={`Slip ${item.imageId}`}
+                                                                    loading="lazy"
+                                                                    decoding="async"
+                                                                    className="w-16 h-16 object-cover rounded-md cursor-pointer mx-auto"
+                                                                    onClick={() => openImageModal(item.imageId)}
+                                                                />
+                                                            )}
+                                                        </td>
+                                                    )}
                                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                                                         <span
                                                             className="cursor-pointer text-blue-300 hover:text-yellow-300 underline"
@@ -863,18 +5566,127 @@ const App = () => {
                                                         >
                                                             {item.imageId.substring(0, 8)}...
                                                         </span>
+                                                        {originalImage?.sourceType === 'pdf' && (
+                                                            <div className="mt-1 text-xs text-blue-300" title={originalImage.sourceFileName}>
+                                                                <i className="fas fa-file-pdf mr-1"></i>หน้า {originalImage.pageNumber}/{originalImage.pageCount}
+                                                            </div>
+                                                        )}
+                                                        {(item.uploadedBy || item.processedBy) && activeWorkspace && (
+                                                            <div className="mt-1 text-xs text-blue-300">
+                                                                {item.uploadedBy && <div><i className="fas fa-upload mr-1"></i>{getMemberName(item.uploadedBy)}</div>}
+                                                                {item.processedBy && <div><i className="fas fa-magic mr-1"></i>{getMemberName(item.processedBy)}</div>}
+                                                            </div>
+                                                        )}
+                                                        {item.reviewStatus === 'needs_review' && canEdit && (
+                                                            <button
+                                                                onClick={() => openReview(item.imageId)}
+                                                                className="block mt-1 text-xs text-purple-300 hover:text-purple-200 underline"
+                                                                title={item.validationIssues.map(issue => `${EXTRACTED_FIELDS.find(field => field.key === issue.field)?.label || issue.field}: ${issue.message}`).join('\n')}
+                                                            >
+                                                                <i className="fas fa-user-check mr-1"></i>รอตรวจสอบ
+                                                            </button>
+                                                        )}
+                                                        {item.corrections.length > 0 && (
+                                                            <button
+                                                                onClick={() => setHistoryModalImageId(item.imageId)}
+                                                                className="block mt-1 text-xs text-yellow-300 hover:text-yellow-200 underline"
+                                                            >
+                                                                <i className="fas fa-history mr-1"></i>แก้ไขแล้ว {item.corrections.length} ครั้ง
+                                                            </button>
+                                                        )}
+                                                        {canEdit && batches.length > 1 && (
+                                                            <select
+                                                                value=""
+                                                                onChange={(e) => moveSlipsToBatch([item.imageId], e.target.value)}
+                                                                className="block mt-1 text-xs p-0.5 rounded bg-blue-900 text-blue-200 border border-blue-600"
+                                                                aria-label="Move slip to another batch"
+                                                            >
+                                                                <option value="">ย้ายไปชุด...</option>
+                                                                {batches.filter(batch => batch.id !== activeBatchId).map(batch => (
+                                                                    <option key={batch.id} value={batch.id}>{batch.name}</option>
+                                                                ))}
+                                                            </select>
+                                                        )}
+                                                        {item.duplicateOf && (
+                                                            <div className="mt-1 text-xs text-orange-300">
+                                                                <i className="fas fa-clone mr-1"></i>
+                                                                {item.duplicateReason === 'transaction' ? 'รหัสอ้างอิงซ้ำกับ ' : item.duplicateReason === 'similarImage' ? 'รูปคล้ายกับ ' : 'รูปซ้ำกับ '}
+                                                                <a href={`#slip-row-${item.duplicateOf}`} className="underline hover:text-yellow-300">
+                                                                    {item.duplicateOf.substring(0, 8)}...
+                                                                </a>
+                                                                {item.duplicateAccepted ? (
+                                                                    <span className="ml-2 text-gray-300">(ยืนยันแล้ว)</span>
+                                                                ) : (
+                                                                    <button
+                                                                        onClick={() => acceptDuplicate(item.imageId)}
+                                                                        className="ml-2 bg-orange-600 hover:bg-orange-700 text-white px-2 py-0.5 rounded-full"
+                                                                    >
+                                                                        ยืนยัน
+                                                                    </button>
+                                                                )}
+                                                            </div>
+                                                        )}
                                                     </td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.senderName || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.recipientName || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">฿{parseFloat(item.data.amount?.replace(/[^0-9.-]+/g,"") || '0').toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.transactionDate || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.transactionTime || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.transactionId || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.senderBankName || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.senderBankAccountNumber || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.recipientBankName || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.recipientBankAccountNumber || '-'}</td>
-                                                    <td className="px-6 py-4 whitespace-nowrap text-sm">{item.data.country || '-'}</td>
+                                                    {isColumnVisible('status') && (
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                            {SLIP_STATUSES[item.status] && (
+                                                                <span className={`text-white text-xs font-semibold px-2 py-1 rounded-full ${SLIP_STATUSES[item.status].color}`}>
+                                                                    <i className={`fas ${SLIP_STATUSES[item.status].icon} mr-1`}></i>{SLIP_STATUSES[item.status].label}
+                                                                </span>
+                                                            )}
+                                                        </td>
+                                                    )}
+                                                    {isColumnVisible('risk') && (
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                            <RiskBadge risk={item.risk} />
+                                                        </td>
+                                                    )}
+                                                    {isColumnVisible('qr') && (
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                            {!item.qrData ? (
+                                                                <span className="text-blue-300" title="ไม่พบ QR บนสลิป">-</span>
+                                                            ) : qrMismatches.length > 0 ? (
+                                                                <span
+                                                                    className="text-red-300 font-semibold"
+                                                                    title={`ข้อมูลไม่ตรงกับ QR: ${qrMismatches.join(', ')} (QR: ${item.qrData.sendingBankCode || '-'} / ${item.qrData.transactionRef})`}
+                                                                >
+                                                                    <i className="fas fa-exclamation-triangle mr-1"></i>ไม่ตรงกัน
+                                                                </span>
+                                                            ) : (
+                                                                <span className="text-green-300" title={`QR: ${item.qrData.sendingBankCode || '-'} / ${item.qrData.transactionRef}`}>
+                                                                    <i className="fas fa-check-circle mr-1"></i>ตรงกัน
+                                                                </span>
+                                                            )}
+                                                        </td>
+                                                    )}
+                                                    {EXTRACTED_FIELDS.filter(({ key }) => isColumnVisible(key)).map(({ key }) => {
+                                                        const fieldCorrections = item.corrections.filter(c => c.field === key);
+                                                        const lastCorrection = fieldCorrections[fieldCorrections.length - 1];
+                                                        const fieldIssues = item.reviewStatus === 'needs_review' ? item.validationIssues.filter(issue => issue.field === key) : [];
+                                                        return (
+                                                            <td key={key} className="px-6 py-4 whitespace-nowrap text-sm">
+                                                                <EditableCell
+                                                                    value={item.data[key]}
+                                                                    display={key === 'amount' ? formatBaht(item.data.parsedAmount) :
+                                                                        key === 'transactionDate' && item.data.dateParseError ? (
+                                                                            <span className="text-red-300" title="อ่านวันที่ไม่ได้">
+                                                                                <i className="fas fa-calendar-times mr-1"></i>{item.data.transactionDate}
+                                                                            </span>
+                                                                        ) : key === 'senderBankName' || key === 'recipientBankName' ? (
+                                                                            <BankBadge bankId={item.data[key.replace('BankName', 'BankId')]} rawName={item.data[key]} />
+                                                                        ) : (item.data[key] || '-')}
+                                                                    onSave={canEdit ? (value) => updateExtractedField(item.imageId, key, value) : undefined}
+                                                                    edited={fieldCorrections.length > 0}
+                                                                    title={lastCorrection
+                                                                        ? `ค่าเดิมจาก AI: ${item.originalData?.[key] || '-'} | แก้ไขล่าสุดโดย ${getMemberName(lastCorrection.by)} เมื่อ ${new Date(lastCorrection.at).toLocaleString('th-TH')}`
+                                                                        : key === 'transactionDate' && item.data.isoDate ? `${item.data.isoDate} (คลิกเพื่อแก้ไข)` : undefined}
+                                                                />
+                                                                {fieldIssues.length > 0 && (
+                                                                    <i className="fas fa-exclamation-circle ml-1 text-purple-300" title={fieldIssues.map(issue => issue.message).join(', ')}></i>
+                                                                )}
+                                                            </td>
+                                                        );
+                                                    })}
                                                 </tr>
                                             );
                                         })}
@@ -882,10 +5694,63 @@ const App = () => {
                                 </table>
                             </div>
 
+                            {/* Table Pagination */}
+                            <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-sm text-blue-200">
+                                <span>
+                                    {sortedTableData.length === 0 ? 'ไม่พบรายการ' : `แสดง ${(currentTablePage * tablePreferences.pageSize + 1).toLocaleString()}–${(currentTablePage * tablePreferences.pageSize + tablePageRows.length).toLocaleString()} จาก ${sortedTableData.length.toLocaleString()} รายการ`}
+                                </span>
+                                <div className="flex items-center space-x-2">
+                                    <select
+                                        value={tablePreferences.pageSize}
+                                        onChange={(e) => updateTablePreferences({ pageSize: Number(e.target.value) })}
+                                        className="p-1 rounded bg-blue-900 text-blue-100 border border-blue-600"
+                                    >
+                                        {TABLE_PAGE_SIZES.map(size => (
+                                            <option key={size} value={size}>{size} รายการ/หน้า</option>
+                                        ))}
+                                    </select>
+                                    {[
+                                        ['fa-angle-double-left', 0, 'First page'],
+                                        ['fa-angle-left', currentTablePage - 1, 'Previous page']
+                                    ].map(([icon, page, label]) => (
+                                        <button
+                                            key={icon}
+                                            onClick={() => goToTablePage(page)}
+                                            disabled={currentTablePage === 0}
+                                            className="px-2 py-1 rounded bg-blue-900 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            aria-label={label}
+                                        >
+                                            <i className={`fas ${icon}`}></i>
+                                        </button>
+                                    ))}
+                                    <span>หน้า {currentTablePage + 1} / {tablePageCount}</span>
+                                    {[
+                                        ['fa-angle-right', currentTablePage + 1, 'Next page'],
+                                        ['fa-angle-double-right', tablePageCount - 1, 'Last page']
+                                    ].map(([icon, page, label]) => (
+                                        <button
+                                            key={icon}
+                                            onClick={() => goToTablePage(page)}
+                                            disabled={currentTablePage >= tablePageCount - 1}
+                                            className="px-2 py-1 rounded bg-blue-900 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            aria-label={label}
+                                        >
+                                            <i className={`fas ${icon}`}></i>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
                             {/* Daily Frequency Chart */}
                             {dailyFrequencyData.length > 0 && (
                                 <div className="mt-8 bg-blue-800 p-6 rounded-lg shadow-md">
                                     <h4 className="text-xl font-bold text-yellow-300 mb-4 text-center">ความถี่การทำรายการรายวัน</h4>
+                                    {unparsedDateCount > 0 && (
+                                        <p className="text-red-300 text-sm text-center mb-2">
+                                            <i className="fas fa-calendar-times mr-1"></i>
+                                            มี {unparsedDateCount} รายการที่อ่านวันที่ไม่ได้ จึงไม่แสดงในกราฟ
+                                        </p>
+                                    )}
                                     <ResponsiveContainer width="100%" height={300}>
                                         <BarChart data={dailyFrequencyData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
                                             <XAxis dataKey="date" stroke="#90CDF4" /> {/* Blue-300 */}
@@ -913,12 +5778,18 @@ const App = () => {
                                                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider rounded-tl-lg">
                                                         เลขบัญชีปลายทาง
                                                     </th>
+                                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
+                                                        ชื่อผู้รับ
+                                                    </th>
                                                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
                                                         ชื่อธนาคารปลายทาง
                                                     </th>
                                                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
                                                         จำนวนครั้ง
                                                     </th>
+                                                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
+                                                        รูปแบบเลขบัญชีที่รวม
+                                                    </th>
                                                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider rounded-tr-lg">
                                                         ยอดรวม (฿)
                                                     </th>
@@ -927,15 +5798,21 @@ const App = () => {
                                             <tbody className="divide-y divide-blue-600">
                                                 {topRecipientAccountsData.map((account, index) => (
                                                     <tr key={index} className="hover:bg-blue-700 transition-colors duration-200">
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium font-mono">
                                                             {account.accountNumber}
                                                         </td>
                                                         <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                                            {account.bankName}
+                                                            {account.recipientName || '-'}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                            {account.bankId ? <BankBadge bankId={account.bankId} /> : account.bankName}
                                                         </td>
                                                         <td className="px-6 py-4 whitespace-nowrap text-sm">
                                                             {account.transactionCount}
                                                         </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm" title={account.variants.join('\n')}>
+                                                            {account.variants.length > 1 ? `${account.variants.length} รูปแบบ` : '-'}
+                                                        </td>
                                                         <td className="px-6 py-4 whitespace-nowrap text-sm">
                                                             ฿{account.totalAmountTransferred.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                                                         </td>
@@ -950,7 +5827,20 @@ const App = () => {
                             {/* Bank Usage Pie Chart */}
                             {bankUsageData.length > 0 && (
                                 <div className="mt-8 bg-blue-800 p-6 rounded-lg shadow-md">
-                                    <h4 className="text-xl font-bold text-yellow-300 mb-4 text-center">ธนาคารปลายทางที่ใช้บ่อยที่สุด</h4>
+                                    <h4 className="text-xl font-bold text-yellow-300 mb-4 text-center">
+                                        {bankChartSide === 'recipient' ? 'ธนาคารปลายทางที่ใช้บ่อยที่สุด' : 'ธนาคารต้นทางที่ใช้บ่อยที่สุด'}
+                                    </h4>
+                                    <div className="flex justify-center space-x-2 mb-4">
+                                        {[['recipient', 'ปลายทาง'], ['sender', 'ต้นทาง']].map(([side, label]) => (
+                                            <button
+                                                key={side}
+                                                onClick={() => setBankChartSide(side)}
+                                                className={`px-3 py-1 rounded-full text-sm font-semibold ${bankChartSide === side ? 'bg-yellow-500 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-700'}`}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
                                     <ResponsiveContainer width="100%" height={300}>
                                         <PieChart>
                                             <Pie
@@ -964,7 +5854,7 @@ const App = () => {
                                                 label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
                                             >
                                                 {bankUsageData.map((entry, index) => (
-                                                    <Cell key={`cell-${index}`} fill={PIE_COLORS[index % PIE_COLORS.length]} />
+                                                    <Cell key={`cell-${index}`} fill={entry.color || PIE_COLORS[index % PIE_COLORS.length]} />
                                                 ))}
                                             </Pie>
                                             <Tooltip
@@ -979,41 +5869,366 @@ const App = () => {
                                 </div>
                             )}
 
+                            {/* Expected Payments */}
+                            <div className="mt-8 bg-blue-800 p-6 rounded-lg shadow-md">
+                                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                                    <h4 className="text-xl font-bold text-yellow-300">รายการรอรับชำระ</h4>
+                                    {canEdit && (
+                                        <label className="bg-yellow-500 hover:bg-yellow-600 text-blue-900 font-bold py-1 px-4 rounded-full text-sm cursor-pointer">
+                                            <i className="fas fa-file-import mr-2"></i> นำเข้ารายการ (CSV)
+                                            <input
+                                                type="file"
+                                                accept=".csv,text/csv"
+                                                className="hidden"
+                                                onChange={(e) => {
+                                                    const file = e.target.files[0];
+                                                    e.target.value = ''; // Allow importing the same file again
+                                                    if (file) importInvoiceFile(file);
+                                                }}
+                                            />
+                                        </label>
+                                    )}
+                                </div>
+
+                                {canEdit && (
+                                    <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+                                        <input
+                                            type="text"
+                                            placeholder="เลขที่ใบแจ้งหนี้"
+                                            value={invoiceDraft.reference}
+                                            onChange={(e) => setInvoiceDraft(prev => ({ ...prev, reference: e.target.value }))}
+                                            className="p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                        />
+                                        <input
+                                            type="text"
+                                            placeholder="ชื่อผู้ชำระ"
+                                            value={invoiceDraft.payerName}
+                                            onChange={(e) => setInvoiceDraft(prev => ({ ...prev, payerName: e.target.value }))}
+                                            className="p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                        />
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            placeholder="จำนวนเงิน"
+                                            value={invoiceDraft.amount}
+                                            onChange={(e) => setInvoiceDraft(prev => ({ ...prev, amount: e.target.value }))}
+                                            className="p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                        />
+                                        <input
+                                            type="date"
+                                            value={invoiceDraft.dueDate}
+                                            onChange={(e) => setInvoiceDraft(prev => ({ ...prev, dueDate: e.target.value }))}
+                                            className="p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                            title="วันครบกำหนด"
+                                        />
+                                        <button
+                                            onClick={addInvoice}
+                                            className="bg-blue-600 hover:bg-blue-500 text-white font-bold py-2 px-4 rounded-lg text-sm"
+                                        >
+                                            <i className="fas fa-plus mr-2"></i> เพิ่มรายการ
+                                        </button>
+                                    </div>
+                                )}
+
+                                {invoiceSummary.rows.length === 0 ? (
+                                    <p className="text-blue-300 text-sm text-center">
+                                        เพิ่มหรือนำเข้ารายการที่รอรับชำระ แล้วสลิปจะถูกจับคู่อัตโนมัติตามจำนวนเงินและชื่อผู้โอน
+                                    </p>
+                                ) : (
+                                    <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                                        <table className="min-w-full divide-y divide-blue-600 text-blue-100 text-sm">
+                                            <thead className="bg-blue-700">
+                                                <tr>
+                                                    {['เลขที่', 'ผู้ชำระ', 'ครบกำหนด', 'ยอดที่ต้องชำระ', 'ชำระแล้ว', 'สถานะ', 'สลิป', ''].map((header, index) => (
+                                                        <th key={index} scope="col" className="px-4 py-3 text-left text-xs font-medium text-yellow-200 uppercase tracking-wider">
+                                                            {header}
+                                                        </th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-blue-600">
+                                                {invoiceSummary.rows.map(invoice => {
+                                                    const isOverdue = invoice.dueDate && invoice.dueDate < new Date().toISOString().slice(0, 10) &&
+                                                        ['outstanding', 'underpaid'].includes(invoice.status);
+                                                    return (
+                                                        <tr key={invoice.id} className="hover:bg-blue-700 transition-colors duration-200">
+                                                            <td className="px-4 py-3 whitespace-nowrap">{invoice.reference || '-'}</td>
+                                                            <td className="px-4 py-3">{invoice.payerName}</td>
+                                                            <td className={`px-4 py-3 whitespace-nowrap ${isOverdue ? 'text-red-300' : ''}`}>
+                                                                {invoice.dueDate ? formatThaiDate(invoice.dueDate) : '-'}
+                                                                {isOverdue && <i className="fas fa-exclamation-triangle ml-1" title="เลยกำหนดชำระ"></i>}
+                                                            </td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">{formatBaht(invoice.amount)}</td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">{formatBaht(invoice.paid)}</td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">
+                                                                <span className={`text-white text-xs font-semibold px-2 py-1 rounded-full ${INVOICE_STATUSES[invoice.status].color}`}>
+                                                                    <i className={`fas ${INVOICE_STATUSES[invoice.status].icon} mr-1`}></i>
+                                                                    {INVOICE_STATUSES[invoice.status].label}
+                                                                </span>
+                                                            </td>
+                                                            <td className="px-4 py-3">
+                                                                {invoice.slips.map(item => (
+                                                                    <span key={item.imageId} className="inline-block bg-blue-900 text-xs px-2 py-1 rounded-full mr-1 mb-1">
+                                                                        <a
+                                                                            href={`#slip-row-${item.imageId}`}
+                                                                            className="underline hover:text-yellow-300"
+                                                                            title={item.invoiceMatch.method === 'auto' ? `จับคู่อัตโนมัติ (คะแนน ${item.invoiceMatch.score})` : 'จับคู่เอง'}
+                                                                        >
+                                                                            {item.data.senderName || '-'} {formatBaht(item.data.parsedAmount)}
+                                                                        </a>
+                                                                        {canEdit && (
+                                                                            <button
+                                                                                onClick={() => updateInvoiceMatch(item.imageId, null)}
+                                                                                className="ml-1 text-red-300 hover:text-red-400"
+                                                                                aria-label="Unmatch slip"
+                                                                            >
+                                                                                <i className="fas fa-times"></i>
+                                                                            </button>
+                                                                        )}
+                                                                    </span>
+                                                                ))}
+                                                                {canEdit && invoiceSummary.unmatchedSlips.length > 0 && (
+                                                                    <select
+                                                                        value=""
+                                                                        onChange={(e) => updateInvoiceMatch(e.target.value, invoice.id)}
+                                                                        className="p-1 rounded bg-blue-900 text-blue-100 border border-blue-600 text-xs"
+                                                                    >
+                                                                        <option value="">เพิ่มสลิป...</option>
+                                                                        {invoiceSummary.unmatchedSlips.map(item => (
+                                                                            <option key={item.imageId} value={item.imageId}>
+                                                                                {item.data.isoDate || item.data.transactionDate} {formatBaht(item.data.parsedAmount)} {item.data.senderName}
+                                                                            </option>
+                                                                        ))}
+                                                                    </select>
+                                                                )}
+                                                            </td>
+                                                            <td className="px-4 py-3">
+                                                                {canEdit && (
+                                                                    <button
+                                                                        onClick={() => removeInvoice(invoice.id)}
+                                                                        className="text-red-300 hover:text-red-400"
+                                                                        aria-label="Remove expected payment"
+                                                                    >
+                                                                        <i className="fas fa-trash-alt"></i>
+                                                                    </button>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Bank Statement Reconciliation */}
+                            <div className="mt-8 bg-blue-800 p-6 rounded-lg shadow-md">
+                                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                                    <h4 className="text-xl font-bold text-yellow-300">กระทบยอดกับรายการเดินบัญชี</h4>
+                                    <div className="flex flex-wrap gap-2">
+                                        <select
+                                            value={reconcileDirection}
+                                            onChange={(e) => setReconcileDirection(e.target.value)}
+                                            className="p-1 rounded-full bg-blue-900 text-blue-100 border border-blue-600 text-sm"
+                                            title="สลิปจะจับคู่กับรายการเดินบัญชีที่มีทิศทางเดียวกันเท่านั้น"
+                                        >
+                                            <option value="in">สลิปเป็นเงินเข้า (รายการฝาก)</option>
+                                            <option value="out">สลิปเป็นเงินออก (รายการถอน)</option>
+                                        </select>
+                                        {canEdit && statementLines.length > 0 && (
+                                            <button
+                                                onClick={() => autoReconcile()}
+                                                className="bg-blue-600 hover:bg-blue-500 text-white font-bold py-1 px-4 rounded-full text-sm"
+                                            >
+                                                <i className="fas fa-magic mr-2"></i> จับคู่อัตโนมัติ
+                                            </button>
+                                        )}
+                                        {canEdit && (
+                                            <label className={`bg-yellow-500 hover:bg-yellow-600 text-blue-900 font-bold py-1 px-4 rounded-full text-sm cursor-pointer ${importingStatement ? 'opacity-50 cursor-not-allowed' : ''}`}>
+                                                <i className={`fas ${importingStatement ? 'fa-spinner fa-spin' : 'fa-file-import'} mr-2`}></i>
+                                                {importingStatement ? 'กำลังนำเข้า...' : 'นำเข้ารายการเดินบัญชี (CSV/OFX)'}
+                                                <input
+                                                    type="file"
+                                                    accept=".csv,.ofx,.qfx,text/csv"
+                                                    className="hidden"
+                                                    disabled={importingStatement}
+                                                    onChange={(e) => {
+                                                        const file = e.target.files[0];
+                                                        e.target.value = ''; // Allow importing the same file again
+                                                        if (file) importStatementFile(file);
+                                                    }}
+                                                />
+                                            </label>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {statements.length === 0 ? (
+                                    <p className="text-blue-300 text-sm text-center">
+                                        นำเข้าไฟล์รายการเดินบัญชีจากธนาคารเพื่อจับคู่กับสลิปตามจำนวนเงิน วันเวลา และเลขอ้างอิง
+                                    </p>
+                                ) : (
+                                    <>
+                                        <div className="flex flex-wrap gap-2 mb-4">
+                                            {statements.map(statement => (
+                                                <span key={statement.id} className="bg-blue-900 text-blue-200 text-xs px-3 py-1 rounded-full">
+                                                    <i className="fas fa-file-alt mr-1"></i>
+                                                    {statement.fileName} ({statement.lineCount ?? statement.lines.length} รายการ)
+                                                    {canEdit && (
+                                                        <button
+                                                            onClick={() => removeStatement(statement.id)}
+                                                            className="ml-2 text-red-300 hover:text-red-400"
+                                                            aria-label="Remove statement"
+                                                        >
+                                                            <i className="fas fa-times"></i>
+                                                        </button>
+                                                    )}
+                                                </span>
+                                            ))}
+                                        </div>
+
+                                        <div className="flex flex-wrap justify-center gap-2 mb-4">
+                                            {[
+                                                ['matched', 'จับคู่แล้ว', reconciliation.matched.length],
+                                                ['slips', 'สลิปที่ไม่พบในรายการเดินบัญชี', reconciliation.slipsWithoutLine.length],
+                                                ['lines', 'รายการเดินบัญชีที่ไม่มีสลิป', reconciliation.linesWithoutSlip.length]
+                                            ].map(([tab, label, count]) => (
+                                                <button
+                                                    key={tab}
+                                                    onClick={() => setReconciliationTab(tab)}
+                                                    className={`px-3 py-1 rounded-full text-sm font-semibold ${reconciliationTab === tab ? 'bg-yellow-500 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-700'}`}
+                                                >
+                                                    {label} ({count})
+                                                </button>
+                                            ))}
+                                        </div>
+
+                                        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                                            <table className="min-w-full divide-y divide-blue-600 text-blue-100 text-sm">
+                                                <tbody className="divide-y divide-blue-600">
+                                                    {reconciliationTab === 'matched' && reconciliation.matched.map(item => (
+                                                        <tr key={item.imageId} className="hover:bg-blue-700 transition-colors duration-200">
+                                                            <td className="px-4 py-3">
+                                                                <a href={`#slip-row-${item.imageId}`} className="underline hover:text-yellow-300">{item.data.senderName || '-'}</a>
+                                                                <p className="text-xs text-blue-300">{item.data.isoDate ? formatThaiDate(item.data.isoDate) : item.data.transactionDate} {item.data.transactionTime}</p>
+                                                            </td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">{formatBaht(item.data.parsedAmount)}</td>
+                                                            <td className="px-4 py-3 text-blue-300"><i className="fas fa-exchange-alt"></i></td>
+                                                            <td className="px-4 py-3">
+                                                                {item.reconciliation.line.description || item.reconciliation.line.reference || '-'}
+                                                                <p className="text-xs text-blue-300">
+                                                                    {formatThaiDate(item.reconciliation.line.isoDate)} {item.reconciliation.line.isoDateTime?.slice(11, 16)}
+                                                                </p>
+                                                            </td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">{formatBaht(item.reconciliation.line.amount)}</td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">
+                                                                {item.reconciliation.confirmed ? (
+                                                                    <span className="text-green-300"><i className="fas fa-check-circle mr-1"></i>{item.reconciliation.method === 'manual' ? 'จับคู่เอง' : 'ยืนยันแล้ว'}</span>
+                                                                ) : canEdit && (
+                                                                    <button
+                                                                        onClick={() => updateReconciliation(item.imageId, 'confirm')}
+                                                                        className="bg-green-600 hover:bg-green-700 text-white text-xs font-bold py-1 px-3 rounded-full"
+                                                                        title={`คะแนนการจับคู่อัตโนมัติ ${item.reconciliation.score}`}
+                                                                    >
+                                                                        ยืนยัน
+                                                                    </button>
+                                                                )}
+                                                                {canEdit && (
+                                                                    <button
+                                                                        onClick={() => updateReconciliation(item.imageId, 'unmatch')}
+                                                                        className="ml-2 text-red-300 hover:text-red-400 text-xs underline"
+                                                                    >
+                                                                        ยกเลิกการจับคู่
+                                                                    </button>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                    {reconciliationTab === 'slips' && reconciliation.slipsWithoutLine.map(item => (
+                                                        <tr key={item.imageId} className="hover:bg-blue-700 transition-colors duration-200">
+                                                            <td className="px-4 py-3">
+                                                                <a href={`#slip-row-${item.imageId}`} className="underline hover:text-yellow-300">{item.data.senderName || '-'}</a>
+                                                                <p className="text-xs text-blue-300">{item.data.isoDate ? formatThaiDate(item.data.isoDate) : item.data.transactionDate} {item.data.transactionTime}</p>
+                                                            </td>
+                                                            <td className="px-4 py-3 whitespace-nowrap">{formatBaht(item.data.parsedAmount)}</td>
+                                                            <td className="px-4 py-3">
+                                                                <select
+                                                                    value=""
+                                                                    disabled={!canEdit}
+                                                                    onChange={(e) => updateReconciliation(item.imageId, 'match', reconciliation.linesWithoutSlip.find(line => line.key === e.target.value))}
+                                                                    className="w-full p-1 rounded bg-blue-900 text-blue-100 border border-blue-600 text-xs"
+                                                                >
+                                                                    <option value="">จับคู่กับรายการเดินบัญชี...</option>
+                                                                    {reconciliation.linesWithoutSlip.filter(line => (reconcileDirection === 'out' ? line.amount < 0 : line.amount > 0)).map(line => (
+                                                                        <option key={line.key} value={line.key}>
+                                                                            {line.isoDate} {line.isoDateTime?.slice(11, 16)} {formatBaht(line.amount)} {line.description || line.reference}
+                                                                        </option>
+                                                                    ))}
+                                                                </select>
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                    {reconciliationTab === 'lines' && reconciliation.linesWithoutSlip.map(line => (
+                                                        <tr key={line.key} className="hover:bg-blue-700 transition-colors duration-200">
+                                                            <td className="px-4 py-3">
+                                                                {line.description || line.reference || '-'}
+                                                                <p className="text-xs text-blue-300">{formatThaiDate(line.isoDate)} {line.isoDateTime?.slice(11, 16)} · {line.statementName}</p>
+                                                            </td>
+                                                            <td className={`px-4 py-3 whitespace-nowrap ${line.amount < 0 ? 'text-red-300' : ''}`}>{formatBaht(line.amount)}</td>
+                                                            <td className="px-4 py-3">
+                                                                <select
+                                                                    value=""
+                                                                    disabled={!canEdit || (reconcileDirection === 'out' ? line.amount > 0 : line.amount < 0)}
+                                                                    onChange={(e) => updateReconciliation(e.target.value, 'match', line)}
+                                                                    className="w-full p-1 rounded bg-blue-900 text-blue-100 border border-blue-600 text-xs"
+                                                                >
+                                                                    <option value="">จับคู่กับสลิป...</option>
+                                                                    {reconciliation.slipsWithoutLine.map(item => (
+                                                                        <option key={item.imageId} value={item.imageId}>
+                                                                            {item.data.isoDate || item.data.transactionDate} {item.data.transactionTime} {formatBaht(item.data.parsedAmount)} {item.data.senderName}
+                                                                        </option>
+                                                                    ))}
+                                                                </select>
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+
                             <div className="flex justify-center mt-6 space-x-4">
+                                {canEdit && (
+                                    <button
+                                        onClick={() => setPendingConfirm({
+                                            title: 'เริ่มใหม่',
+                                            message: `ย้ายสลิปทั้งหมด ${selectedImages.length} รายการ${statements.length > 0 ? ` และรายการเดินบัญชี ${statements.length} ไฟล์` : ''} ในชุด "${activeBatch?.name}" ไปถังขยะ? กู้คืนได้ภายใน ${trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS} วัน`,
+                                            confirmLabel: 'ย้ายไปถังขยะ',
+                                            onConfirm: resetBatch
+                                        })}
+                                        className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105"
+                                    >
+                                        <i className="fas fa-redo-alt mr-2"></i> เริ่มใหม่ (ล้างชุดนี้)
+                                    </button>
+                                )}
                                 <button
-                                    onClick={() => {
-                                        setSelectedImages([]);
-                                        setExtractedData([]);
-                                        setError(null);
-                                        setCsvContentForPreview('');
-                                        setShowCsvPreview(false);
-                                        setFileInputKey(prevKey => prevKey + 1); // Increment key to reset file input
-                                        setSearchQuery(''); // Clear search query on reset
-                                        // Clear all images from Firestore as well
-                                        if (db && userId) {
-                                            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-                                            const slipsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/slips`);
-                                            // Fetch all docs and delete them
-                                            getDocs(slipsCollectionRef).then(snapshot => {
-                                                snapshot.forEach(doc => {
-                                                    deleteDoc(doc.ref);
-                                                });
-                                            }).catch(e => {
-                                                console.error("Error clearing all images from Firestore:", e);
-                                                setError("Failed to clear all images from database.");
-                                            });
-                                        }
-                                    }}
-                                    className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105"
-                                >
-                                    <i className="fas fa-redo-alt mr-2"></i> เริ่มใหม่
-                                </button>
-                                <button
-                                    onClick={() => setShowCsvPreview(true)}
+                                    onClick={() => openExportDialog()}
                                     className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105"
                                 >
-                                    <i className="fas fa-download mr-2"></i> ดาวน์โหลด CSV
+                                    <i className="fas fa-download mr-2"></i> ส่งออกข้อมูล
                                 </button>
+                                {shareLinks.length > 0 && (
+                                    <button
+                                        onClick={() => setShowShareLinks(true)}
+                                        className="bg-blue-600 hover:bg-blue-500 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105"
+                                    >
+                                        <i className="fas fa-link mr-2"></i> ลิงก์แชร์ ({shareLinks.filter(link => isShareLinkActive(link)).length})
+                                    </button>
+                                )}
                             </div>
                         </div>
                     )}
@@ -1024,57 +6239,868 @@ const App = () => {
                 </footer>
             </div>
 
-            {/* CSV Preview Modal */}
-            {showCsvPreview && (
+            {/* Export Dialog */}
+            {showExportDialog && (
                 <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
-                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-2xl border border-blue-700">
-                        <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">ตัวอย่างข้อมูล CSV</h3>
+                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-4xl border border-blue-700 max-h-[90vh] overflow-auto">
+                        <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">ส่งออกข้อมูล</h3>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div className="space-y-4">
+                                <label className="block text-blue-200 text-sm">
+                                    รูปแบบไฟล์
+                                    <select
+                                        value={exportOptions.format}
+                                        onChange={(e) => updateExportOptions({ format: e.target.value })}
+                                        className="mt-1 w-full p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                    >
+                                        {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                                            <option key={key} value={key}>{format.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="block text-blue-200 text-sm">
+                                    ชื่อไฟล์
+                                    <input
+                                        type="text"
+                                        value={exportOptions.fileName}
+                                        placeholder={buildExportFileName(exportRows, exportOptions.format, activeBatch?.name)}
+                                        onChange={(e) => updateExportOptions({ fileName: e.target.value })}
+                                        className="mt-1 w-full p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                    />
+                                </label>
+                                <label className="flex items-center text-blue-200 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportOptions.filteredOnly}
+                                        onChange={(e) => updateExportOptions({ filteredOnly: e.target.checked })}
+                                        className="mr-2"
+                                    />
+                                    เฉพาะรายการที่กรองในตาราง ({filteredExtractedData.length} จาก {extractedData.length})
+                                </label>
+                                <label className="flex items-center text-blue-200 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportOptions.includeDuplicates}
+                                        onChange={(e) => updateExportOptions({ includeDuplicates: e.target.checked })}
+                                        className="mr-2"
+                                    />
+                                    รวมสลิปซ้ำที่ยังไม่ยืนยันและสลิปที่รอตรวจสอบ
+                                </label>
+                                {EXPORT_FORMATS[exportOptions.format].columnar && exportOptions.columnKeys.includes('viewUrl') && (
+                                    <label className="block text-blue-200 text-sm">
+                                        ลิงก์ดูสลิป (View Image URL) ใช้ได้
+                                        <select
+                                            value={exportOptions.shareExpiryDays}
+                                            onChange={(e) => updateExportOptions({ shareExpiryDays: Number(e.target.value) })}
+                                            className="mt-1 w-full p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                        >
+                                            {SHARE_LINK_EXPIRY_OPTIONS.map(option => (
+                                                <option key={option.days} value={option.days}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                        <span className="block mt-1 text-xs text-blue-300">
+                                            ทุกคนที่มีลิงก์จะเห็นรูปและข้อมูลของสลิปนั้น สลิปที่มีลิงก์อยู่แล้วจะใช้ลิงก์เดิม ยกเลิกได้ที่ "ลิงก์แชร์"
+                                        </span>
+                                    </label>
+                                )}
+                                {EXPORT_FORMATS[exportOptions.format].columnar ? (
+                                    <div className="text-blue-200 text-sm">
+                                        ภาษาหัวคอลัมน์
+                                        <div className="mt-1 flex space-x-2">
+                                            {[['th', 'ไทย'], ['en', 'English']].map(([language, label]) => (
+                                                <button
+                                                    key={language}
+                                                    onClick={() => updateExportOptions({ headerLanguage: language })}
+                                                    className={`px-3 py-1 rounded-full font-semibold ${exportOptions.headerLanguage === language ? 'bg-yellow-500 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-700'}`}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="text-blue-200 text-sm">
+                                        ทิศทางเงิน
+                                        <div className="mt-1 flex space-x-2">
+                                            {[['in', 'เงินเข้า (รับชำระ)'], ['out', 'เงินออก (จ่ายชำระ)']].map(([direction, label]) => (
+                                                <button
+                                                    key={direction}
+                                                    onClick={() => updateExportOptions({ direction })}
+                                                    className={`px-3 py-1 rounded-full font-semibold ${exportOptions.direction === direction ? 'bg-yellow-500 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-700'}`}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        <p className="mt-2 text-xs text-blue-300">ไฟล์ OFX/QIF ใช้ฟิลด์มาตรฐานของโปรแกรมบัญชี สลิปที่อ่านวันที่ไม่ได้จะไม่ถูกส่งออก</p>
+                                    </div>
+                                )}
+                            </div>
+
+                            {EXPORT_FORMATS[exportOptions.format].columnar && (
+                                <div>
+                                    <p className="text-blue-200 text-sm mb-1">คอลัมน์ (เลือกและเรียงลำดับ)</p>
+                                    <ul className="bg-blue-900 rounded-lg border border-blue-600 max-h-72 overflow-auto divide-y divide-blue-700">
+                                        {[
+                                            ...exportOptions.columnKeys,
+                                            ...EXPORT_COLUMNS.map(column => column.key).filter(key => !exportOptions.columnKeys.includes(key))
+                                        ].map(key => {
+                                            const column = EXPORT_COLUMNS.find(c => c.key === key);
+                                            const isSelected = exportOptions.columnKeys.includes(key);
+                                            return (
+                                                <li key={key} className="flex items-center justify-between px-3 py-1 text-sm text-blue-100">
+                                                    <label className="flex items-center">
+                                                        <input type="checkbox" checked={isSelected} onChange={() => toggleExportColumn(key)} className="mr-2" />
+                                                        {column[exportOptions.headerLanguage]}
+                                                    </label>
+                                                    {isSelected && (
+                                                        <span className="space-x-1">
+                                                            <button onClick={() => moveExportColumn(key, -1)} className="text-blue-300 hover:text-yellow-300" aria-label="Move column up">
+                                                                <i className="fas fa-arrow-up"></i>
+                                                            </button>
+                                                            <button onClick={() => moveExportColumn(key, 1)} className="text-blue-300 hover:text-yellow-300" aria-label="Move column down">
+                                                                <i className="fas fa-arrow-down"></i>
+                                                            </button>
+                                                        </span>
+                                                    )}
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                </div>
+                            )}
+                        </div>
+
+                        <p className="text-blue-200 text-sm mt-6 mb-1">
+                            ตัวอย่าง ({Math.min(exportRows.length, 20)} จาก {exportRows.length} รายการ{exportOptions.format === 'xlsx' ? ', แสดงเป็น CSV' : ''})
+                        </p>
                         <textarea
-                            className="w-full h-64 bg-blue-900 text-blue-100 p-4 rounded-lg border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
-                            value={csvContentForPreview}
+                            className="w-full h-48 bg-blue-900 text-blue-100 p-4 rounded-lg border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400 font-mono text-xs"
+                            value={exportPreview}
                             readOnly
                         ></textarea>
                         <div className="mt-6 flex justify-end space-x-4">
                             <button
-                                onClick={() => setShowCsvPreview(false)}
+                                onClick={() => setShowExportDialog(false)}
                                 className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105"
                             >
                                 ปิด
                             </button>
                             <button
-                                onClick={handleDownloadCsv}
+                                onClick={handleExportDownload}
+                                disabled={creatingShareLinks || exportRows.length === 0 || (EXPORT_FORMATS[exportOptions.format].columnar && exportOptions.columnKeys.length === 0)}
+                                className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <i className={`fas ${creatingShareLinks ? 'fa-spinner fa-spin' : 'fa-download'} mr-2`}></i>
+                                {creatingShareLinks ? 'กำลังสร้างลิงก์...' : `ดาวน์โหลด ${EXPORT_FORMATS[exportOptions.format].label}`}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Review Panel: slip image beside an editable form */}
+            {reviewItem && (
+                <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 w-full max-w-6xl border border-blue-700 max-h-[95vh] overflow-auto">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-2xl font-bold text-yellow-300">
+                                ตรวจสอบสลิป
+                                {reviewItem.reviewStatus === 'needs_review' && (
+                                    <span className="ml-2 text-base text-blue-200">
+                                        ({reviewQueue.findIndex(item => item.imageId === reviewImageId) + 1} / {reviewQueue.length})
+                                    </span>
+                                )}
+                            </h3>
+                            <button onClick={() => openReview(null)} className="text-blue-200 hover:text-yellow-300 text-xl" aria-label="Close">
+                                <i className="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div className="bg-blue-900 rounded-lg p-2 flex items-start justify-center overflow-auto max-h-[75vh]">
+                                {reviewImageUrl && <img src={reviewImageUrl} alt={`Slip ${reviewImageId}`} className="max-w-full object-contain" />}
+                            </div>
+                            <div className="space-y-3">
+                                {EXTRACTED_FIELDS.map(field => {
+                                    const fieldIssues = reviewDraftIssues.filter(issue => issue.field === field.key);
+                                    const score = reviewItem.confidence?.[field.key];
+                                    return (
+                                        <label key={field.key} className="block text-blue-200 text-sm">
+                                            <span className="flex items-center justify-between">
+                                                {field.label}
+                                                {typeof score === 'number' && (
+                                                    <span className={`text-xs ${score < REVIEW_CONFIDENCE_THRESHOLD ? 'text-red-300' : 'text-blue-300'}`}>
+                                                        ความมั่นใจ {Math.round(score * 100)}%
+                                                    </span>
+                                                )}
+                                            </span>
+                                            <input
+                                                type="text"
+                                                value={reviewDraft[field.key] ?? ''}
+                                                onChange={(e) => setReviewDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                                                className={`mt-1 w-full p-2 rounded-lg bg-blue-900 text-blue-100 border focus:outline-none focus:ring-2 focus:ring-yellow-400 ${fieldIssues.length > 0 ? 'border-red-400' : 'border-blue-600'}`}
+                                            />
+                                            {fieldIssues.map((issue, index) => (
+                                                <span key={index} className="block text-xs text-red-300 mt-1">
+                                                    <i className="fas fa-exclamation-circle mr-1"></i>{issue.message}
+                                                </span>
+                                            ))}
+                                        </label>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                        <div className="mt-6 flex flex-wrap justify-between gap-4">
+                            <div className="space-x-2">
+                                <button
+                                    onClick={() => stepReview(-1)}
+                                    disabled={reviewQueue.length < 2}
+                                    className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <i className="fas fa-chevron-left mr-1"></i> ก่อนหน้า
+                                </button>
+                                <button
+                                    onClick={() => stepReview(1)}
+                                    disabled={reviewQueue.length < 2}
+                                    className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    ถัดไป <i className="fas fa-chevron-right ml-1"></i>
+                                </button>
+                            </div>
+                            <button
+                                onClick={approveReview}
                                 className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-5 rounded-full shadow-lg transform transition duration-300 hover:scale-105"
+                                title={reviewDraftIssues.length > 0 ? 'ยังมีข้อมูลที่ไม่ผ่านการตรวจสอบ แต่สามารถอนุมัติได้หากข้อมูลถูกต้องตามสลิป' : undefined}
+                            >
+                                <i className="fas fa-check mr-2"></i> บันทึกและอนุมัติ
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Trash Modal: restore or permanently delete soft-deleted slips and statements */}
+            {showTrash && (() => {
+                const retentionDays = trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+                const daysLeft = (deletedAt) => Math.max(0, Math.ceil((deletedAt + retentionDays * 86400000 - Date.now()) / 86400000));
+                return (
+                    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                        <div className="bg-blue-800 rounded-xl shadow-2xl p-6 w-full max-w-3xl border border-blue-700 max-h-[90vh] overflow-auto">
+                            <div className="flex items-center justify-between mb-4">
+                                <h3 className="text-2xl font-bold text-yellow-300">ถังขยะ</h3>
+                                <button onClick={() => setShowTrash(false)} className="text-blue-200 hover:text-yellow-300 text-xl" aria-label="Close">
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            </div>
+                            <label className="block text-blue-200 text-sm mb-4">
+                                ลบถาวรอัตโนมัติเมื่ออยู่ในถังขยะเกิน
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={retentionDays}
+                                    onChange={(e) => updateTrashRetention(parseInt(e.target.value, 10))}
+                                    disabled={workspaceRole !== 'owner'}
+                                    className="mx-2 w-20 p-1 rounded bg-blue-900 text-blue-100 border border-blue-600 disabled:opacity-50"
+                                />
+                                วัน
+                                {workspaceRole !== 'owner' && <span className="ml-2 text-xs text-blue-300">(เจ้าของพื้นที่ทีมเป็นผู้ตั้งค่า)</span>}
+                            </label>
+                            {trashedSlips.length + trashedStatements.length === 0 ? (
+                                <p className="text-blue-200 text-center py-6">ถังขยะว่างเปล่า</p>
+                            ) : (
+                                <ul className="divide-y divide-blue-600">
+                                    {trashedSlips.map(slip => (
+                                        <li key={slip.id} className="flex items-center gap-4 py-2 text-sm text-blue-100">
+                                            {slip.thumbnailDataUrl && <img src={slip.thumbnailDataUrl} alt={`Slip ${slip.id}`} className="w-12 h-12 object-cover rounded-md" />}
+                                            <div className="flex-1">
+                                                <div>{slip.senderName || slip.sourceFileName || `${slip.id.substring(0, 8)}...`}{slip.pageNumber ? ` (หน้า ${slip.pageNumber})` : ''}</div>
+                                                <div className="text-xs text-blue-300">
+                                                    {slip.amount !== null && <span className="mr-2">{formatBaht(slip.amount)}</span>}
+                                                    ลบเมื่อ {new Date(slip.deletedAt).toLocaleString('th-TH')} · ลบถาวรใน {daysLeft(slip.deletedAt)} วัน
+                                                </div>
+                                            </div>
+                                            {canEdit && <button onClick={() => restoreFromTrash([slip.id], [])} className="text-green-300 hover:text-green-200 underline">กู้คืน</button>}
+                                            {canEdit && <button onClick={() => deleteForever([slip.id], [])} className="text-red-300 hover:text-red-200 underline">ลบถาวร</button>}
+                                        </li>
+                                    ))}
+                                    {trashedStatements.map(statement => (
+                                        <li key={statement.id} className="flex items-center gap-4 py-2 text-sm text-blue-100">
+                                            <i className="fas fa-file-invoice-dollar text-2xl text-blue-300 w-12 text-center"></i>
+                                            <div className="flex-1">
+                                                <div>{statement.fileName} ({statement.lineCount ?? (statement.lines || []).length} รายการ)</div>
+                                                <div className="text-xs text-blue-300">
+                                                    ลบเมื่อ {new Date(statement.deletedAt).toLocaleString('th-TH')} · ลบถาวรใน {daysLeft(statement.deletedAt)} วัน
+                                                </div>
+                                            </div>
+                                            {canEdit && <button onClick={() => restoreFromTrash([], [statement.id])} className="text-green-300 hover:text-green-200 underline">กู้คืน</button>}
+                                            {canEdit && <button onClick={() => deleteForever([], [statement.id])} className="text-red-300 hover:text-red-200 underline">ลบถาวร</button>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {canEdit && trashedSlips.length + trashedStatements.length > 0 && (
+                                <div className="mt-6 flex justify-end gap-4">
+                                    <button
+                                        onClick={() => restoreFromTrash(trashedSlips.map(slip => slip.id), trashedStatements.map(statement => statement.id))}
+                                        className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-5 rounded-full shadow-lg"
+                                    >
+                                        <i className="fas fa-undo mr-2"></i> กู้คืนทั้งหมด
+                                    </button>
+                                    <button
+                                        onClick={() => setPendingConfirm({
+                                            title: 'ล้างถังขยะ',
+                                            message: `ลบสลิป ${trashedSlips.length} รายการและรายการเดินบัญชี ${trashedStatements.length} ไฟล์อย่างถาวร? ไม่สามารถกู้คืนได้`,
+                                            confirmLabel: 'ลบถาวร',
+                                            onConfirm: () => deleteForever(trashedSlips.map(slip => slip.id), trashedStatements.map(statement => statement.id))
+                                        })}
+                                        className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-full shadow-lg"
+                                    >
+                                        <i className="fas fa-trash-alt mr-2"></i> ล้างถังขยะ
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                );
+            })()}
+
+            {/* Share Links Dialog: links the user created, with copy and revoke */}
+            {showShareLinks && (() => {
+                const activeLinks = shareLinks.filter(link => isShareLinkActive(link));
+                const inactiveCount = shareLinks.length - activeLinks.length;
+                return (
+                    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                        <div className="bg-blue-800 rounded-xl shadow-2xl p-6 w-full max-w-3xl border border-blue-700 max-h-[90vh] overflow-auto">
+                            <div className="flex items-center justify-between mb-4">
+                                <h3 className="text-2xl font-bold text-yellow-300">ลิงก์แชร์</h3>
+                                <button onClick={() => setShowShareLinks(false)} className="text-blue-200 hover:text-yellow-300 text-xl" aria-label="Close">
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            </div>
+                            {activeLinks.length === 0 ? (
+                                <p className="text-blue-200 text-center py-6">ไม่มีลิงก์ที่ใช้งานอยู่</p>
+                            ) : (
+                                <ul className="divide-y divide-blue-600">
+                                    {activeLinks.map(link => (
+                                        <li key={link.token} className="flex items-center gap-4 py-2 text-sm text-blue-100">
+                                            {link.thumbnailDataUrl && <img src={link.thumbnailDataUrl} alt={`Slip ${link.slipId}`} className="w-12 h-12 object-cover rounded-md" />}
+                                            <div className="flex-1 min-w-0">
+                                                <div className="truncate">
+                                                    {link.data?.senderName || link.fileName || `${link.slipId.substring(0, 8)}...`}
+                                                    {link.data?.parsedAmount != null && <span className="ml-2 text-blue-300">{formatBaht(link.data.parsedAmount)}</span>}
+                                                </div>
+                                                <div className="text-xs text-blue-300">
+                                                    สร้างเมื่อ {new Date(link.createdAt).toLocaleString('th-TH')} · {link.expiresAt ? `หมดอายุ ${new Date(link.expiresAt).toLocaleString('th-TH')}` : 'ไม่หมดอายุ'}
+                                                </div>
+                                            </div>
+                                            <button
+                                                onClick={() => navigator.clipboard?.writeText(buildShareUrl(link.token)).catch(() => {})}
+                                                className="text-blue-200 hover:text-yellow-300 underline"
+                                                title={buildShareUrl(link.token)}
+                                            >
+                                                คัดลอกลิงก์
+                                            </button>
+                                            <button onClick={() => revokeShareLink(link.token)} className="text-red-300 hover:text-red-200 underline">ยกเลิก</button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {inactiveCount > 0 && (
+                                <div className="mt-6 flex items-center justify-between text-sm text-blue-300">
+                                    <span>ลิงก์ที่หมดอายุหรือยกเลิกแล้ว {inactiveCount} ลิงก์ (เปิดไม่ได้แล้ว)</span>
+                                    <button onClick={deleteInactiveShareLinks} className="text-red-300 hover:text-red-200 underline">ลบออกจากรายการ</button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                );
+            })()}
+
+            {/* Confirmation Dialog for bulk and permanent deletes */}
+            {pendingConfirm && (
+                <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 w-full max-w-md border border-blue-700">
+                        <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">{pendingConfirm.title}</h3>
+                        <p className="text-blue-100 text-center mb-6">{pendingConfirm.message}</p>
+                        <div className="flex justify-center gap-4">
+                            <button
+                                onClick={() => setPendingConfirm(null)}
+                                className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-5 rounded-full"
+                            >
+                                ยกเลิก
+                            </button>
+                            <button
+                                onClick={() => {
+                                    pendingConfirm.onConfirm();
+                                    setPendingConfirm(null);
+                                }}
+                                className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-full shadow-lg"
                             >
-                                <i className="fas fa-download mr-2"></i> ดาวน์โหลด CSV
+                                {pendingConfirm.confirmLabel}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Undo Toast shown after a delete */}
+            {undoToast && (
+                <div className="fixed bottom-6 left-1/2 transform -translate-x-1/2 z-50 bg-blue-900 border border-blue-600 text-blue-100 rounded-full shadow-2xl px-5 py-3 flex items-center gap-4">
+                    <span><i className="fas fa-trash mr-2 text-blue-300"></i>{undoToast.message}</span>
+                    <button
+                        onClick={() => restoreFromTrash(undoToast.slipIds, undoToast.statementIds)}
+                        className="font-bold text-yellow-300 hover:text-yellow-200 underline"
+                    >
+                        เลิกทำ
+                    </button>
+                    <button onClick={() => setUndoToast(null)} className="text-blue-300 hover:text-blue-100" aria-label="Dismiss">
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+            )}
+
+            {/* Team Panel: members, roles and invitations of the active workspace, or creating a new one */}
+            {showTeamPanel && (
+                <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 w-full max-w-2xl border border-blue-700 max-h-[90vh] overflow-auto">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-2xl font-bold text-yellow-300">{activeWorkspace ? activeWorkspace.name : 'พื้นที่ทำงานของทีม'}</h3>
+                            <button onClick={() => setShowTeamPanel(false)} className="text-blue-200 hover:text-yellow-300 text-xl" aria-label="Close">
+                                <i className="fas fa-times"></i>
                             </button>
                         </div>
+
+                        {activeWorkspace && (
+                            <>
+                                <h4 className="text-lg font-semibold text-yellow-200 mb-2">สมาชิก</h4>
+                                <ul className="divide-y divide-blue-600 mb-6">
+                                    {(activeWorkspace.memberIds || []).map(memberId => {
+                                        const role = activeWorkspace.roles?.[memberId];
+                                        const isOwner = memberId === activeWorkspace.ownerId;
+                                        return (
+                                            <li key={memberId} className="flex items-center gap-3 py-2 text-sm text-blue-100">
+                                                <span className="flex-1">
+                                                    {getMemberName(memberId)}
+                                                    {activeWorkspace.memberProfiles?.[memberId]?.email && memberId !== userId && activeWorkspace.memberProfiles[memberId].displayName && (
+                                                        <span className="block text-xs text-blue-300">{activeWorkspace.memberProfiles[memberId].email}</span>
+                                                    )}
+                                                </span>
+                                                {workspaceRole === 'owner' && !isOwner ? (
+                                                    <>
+                                                        <select
+                                                            value={role}
+                                                            onChange={(e) => updateMemberRole(memberId, e.target.value)}
+                                                            className="p-1 rounded bg-blue-900 text-blue-100 border border-blue-600"
+                                                        >
+                                                            {Object.entries(WORKSPACE_ROLES).filter(([key]) => key !== 'owner').map(([key, info]) => (
+                                                                <option key={key} value={key}>{info.label}</option>
+                                                            ))}
+                                                        </select>
+                                                        <button onClick={() => removeMember(memberId)} className="text-red-300 hover:text-red-200 underline">นำออก</button>
+                                                    </>
+                                                ) : (
+                                                    <span className="text-blue-300" title={WORKSPACE_ROLES[role]?.description}>{WORKSPACE_ROLES[role]?.label || role}</span>
+                                                )}
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+
+                                {workspaceRole === 'owner' ? (
+                                    <>
+                                        <h4 className="text-lg font-semibold text-yellow-200 mb-2">เชิญสมาชิก</h4>
+                                        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+                                            <input
+                                                type="email"
+                                                value={inviteDraft.email}
+                                                onChange={(e) => setInviteDraft(prev => ({ ...prev, email: e.target.value }))}
+                                                placeholder="อีเมลของสมาชิก"
+                                                className="flex-1 min-w-[12rem] p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600"
+                                            />
+                                            <select
+                                                value={inviteDraft.role}
+                                                onChange={(e) => setInviteDraft(prev => ({ ...prev, role: e.target.value }))}
+                                                className="p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600"
+                                            >
+                                                {Object.entries(WORKSPACE_ROLES).filter(([key]) => key !== 'owner').map(([key, info]) => (
+                                                    <option key={key} value={key}>{info.label}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                onClick={inviteMember}
+                                                disabled={!inviteDraft.email.trim()}
+                                                className="px-4 py-2 rounded-full font-semibold bg-yellow-500 text-blue-900 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                <i className="fas fa-paper-plane mr-1"></i> ส่งคำเชิญ
+                                            </button>
+                                        </div>
+                                        {teamInvitations.length > 0 && (
+                                            <ul className="divide-y divide-blue-600 mb-6 text-sm text-blue-100">
+                                                {teamInvitations.map(invitation => (
+                                                    <li key={invitation.email} className="flex items-center gap-3 py-2">
+                                                        <span className="flex-1">{invitation.email}</span>
+                                                        <span className="text-blue-300">{WORKSPACE_ROLES[invitation.role]?.label || invitation.role} · รอตอบรับ</span>
+                                                        <button onClick={() => revokeInvitation(invitation.email)} className="text-red-300 hover:text-red-200 underline">ยกเลิกคำเชิญ</button>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </>
+                                ) : (
+                                    <button
+                                        onClick={() => removeMember(userId)}
+                                        className="mb-6 bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-full"
+                                    >
+                                        <i className="fas fa-sign-out-alt mr-2"></i> ออกจากพื้นที่ทำงานนี้
+                                    </button>
+                                )}
+                            </>
+                        )}
+
+                        <h4 className="text-lg font-semibold text-yellow-200 mb-2">สร้างพื้นที่ทำงานใหม่</h4>
+                        {authProfile?.isAnonymous ? (
+                            <p className="text-orange-300 text-sm">
+                                <i className="fas fa-exclamation-triangle mr-1"></i>
+                                ต้องบันทึกเป็นบัญชีถาวรก่อนจึงจะสร้างหรือเข้าร่วมพื้นที่ทำงานของทีมได้
+                                <button onClick={() => { setShowTeamPanel(false); openAuthDialog('link'); }} className="ml-2 underline hover:text-yellow-300">บันทึกเป็นบัญชีถาวร</button>
+                            </p>
+                        ) : (
+                            <div className="flex flex-wrap gap-2 text-sm">
+                                <input
+                                    type="text"
+                                    value={workspaceNameDraft}
+                                    onChange={(e) => setWorkspaceNameDraft(e.target.value)}
+                                    placeholder="ชื่อพื้นที่ เช่น ฝ่ายบัญชี ร้านสาขา 1"
+                                    className="flex-1 min-w-[12rem] p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600"
+                                />
+                                <button
+                                    onClick={createWorkspace}
+                                    disabled={!workspaceNameDraft.trim()}
+                                    className="px-4 py-2 rounded-full font-semibold bg-yellow-500 text-blue-900 hover:bg-yellow-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <i className="fas fa-plus mr-1"></i> สร้าง
+                                </button>
+                            </div>
+                        )}
                     </div>
                 </div>
             )}
 
-            {/* Image Viewer Modal */}
-            {showImageModal && currentImageModalUrl && (
+            {/* Sign-in Dialog */}
+            {authDialog && (
                 <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
-                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-lg border border-blue-700 relative">
+                    <div className="bg-blue-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-md border border-blue-700">
+                        <h3 className="text-2xl font-bold text-yellow-300 mb-2 text-center">
+                            {authDialog === 'link' ? 'บันทึกเป็นบัญชีถาวร' : 'เข้าสู่ระบบ'}
+                        </h3>
+                        <p className="text-blue-200 text-sm text-center mb-4">
+                            {authDialog === 'link'
+                                ? 'สร้างบัญชีจากเซสชันนี้ สลิปทั้งหมดที่อัปโหลดไว้จะย้ายไปอยู่กับบัญชีใหม่'
+                                : authProfile?.isAnonymous && extractedData.length > 0
+                                    ? 'สลิปในเซสชันชั่วคราวนี้จะไม่ถูกย้ายไปยังบัญชีที่เข้าสู่ระบบ หากต้องการเก็บไว้ให้เลือก "บันทึกเป็นบัญชีถาวร"'
+                                    : 'เข้าสู่ระบบเพื่อใช้ข้อมูลสลิปของคุณบนทุกอุปกรณ์'}
+                        </p>
+                        <form onSubmit={(e) => { e.preventDefault(); submitEmailAuth(); }} className="space-y-3">
+                            <input
+                                type="email"
+                                autoComplete="email"
+                                placeholder="อีเมล"
+                                value={authForm.email}
+                                onChange={(e) => setAuthForm(prev => ({ ...prev, email: e.target.value }))}
+                                className="w-full p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                            />
+                            <input
+                                type="password"
+                                autoComplete={authDialog === 'link' ? 'new-password' : 'current-password'}
+                                placeholder="รหัสผ่าน"
+                                value={authForm.password}
+                                onChange={(e) => setAuthForm(prev => ({ ...prev, password: e.target.value }))}
+                                className="w-full p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                            />
+                            {authError && <p className="text-red-300 text-sm">{authError}</p>}
+                            <button
+                                type="submit"
+                                disabled={authBusy || !authForm.email.trim() || !authForm.password}
+                                className="w-full bg-yellow-500 hover:bg-yellow-400 text-blue-900 font-bold py-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {authBusy ? <i className="fas fa-spinner fa-spin"></i> : authDialog === 'link' ? 'สร้างบัญชีด้วยอีเมล' : 'เข้าสู่ระบบด้วยอีเมล'}
+                            </button>
+                        </form>
+                        <div className="my-4 text-center text-blue-300 text-sm">หรือ</div>
                         <button
-                            onClick={() => {
-                                setShowImageModal(false);
-                                setCurrentImageModalUrl(null);
-                            }}
-                            className="absolute top-4 right-4 bg-red-600 hover:bg-red-700 text-white rounded-full p-2 text-lg shadow-lg transform transition duration-300 hover:scale-110"
-                            aria-label="Close image viewer"
+                            onClick={submitGoogleAuth}
+                            disabled={authBusy}
+                            className="w-full bg-white hover:bg-gray-100 text-gray-800 font-bold py-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
                         >
-                            <i className="fas fa-times"></i>
+                            <i className="fab fa-google mr-2 text-red-500"></i>ดำเนินการต่อด้วย Google
                         </button>
-                        <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">รูปภาพสลิป</h3>
-                        <div className="flex justify-center items-center max-h-[50vh] overflow-auto">
-                            <img src={currentImageModalUrl} alt="Full size slip" className="max-w-full h-auto rounded-md shadow-lg border border-blue-500" />
+                        <div className="mt-4 flex justify-between text-sm">
+                            <button
+                                onClick={() => openAuthDialog(authDialog === 'link' ? 'signin' : 'link')}
+                                className="text-blue-200 hover:text-yellow-300 underline"
+                            >
+                                {authDialog === 'link' ? 'มีบัญชีอยู่แล้ว? เข้าสู่ระบบ' : 'ยังไม่มีบัญชี? บันทึกเซสชันนี้เป็นบัญชี'}
+                            </button>
+                            <button onClick={() => setAuthDialog(null)} className="text-blue-200 hover:text-yellow-300 underline">
+                                ยกเลิก
+                            </button>
                         </div>
                     </div>
                 </div>
             )}
+
+            {/* Correction History Modal */}
+            {historyModalImageId && (() => {
+                const historyItem = extractedData.find(item => item.imageId === historyModalImageId);
+                if (!historyItem) return null;
+                return (
+                    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                        <div className="bg-blue-800 rounded-xl shadow-2xl p-6 md:p-8 w-full max-w-2xl border border-blue-700 relative">
+                            <button
+                                onClick={() => setHistoryModalImageId(null)}
+                                className="absolute top-4 right-4 bg-red-600 hover:bg-red-700 text-white rounded-full p-2 text-lg shadow-lg transform transition duration-300 hover:scale-110"
+                                aria-label="Close correction history"
+                            >
+                                <i className="fas fa-times"></i>
+                            </button>
+                            <h3 className="text-2xl font-bold text-yellow-300 mb-4 text-center">ประวัติการแก้ไข</h3>
+                            <p className="text-blue-200 text-sm mb-4 text-center font-mono">{historyItem.imageId}</p>
+                            <div className="max-h-[50vh] overflow-auto">
+                                <table className="min-w-full divide-y divide-blue-600 text-blue-100 text-sm">
+                                    <thead className="bg-blue-700">
+                                        <tr>
+                                            <th className="px-4 py-2 text-left text-yellow-200">ฟิลด์</th>
+                                            <th className="px-4 py-2 text-left text-yellow-200">ค่าเดิม</th>
+                                            <th className="px-4 py-2 text-left text-yellow-200">ค่าใหม่</th>
+                                            <th className="px-4 py-2 text-left text-yellow-200">ผู้แก้ไข</th>
+                                            <th className="px-4 py-2 text-left text-yellow-200">เวลา</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-blue-600">
+                                        {historyItem.corrections.map((correction, index) => (
+                                            <tr key={index}>
+                                                <td className="px-4 py-2">{EXTRACTED_FIELDS.find(f => f.key === correction.field)?.label || correction.field}</td>
+                                                <td className="px-4 py-2 line-through text-blue-300">{correction.from || '-'}</td>
+                                                <td className="px-4 py-2">{correction.to || '-'}</td>
+                                                <td className="px-4 py-2 font-mono text-xs">{correction.by}</td>
+                                                <td className="px-4 py-2">{new Date(correction.at).toLocaleString('th-TH')}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })()}
+
+            {/* Image Viewer Modal: zoomable, rotatable slip image beside its extracted fields */}
+            {showImageModal && currentImageModalUrl && (() => {
+                const modalItem = extractedData.find(item => item.imageId === currentImageModalId);
+                const risk = modalItem?.risk;
+                const hoveredBox = hoveredField ? modalItem?.fieldBoxes?.[hoveredField] : null;
+                return (
+                    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+                        <div className="bg-blue-800 rounded-xl shadow-2xl p-6 w-full max-w-6xl border border-blue-700 max-h-[95vh] overflow-auto">
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                                <h3 className="text-2xl font-bold text-yellow-300">
+                                    รูปภาพสลิป
+                                    {imageModalIndex >= 0 && <span className="ml-2 text-base text-blue-200">({imageModalIndex + 1}/{sortedTableData.length})</span>}
+                                </h3>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => stepImageModal(-1)}
+                                        disabled={imageModalIndex <= 0}
+                                        className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        title="สลิปก่อนหน้า (←)"
+                                    >
+                                        <i className="fas fa-chevron-left"></i>
+                                    </button>
+                                    <button
+                                        onClick={() => stepImageModal(1)}
+                                        disabled={imageModalIndex < 0 || imageModalIndex >= sortedTableData.length - 1}
+                                        className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        title="สลิปถัดไป (→)"
+                                    >
+                                        <i className="fas fa-chevron-right"></i>
+                                    </button>
+                                    <button
+                                        onClick={closeImageModal}
+                                        className="ml-2 bg-red-600 hover:bg-red-700 text-white rounded-full px-3 py-1 text-lg shadow-lg"
+                                        aria-label="Close image viewer"
+                                        title="ปิด (Esc)"
+                                    >
+                                        <i className="fas fa-times"></i>
+                                    </button>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+                                <div className="lg:col-span-3">
+                                    {/* Toolbar: zoom, rotate and reset (also + - R 0 on the keyboard) */}
+                                    <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                                        <button onClick={() => zoomImageModal(1 / IMAGE_ZOOM_STEP)} className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700" title="ย่อ (-)">
+                                            <i className="fas fa-search-minus"></i>
+                                        </button>
+                                        <span className="w-14 text-center text-blue-200">{Math.round(imageView.zoom * 100)}%</span>
+                                        <button onClick={() => zoomImageModal(IMAGE_ZOOM_STEP)} className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700" title="ขยาย (+)">
+                                            <i className="fas fa-search-plus"></i>
+                                        </button>
+                                        <button onClick={() => rotateImageModal(-90)} className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700" title="หมุนซ้าย (Shift+R)">
+                                            <i className="fas fa-undo"></i>
+                                        </button>
+                                        <button onClick={() => rotateImageModal(90)} className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700" title="หมุนขวา (R)">
+                                            <i className="fas fa-redo"></i>
+                                        </button>
+                                        <button onClick={() => setImageView(DEFAULT_IMAGE_VIEW)} className="px-3 py-1 rounded-full bg-blue-900 text-blue-200 hover:bg-blue-700" title="รีเซ็ตมุมมอง (0)">
+                                            <i className="fas fa-compress-arrows-alt mr-1"></i>รีเซ็ต
+                                        </button>
+                                        <span className="text-xs text-blue-300 ml-auto">ลากเพื่อเลื่อน · หมุนล้อเมาส์เพื่อซูม</span>
+                                    </div>
+                                    <div
+                                        className="relative h-[65vh] overflow-hidden rounded-lg bg-blue-900 border border-blue-600 flex items-center justify-center select-none cursor-grab active:cursor-grabbing"
+                                        ref={imageStageRef}
+                                        onPointerDown={(e) => {
+                                            imagePanRef.current = { startX: e.clientX, startY: e.clientY, x: imageView.x, y: imageView.y };
+                                            e.currentTarget.setPointerCapture(e.pointerId);
+                                        }}
+                                        onPointerMove={(e) => {
+                                            const pan = imagePanRef.current;
+                                            if (!pan) return;
+                                            setImageView(prev => ({ ...prev, x: pan.x + e.clientX - pan.startX, y: pan.y + e.clientY - pan.startY }));
+                                        }}
+                                        onPointerUp={() => { imagePanRef.current = null; }}
+                                        onPointerCancel={() => { imagePanRef.current = null; }}
+                                    >
+                                        {/* The highlight sits inside the transformed wrapper, so it zooms, pans and rotates with the image */}
+                                        <div
+                                            className="relative"
+                                            style={{ transform: `translate(${imageView.x}px, ${imageView.y}px) rotate(${imageView.rotation}deg) scale(${imageView.zoom})` }}
+                                        >
+                                            <img
+                                                src={currentImageModalUrl}
+                                                alt="Full size slip"
+                                                draggable={false}
+                                                className="block max-h-[63vh] max-w-full rounded-md shadow-lg"
+                                            />
+                                            {hoveredBox && (
+                                                <div
+                                                    className="absolute border-2 border-yellow-400 bg-yellow-300 bg-opacity-25 rounded-sm pointer-events-none"
+                                                    style={{
+                                                        top: `${hoveredBox.top * 100}%`,
+                                                        left: `${hoveredBox.left * 100}%`,
+                                                        width: `${hoveredBox.width * 100}%`,
+                                                        height: `${hoveredBox.height * 100}%`
+                                                    }}
+                                                ></div>
+                                            )}
+                                        </div>
+                                    </div>
+                                </div>
+
+                                <div className="lg:col-span-2 text-sm">
+                                    {modalItem ? (
+                                        <>
+                                            <p className="text-xs text-blue-300 mb-2">
+                                                {modalItem.fieldBoxes ? 'ชี้ แตะ หรือเลือกฟิลด์เพื่อดูตำแหน่งบนรูป' : 'สลิปนี้ดึงข้อมูลก่อนมีตำแหน่งฟิลด์ ดึงข้อมูลใหม่เพื่อดูตำแหน่งบนรูป'}
+                                            </p>
+                                            <dl className="divide-y divide-blue-600 bg-blue-900 rounded-lg">
+                                                {EXTRACTED_FIELDS.map(({ key, label }) => {
+                                                    const hasBox = !!modalItem.fieldBoxes?.[key];
+                                                    const score = modalItem.confidence?.[key];
+                                                    return (
+                                                        <div
+                                                            key={key}
+                                                            tabIndex={0}
+                                                            onMouseEnter={() => setHoveredField(key)}
+                                                            onMouseLeave={() => setHoveredField(null)}
+                                                            onClick={() => setHoveredField(key)}
+                                                            onFocus={() => setHoveredField(key)}
+                                                            onBlur={() => setHoveredField(prev => (prev === key ? null : prev))}
+                                                            className={`px-3 py-2 grid grid-cols-5 gap-2 cursor-pointer focus:outline-none focus:ring-2 focus:ring-yellow-400 ${hoveredField === key && hasBox ? 'bg-blue-700' : ''}`}
+                                                        >
+                                                            <dt className="col-span-2 text-blue-300">
+                                                                <i className={`fas fa-crosshairs mr-1 ${hasBox ? 'text-yellow-300' : 'text-blue-600'}`} title={hasBox ? 'มีตำแหน่งบนรูป' : 'ไม่มีตำแหน่งบนรูป'}></i>
+                                                                {label}
+                                                            </dt>
+                                                            <dd className="col-span-3 text-blue-100 break-words">
+                                                                {key === 'amount' ? formatBaht(modalItem.data.parsedAmount) :
+                                                                    key === 'senderBankName' || key === 'recipientBankName' ? (
+                                                                        <BankBadge bankId={modalItem.data[key.replace('BankName', 'BankId')]} rawName={modalItem.data[key]} />
+                                                                    ) : (modalItem.data[key] || '-')}
+                                                                {typeof score === 'number' && (
+                                                                    <span className={`ml-2 text-xs ${score < REVIEW_CONFIDENCE_THRESHOLD ? 'text-orange-300' : 'text-blue-400'}`}>
+                                                                        {Math.round(score * 100)}%
+                                                                    </span>
+                                                                )}
+                                                            </dd>
+                                                        </div>
+                                                    );
+                                                })}
+                                            </dl>
+                                        </>
+                                    ) : (
+                                        <p className="text-blue-200">ยังไม่ได้ดึงข้อมูลจากสลิปนี้</p>
+                                    )}
+                                    {risk && (
+                                        <div className="mt-4 bg-blue-900 rounded-lg p-3">
+                                            <RiskBadge risk={risk} />
+                                            {risk.reasons.length > 0 ? (
+                                                <ul className="mt-2 space-y-1 text-blue-100">
+                                                    {risk.reasons.map((reason, index) => (
+                                                        <li key={index}>
+                                                            <i className="fas fa-angle-right mr-2 text-orange-300"></i>{reason.message}
+                                                            <span className="ml-1 text-blue-300">(+{reason.weight})</span>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            ) : (
+                                                <p className="mt-2 text-blue-200">ไม่พบสัญญาณผิดปกติ</p>
+                                            )}
+                                            {!modalItem.forensics && (
+                                                <p className="mt-2 text-xs text-blue-300">สลิปนี้อัปโหลดก่อนมีการตรวจไฟล์ต้นฉบับ จึงตรวจได้เฉพาะ QR เลขอ้างอิง และเวลา</p>
+                                            )}
+                                        </div>
+                                    )}
+                                    {modalItem && (
+                                        <div className="mt-4">
+                                            {modalShareUrl ? (
+                                                <label className="block text-blue-200">
+                                                    ลิงก์แชร์ (คัดลอกแล้ว)
+                                                    <input
+                                                        type="text"
+                                                        readOnly
+                                                        value={modalShareUrl}
+                                                        onFocus={(e) => e.target.select()}
+                                                        className="mt-1 w-full p-2 rounded-lg bg-blue-900 text-blue-100 border border-blue-600 font-mono text-xs"
+                                                    />
+                                                </label>
+                                            ) : (
+                                                <button
+                                                    onClick={() => shareModalSlip(modalItem)}
+                                                    disabled={creatingShareLinks}
+                                                    className="w-full bg-blue-600 hover:bg-blue-500 text-white font-bold py-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed"
+                                                >
+                                                    <i className={`fas ${creatingShareLinks ? 'fa-spinner fa-spin' : 'fa-share-alt'} mr-2`}></i>
+                                                    {activeShareTokens[modalItem.imageId] ? 'คัดลอกลิงก์แชร์' : 'สร้างลิงก์แชร์'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })()}
         </div>
     );
 };
 
-export default App;
+// The share viewer route (?share=<token>) shows only the shared slip, without signing in or loading the app
+const Root = () => {
+    const shareToken = new URLSearchParams(window.location.search).get(SHARE_LINK_PARAM);
+    return shareToken ? <SharedSlipViewer token={shareToken} /> : <App />;
+};
+
+export default Root;
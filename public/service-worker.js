@@ -0,0 +1,67 @@
+// Service worker for AI Slip Extractor
+// Keeps the app shell available offline and relays Background Sync to the open app, which uploads
+// the files it kept in IndexedDB (Firestore and the AI providers are only reachable from the page).
+
+const CACHE_NAME = 'aislip-shell-v2';
+const APP_SHELL = ['/', '/manifest.webmanifest', '/icons/icon.svg'];
+
+// Must match OFFLINE_SYNC_TAG in index.jsx
+const OFFLINE_SYNC_TAG = 'aislip-offline-sync';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages: network first, falling back to the cached shell. Other same-origin files (scripts, styles, icons):
+// served from the cache and refreshed in the background. Cross-origin requests (Firebase, AI APIs) are left alone.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    // Only a good response for the start URL may replace the shell; error pages and ?share= links must not
+                    const url = new URL(request.url);
+                    if (response.ok && url.pathname === '/' && !url.search) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put('/', copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('/'))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached);
+            return cached || network;
+        }))
+    );
+});
+
+// Background Sync fires once the connection is back; ask every open app window to sync its offline queue.
+// If no window is open, the queue is synced the next time the app is opened.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OFFLINE_SYNC_TAG) return;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => clients.forEach(client => client.postMessage({ type: OFFLINE_SYNC_TAG })))
+    );
+});
@@ -0,0 +1,208 @@
+// Emulator tests for firestore.rules: workspace invitations, roles, slip attribution and share links.
+// Run with the Firestore emulator (needs Java):
+//   npm install --no-save firebase @firebase/rules-unit-testing
+//   npx firebase-tools emulators:exec --only firestore "node --test tests/"
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { arrayUnion, collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+
+const APP_ID = 'default-app-id';
+const WORKSPACE_ID = 'team';
+const WORKSPACE = `artifacts/${APP_ID}/workspaces/${WORKSPACE_ID}`;
+const INVITEE_EMAIL = 'invitee@example.com';
+const SHARE_TOKEN = 'a'.repeat(32);
+const SHARE_LINK = `artifacts/${APP_ID}/shareLinks/${SHARE_TOKEN}`;
+
+let testEnv;
+
+// Function to get Firestore as a signed-in user; `token` adds claims such as email and email_verified
+const dbAs = (uid, token = {}) => testEnv.authenticatedContext(uid, token).firestore();
+
+const invitee = (verified = true) => dbAs('invitee', { email: INVITEE_EMAIL, email_verified: verified });
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-aislip',
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+// Every test starts from a workspace with an owner, an editor and a viewer, one slip, a share link to it and one pending invitation
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, WORKSPACE), {
+            id: WORKSPACE_ID,
+            name: 'Team',
+            ownerId: 'owner',
+            memberIds: ['owner', 'editor', 'viewer'],
+            roles: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+            memberProfiles: { owner: {}, editor: {}, viewer: {} }
+        });
+        await setDoc(doc(db, `${WORKSPACE}/invitations`, INVITEE_EMAIL), {
+            email: INVITEE_EMAIL, role: 'viewer', appId: APP_ID, workspaceId: WORKSPACE_ID
+        });
+        await setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1'), { uploadedBy: 'editor', processedBy: 'editor', status: 'done' });
+        await setDoc(doc(db, `${WORKSPACE}/slips/slip-1/chunks`, '0'), { index: 0, data: 'abc' });
+        await setDoc(doc(db, SHARE_LINK), {
+            token: SHARE_TOKEN, ownerId: 'editor', workspacePath: `workspaces/${WORKSPACE_ID}`, slipId: 'slip-1',
+            chunkCount: 1, expiresAt: null, revokedAt: null
+        });
+        await setDoc(doc(db, `${SHARE_LINK}/chunks`, '0'), { index: 0, data: 'abc' });
+    });
+});
+
+describe('invitations', () => {
+    test('the invitee with a verified email can read and accept the invitation', async () => {
+        const db = invitee();
+        await assertSucceeds(getDoc(doc(db, `${WORKSPACE}/invitations`, INVITEE_EMAIL)));
+
+        const batch = writeBatch(db);
+        batch.set(doc(db, WORKSPACE), {
+            memberIds: arrayUnion('invitee'),
+            roles: { invitee: 'viewer' },
+            memberProfiles: { invitee: { email: INVITEE_EMAIL } }
+        }, { merge: true });
+        batch.delete(doc(db, `${WORKSPACE}/invitations`, INVITEE_EMAIL));
+        await assertSucceeds(batch.commit());
+    });
+
+    test('an unverified account with the invitee email can neither read nor accept the invitation', async () => {
+        const db = invitee(false);
+        await assertFails(getDoc(doc(db, `${WORKSPACE}/invitations`, INVITEE_EMAIL)));
+        await assertFails(setDoc(doc(db, WORKSPACE), {
+            memberIds: arrayUnion('invitee'),
+            roles: { invitee: 'viewer' },
+            memberProfiles: { invitee: {} }
+        }, { merge: true }));
+    });
+
+    test('the invitee cannot join with a higher role than invited', async () => {
+        await assertFails(setDoc(doc(invitee(), WORKSPACE), {
+            memberIds: arrayUnion('invitee'),
+            roles: { invitee: 'editor' },
+            memberProfiles: { invitee: {} }
+        }, { merge: true }));
+    });
+
+    test('only the owner can invite', async () => {
+        const invitation = { email: 'new@example.com', role: 'editor', workspaceId: WORKSPACE_ID };
+        await assertSucceeds(setDoc(doc(dbAs('owner'), `${WORKSPACE}/invitations`, 'new@example.com'), invitation));
+        await assertFails(setDoc(doc(dbAs('editor'), `${WORKSPACE}/invitations`, 'other@example.com'), { ...invitation, email: 'other@example.com' }));
+    });
+});
+
+describe('roles', () => {
+    test('a non-member can read neither the workspace nor its slips', async () => {
+        const db = dbAs('stranger');
+        await assertFails(getDoc(doc(db, WORKSPACE)));
+        await assertFails(getDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1')));
+    });
+
+    test('a viewer can read slips and their image chunks but not write them', async () => {
+        const db = dbAs('viewer');
+        await assertSucceeds(getDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1')));
+        await assertSucceeds(getDoc(doc(db, `${WORKSPACE}/slips/slip-1/chunks`, '0')));
+        await assertFails(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1'), { status: 'failed' }, { merge: true }));
+        await assertFails(setDoc(doc(db, `${WORKSPACE}/slips/slip-1/chunks`, '1'), { index: 1, data: 'def' }));
+        await assertFails(deleteDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1')));
+    });
+
+    test('an editor can save a large slip with its image chunks in one batch', async () => {
+        const db = dbAs('editor');
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${WORKSPACE}/slips`, 'slip-2'), { uploadedBy: 'editor', chunkCount: 1 });
+        batch.set(doc(db, `${WORKSPACE}/slips/slip-2/chunks`, '0'), { index: 0, data: 'abc' });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('an editor cannot change roles', async () => {
+        await assertFails(setDoc(doc(dbAs('editor'), WORKSPACE), { roles: { viewer: 'owner' } }, { merge: true }));
+    });
+
+    test('the owner can change a role but not give away ownership', async () => {
+        const db = dbAs('owner');
+        await assertSucceeds(setDoc(doc(db, WORKSPACE), { roles: { viewer: 'editor' } }, { merge: true }));
+        await assertFails(setDoc(doc(db, WORKSPACE), { ownerId: 'editor', roles: { owner: 'editor', editor: 'owner' } }, { merge: true }));
+    });
+
+    test('only the owner can set how long the shared trash is kept', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('owner'), WORKSPACE), { trashRetentionDays: 7 }, { merge: true }));
+        await assertFails(setDoc(doc(dbAs('editor'), WORKSPACE), { trashRetentionDays: 1 }, { merge: true }));
+    });
+});
+
+describe('slip attribution', () => {
+    test('a slip can only be created with the caller as uploader', async () => {
+        const db = dbAs('editor');
+        await assertSucceeds(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-2'), { uploadedBy: 'editor' }));
+        await assertFails(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-3'), { uploadedBy: 'owner' }));
+    });
+
+    test('the uploader cannot be rewritten or removed', async () => {
+        const db = dbAs('owner');
+        await assertFails(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1'), { uploadedBy: 'owner' }, { merge: true }));
+        await assertFails(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1'), { status: 'done' }));
+    });
+
+    test('the processor can only be set to the caller', async () => {
+        const db = dbAs('owner');
+        await assertFails(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1'), { processedBy: 'viewer' }, { merge: true }));
+        await assertSucceeds(setDoc(doc(db, `${WORKSPACE}/slips`, 'slip-1'), { processedBy: 'owner', status: 'done' }, { merge: true }));
+    });
+
+    test('other fields can be edited without touching attribution', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('owner'), `${WORKSPACE}/slips`, 'slip-1'), { reviewStatus: 'approved' }, { merge: true }));
+    });
+});
+
+describe('share links', () => {
+    test('anyone may open an active link but not list links', async () => {
+        const db = testEnv.unauthenticatedContext().firestore();
+        await assertSucceeds(getDoc(doc(db, SHARE_LINK)));
+        await assertSucceeds(getDoc(doc(db, `${SHARE_LINK}/chunks`, '0')));
+        await assertFails(getDocs(collection(db, `artifacts/${APP_ID}/shareLinks`)));
+    });
+
+    test('another editor of the workspace can find, revoke and delete the links to a slip', async () => {
+        const db = dbAs('owner');
+        await assertSucceeds(getDocs(query(collection(db, `artifacts/${APP_ID}/shareLinks`),
+            where('workspacePath', '==', `workspaces/${WORKSPACE_ID}`), where('slipId', 'in', ['slip-1']))));
+        await assertSucceeds(updateDoc(doc(db, SHARE_LINK), { revokedAt: Date.now() }));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), SHARE_LINK)));
+
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `${SHARE_LINK}/chunks`, '0'));
+        batch.delete(doc(db, SHARE_LINK));
+        await assertSucceeds(batch.commit());
+    });
+
+    test('a viewer can neither find nor revoke the links to a slip', async () => {
+        const db = dbAs('viewer');
+        await assertFails(getDocs(query(collection(db, `artifacts/${APP_ID}/shareLinks`),
+            where('workspacePath', '==', `workspaces/${WORKSPACE_ID}`), where('slipId', 'in', ['slip-1']))));
+        await assertFails(updateDoc(doc(db, SHARE_LINK), { revokedAt: Date.now() }));
+    });
+
+    test('an editor can share a slip of the workspace', async () => {
+        const link = { token: 'b'.repeat(32), ownerId: 'editor', workspacePath: `workspaces/${WORKSPACE_ID}`, slipId: 'slip-1', revokedAt: null };
+        await assertSucceeds(setDoc(doc(dbAs('editor'), `artifacts/${APP_ID}/shareLinks`, link.token), link));
+    });
+
+    test('a link to a slip the caller cannot edit, or to a slip that does not exist, is refused', async () => {
+        const link = (ownerId, slipId) => ({ token: 'b'.repeat(32), ownerId, workspacePath: `workspaces/${WORKSPACE_ID}`, slipId, revokedAt: null });
+        await assertFails(setDoc(doc(dbAs('viewer'), `artifacts/${APP_ID}/shareLinks`, 'b'.repeat(32)), link('viewer', 'slip-1')));
+        await assertFails(setDoc(doc(dbAs('stranger'), `artifacts/${APP_ID}/shareLinks`, 'b'.repeat(32)), link('stranger', 'slip-1')));
+        await assertFails(setDoc(doc(dbAs('editor'), `artifacts/${APP_ID}/shareLinks`, 'b'.repeat(32)), link('editor', 'forged')));
+    });
+
+    test('only the revocation time of a link can be changed', async () => {
+        await assertFails(updateDoc(doc(dbAs('owner'), SHARE_LINK), { expiresAt: null, revokedAt: null, data: {} }));
+    });
+});